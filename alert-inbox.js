@@ -0,0 +1,19 @@
+// ======== ALERT INBOX FILTERS ========
+// The monitor page's alert inbox filters (loaded before monitor.js). Kept as
+// plain functions over the alert list so they can be tested without a page.
+
+// One [url, name] pair per product that has alerts, for the product filter
+function getAlertProducts(alerts) {
+  return Array.from(new Map(alerts
+    .filter(alert => alert.productUrl)
+    .map(alert => [alert.productUrl, alert.productName])));
+}
+
+// Alerts matching the filters. type and productUrl are 'all' or the value to
+// match; unseenOnly drops alerts already marked as seen.
+function filterAlerts(alerts, { type = 'all', productUrl = 'all', unseenOnly = false } = {}) {
+  return alerts.filter(alert =>
+    (type === 'all' || alert.type === type) &&
+    (productUrl === 'all' || alert.productUrl === productUrl) &&
+    (!unseenOnly || !alert.seen));
+}
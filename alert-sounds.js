@@ -0,0 +1,156 @@
+// ======== ALERT SOUNDS ========
+// Audible alerts to go with the desktop notifications, which are easy to miss
+// during a drop. Service workers can't play audio, so sounds are played by an
+// offscreen document (offscreen.html), which also runs the repeat loop for
+// alerts that repeat until acknowledged. Spoken alerts use chrome.tts.
+// Loaded into the service worker via importScripts() in background.js.
+//
+// Settings (chrome.storage.sync 'alertSoundSettings'): see DEFAULT_SOUND_SETTINGS.
+// A product can override its event's sound with product.alertSound.
+
+// Sound name -> label. The sounds themselves are synthesized in offscreen.js.
+const ALERT_SOUNDS = {
+  alarm: 'Alarm',
+  siren: 'Siren',
+  chime: 'Chime',
+  beep: 'Beep',
+  none: 'Silent'
+};
+
+const ALERT_SOUND_EVENTS = {
+  in_stock: 'In stock',
+  added_to_cart: 'Added to cart',
+  price_drop: 'Price drop',
+  new_listing: 'New listing'
+};
+
+const DEFAULT_SOUND_SETTINGS = {
+  enabled: true,
+  volume: 70, // Percent
+  eventSounds: { in_stock: 'alarm', added_to_cart: 'chime', price_drop: 'beep', new_listing: 'beep' },
+  repeatUntilAcknowledged: false, // Keep sounding until the notification is clicked or closed
+  repeatSeconds: 10,
+  speak: false // Read the product name and retailer aloud after the sound
+};
+
+// A repeating alert gives up after this long, in case nobody is there
+const MAX_ALERT_REPEAT_MS = 10 * 60 * 1000;
+
+let offscreenDocumentPromise = null; // Guards against creating the document twice
+
+async function getSoundSettings() {
+  const { alertSoundSettings } = await chrome.storage.sync.get('alertSoundSettings');
+  const stored = alertSoundSettings || {};
+  return {
+    ...DEFAULT_SOUND_SETTINGS,
+    ...stored,
+    eventSounds: { ...DEFAULT_SOUND_SETTINGS.eventSounds, ...(stored.eventSounds || {}) }
+  };
+}
+
+// Check and normalise settings from the monitor page.
+// Returns { settings } or { error } with a message for the user.
+function validateSoundSettings(settings) {
+  if (!settings || typeof settings !== 'object') {
+    return { error: 'Invalid sound settings' };
+  }
+  
+  const volume = parseInt(settings.volume, 10);
+  const repeatSeconds = parseInt(settings.repeatSeconds, 10);
+  if (!(volume >= 0 && volume <= 100)) {
+    return { error: 'Volume must be between 0 and 100' };
+  }
+  // The offscreen document is closed after 30 seconds without audio
+  if (!(repeatSeconds >= 3 && repeatSeconds <= 25)) {
+    return { error: 'Repeat every 3 to 25 seconds' };
+  }
+  
+  const eventSounds = {};
+  for (const event of Object.keys(ALERT_SOUND_EVENTS)) {
+    const sound = settings.eventSounds?.[event];
+    eventSounds[event] = sound in ALERT_SOUNDS ? sound : DEFAULT_SOUND_SETTINGS.eventSounds[event];
+  }
+  
+  return {
+    settings: {
+      enabled: settings.enabled !== false,
+      volume,
+      eventSounds,
+      repeatUntilAcknowledged: !!settings.repeatUntilAcknowledged,
+      repeatSeconds,
+      speak: !!settings.speak
+    }
+  };
+}
+
+// The sound an alert plays: the product's own choice, else the event's
+function getAlertSound(settings, event, product) {
+  if (product?.alertSound && product.alertSound in ALERT_SOUNDS) {
+    return product.alertSound;
+  }
+  return settings.eventSounds[event] || 'none';
+}
+
+async function ensureOffscreenDocument() {
+  if (!offscreenDocumentPromise) {
+    offscreenDocumentPromise = (async () => {
+      const contexts = await chrome.runtime.getContexts({ contextTypes: ['OFFSCREEN_DOCUMENT'] });
+      if (contexts.length === 0) {
+        await chrome.offscreen.createDocument({
+          url: 'offscreen.html',
+          reasons: ['AUDIO_PLAYBACK'],
+          justification: 'Play alert sounds when products come back in stock'
+        });
+      }
+    })().finally(() => {
+      offscreenDocumentPromise = null;
+    });
+  }
+  
+  return offscreenDocumentPromise;
+}
+
+async function sendToOffscreen(message) {
+  await ensureOffscreenDocument();
+  return chrome.runtime.sendMessage({ target: 'offscreen', ...message });
+}
+
+// Play an alert's sound (and speech). alertId ties a repeating sound to its
+// notification so acknowledging the notification can stop it.
+async function playAlert(event, { alertId = null, product = null, retailer = '' } = {}) {
+  const settings = await getSoundSettings();
+  if (!settings.enabled || !(event in ALERT_SOUND_EVENTS)) return;
+  
+  const sound = getAlertSound(settings, event, product);
+  if (sound !== 'none') {
+    const repeat = settings.repeatUntilAcknowledged && alertId !== null;
+    await sendToOffscreen({
+      action: 'playAlertSound',
+      alertId,
+      sound,
+      volume: settings.volume / 100,
+      repeatMs: repeat ? settings.repeatSeconds * 1000 : 0,
+      maxRepeatMs: MAX_ALERT_REPEAT_MS
+    });
+  }
+  
+  if (settings.speak && product) {
+    speakAlert(`${ALERT_SOUND_EVENTS[event]}: ${product.name}${retailer ? ` at ${retailer}` : ''}`, settings.volume / 100);
+  }
+}
+
+function speakAlert(text, volume = 1) {
+  chrome.tts.speak(text, { enqueue: true, volume }, () => {
+    if (chrome.runtime.lastError) {
+      console.error("Error speaking alert:", chrome.runtime.lastError.message);
+    }
+  });
+}
+
+// Stop a repeating alert, or every alert when alertId is omitted
+async function stopAlertSound(alertId = null) {
+  const contexts = await chrome.runtime.getContexts({ contextTypes: ['OFFSCREEN_DOCUMENT'] });
+  if (contexts.length === 0) return; // Nothing is playing
+  
+  await chrome.runtime.sendMessage({ target: 'offscreen', action: 'stopAlertSound', alertId });
+}
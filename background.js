@@ -1,14 +1,45 @@
+// Subsystems split into their own files (classic service worker, so importScripts)
+importScripts('history-db.js', 'structured-data.js', 'notification-channels.js', 'alert-sounds.js');
+
 // ======== GLOBAL STATE ========
 let monitoredProducts = [];
 let isMonitoring = false;
 let cartProcessInProgress = false;
+let cartProcessStartedAt = null; // Timestamp (ms) when the current cart process began
 let stockStatus = {}; // Track stock status for each product
 let activeChecks = 0; // Track how many stock checks are currently running
 let checkQueue = []; // Queue for pending stock checks
+let lastQueuedAt = {}; // When each product (by URL) was last queued by the scheduler
+let checkIntervalSeconds = 30; // Global default interval for products without their own
+let cartProgress = null; // Progress of the latest add-to-cart attempt, pushed to subscribers
 let tabOperationInProgress = false; // Flag to prevent overlapping tab operations
 
 // Configuration
 const MAX_CONCURRENT_CHECKS = 3; // Limit concurrent tab operations
+const CART_PROCESS_TIMEOUT_MS = 2 * 60 * 1000; // Treat a cart lock older than this as abandoned
+const SCHEDULE_TOLERANCE_MS = 1000; // Treat a product as due this much before its interval elapses
+
+// Possible outcomes of a stock check. UNKNOWN means the check itself failed
+// (tab error, script error, bad response), not that the item is sold out.
+const STOCK_STATUS = {
+  IN_STOCK: 'in_stock',
+  OUT_OF_STOCK: 'out_of_stock',
+  UNKNOWN: 'unknown'
+};
+
+// Ways a product can be fulfilled. Products may list the ones they care about;
+// none listed means any of them will do.
+const FULFILLMENT_MODES = ['shipping', 'pickup', 'delivery'];
+const FULFILLMENT_MODE_LABELS = {
+  shipping: 'Shipping',
+  pickup: 'Pickup',
+  delivery: 'Same-day delivery'
+};
+
+// Page snapshots: the checker tab's DOM is kept when a product flips state or
+// the detector couldn't decide, so a false alert can be examined afterwards
+const SNAPSHOT_REASONS = ['no_clear_indicators', 'error'];
+const MAX_SNAPSHOT_CHARS = 2 * 1024 * 1024; // Trimmed HTML beyond this is cut off
 
 // ======== INITIALIZATION ========
 chrome.runtime.onStartup.addListener(() => {
@@ -22,10 +53,20 @@ chrome.runtime.onInstalled.addListener(() => {
 });
 
 // Load monitored products and start monitoring if it was active
-function loadMonitoredProducts() {
+async function loadMonitoredProducts() {
+  await restoreState();
+  
+  // Keep the stock history database from growing without bound
+  pruneCheckEvents().then(deleted => {
+    if (deleted > 0) console.log(`Pruned ${deleted} old stock history events`);
+  }).catch(error => {
+    console.error("Error pruning stock history:", error);
+  });
+  
   chrome.storage.sync.get(['monitoredProducts', 'checkInterval', 'purchaseLimit', 'isMonitoring'], (result) => {
     monitoredProducts = result.monitoredProducts || [];
     const checkInterval = result.checkInterval || 30; // Default 30 seconds
+    checkIntervalSeconds = checkInterval;
     isMonitoring = result.isMonitoring || false;
     
     // Set default purchase limit if not set
@@ -43,48 +84,484 @@ function loadMonitoredProducts() {
   });
 }
 
-// ======== MONITORING SETUP ========
+// ======== STATE PERSISTENCE ========
+// The MV3 service worker is killed after sitting idle, taking module globals
+// with it. stockStatus is written through to chrome.storage.local so stock
+// history survives browser restarts; the check queue and cart lock only matter
+// for the current browser session and go to chrome.storage.session.
+let stateRestorePromise = null;
+
+// Load persisted state into the globals. Safe to call repeatedly; only the
+// first call reads storage and later calls wait on the same promise.
+function restoreState() {
+  if (!stateRestorePromise) {
+    stateRestorePromise = (async () => {
+      try {
+        const [syncState, localState, sessionState] = await Promise.all([
+          chrome.storage.sync.get(['monitoredProducts', 'isMonitoring', 'checkInterval', 'keywordWatches']),
+          chrome.storage.local.get(['stockStatus', 'keywordWatchState']),
+          chrome.storage.session.get(['checkQueue', 'lastQueuedAt', 'cartProcessInProgress', 'cartProcessStartedAt'])
+        ]);
+        
+        monitoredProducts = syncState.monitoredProducts || [];
+        isMonitoring = syncState.isMonitoring || false;
+        checkIntervalSeconds = syncState.checkInterval || 30;
+        keywordWatches = syncState.keywordWatches || [];
+        keywordWatchState = { ...(localState.keywordWatchState || {}), ...keywordWatchState };
+        lastQueuedAt = { ...(sessionState.lastQueuedAt || {}), ...lastQueuedAt };
+        
+        // Merge rather than overwrite, in case a check finished while storage was loading
+        stockStatus = { ...(localState.stockStatus || {}), ...stockStatus };
+        
+        // Only resume queued checks for products that are still monitored
+        const monitoredUrls = new Set(monitoredProducts.map(p => p.url));
+        const restoredQueue = (sessionState.checkQueue || [])
+          .filter(item => item && item.product && monitoredUrls.has(item.product.url));
+        checkQueue = [...restoredQueue, ...checkQueue];
+        
+        // A cart lock outlives the worker that took it; honour it until it times out
+        const lockAge = Date.now() - (sessionState.cartProcessStartedAt || 0);
+        if (sessionState.cartProcessInProgress && lockAge < CART_PROCESS_TIMEOUT_MS) {
+          cartProcessInProgress = true;
+          cartProcessStartedAt = sessionState.cartProcessStartedAt;
+          setTimeout(() => {
+            if (cartProcessStartedAt === sessionState.cartProcessStartedAt) {
+              setCartProcessInProgress(false);
+            }
+          }, CART_PROCESS_TIMEOUT_MS - lockAge);
+        }
+        
+        console.log(`Restored state: ${Object.keys(stockStatus).length} stock entries, ${checkQueue.length} queued checks`);
+      } catch (error) {
+        console.error("Error restoring persisted state:", error);
+      }
+      
+      // Pick up checks that were still queued when the worker was killed
+      if (isMonitoring && checkQueue.length > 0) {
+        processCheckQueue();
+      }
+      
+      scheduleBadgeUpdate();
+    })();
+  }
+  
+  return stateRestorePromise;
+}
+
+function persistStockStatus() {
+  chrome.storage.local.set({ stockStatus }).catch(error => {
+    console.error("Error persisting stock status:", error);
+  });
+}
+
+function persistCheckQueue() {
+  chrome.storage.session.set({ checkQueue, lastQueuedAt }).catch(error => {
+    console.error("Error persisting check queue:", error);
+  });
+}
+
+function setCartProcessInProgress(inProgress) {
+  cartProcessInProgress = inProgress;
+  cartProcessStartedAt = inProgress ? Date.now() : null;
+  
+  chrome.storage.session.set({ cartProcessInProgress, cartProcessStartedAt }).catch(error => {
+    console.error("Error persisting cart process state:", error);
+  });
+  scheduleBadgeUpdate();
+}
+
+// Rehydrate state as soon as the service worker script runs. This happens on
+// browser startup, but also every time Chrome revives an idle-killed worker.
+restoreState();
+
+// ======== SCHEDULER ========
+// A single one-shot alarm drives all stock checks. Each time it fires it is
+// re-armed with fresh jitter, so the alarm's scheduledTime is always the real
+// time of the next check, and that is what the UI is shown.
+const SCHEDULER_ALARM = 'checkStock';
+const MIN_ALARM_PERIOD_SECONDS = 30; // Chrome clamps alarms to at most one every 30 seconds
+const SCHEDULER_JITTER = 0.3; // Up to 30% jitter on each tick
+
+// Registered at the top level so Chrome can wake the worker for it. Registering
+// it anywhere else (e.g. per setup call) stacks duplicate listeners.
+chrome.alarms.onAlarm.addListener(handleSchedulerAlarm);
+
+async function handleSchedulerAlarm(alarm) {
+  if (alarm.name !== SCHEDULER_ALARM) return;
+  
+  // The alarm may be what woke the worker
+  await restoreState();
+  if (!isMonitoring) return;
+  
+  await scheduleNextCheck();
+  checkAllProductsStock({ dueOnly: true });
+  checkDueKeywordWatches();
+}
+
+// The tick we'd like (shortest product interval) and what Chrome will actually allow
+function getSchedulerIntervals() {
+  const requestedIntervalSeconds = getSchedulerTickSeconds();
+  return {
+    requestedIntervalSeconds,
+    effectiveIntervalSeconds: Math.max(requestedIntervalSeconds, MIN_ALARM_PERIOD_SECONDS)
+  };
+}
+
+// Arm the alarm for the next tick, or clear it when monitoring is off
+async function scheduleNextCheck() {
+  await chrome.alarms.clear(SCHEDULER_ALARM);
+  
+  if (isMonitoring) {
+    const { effectiveIntervalSeconds } = getSchedulerIntervals();
+    
+    // Add jitter to the interval to make it less predictable (helps avoid detection)
+    const delaySeconds = effectiveIntervalSeconds * (1 + Math.random() * SCHEDULER_JITTER);
+    await chrome.alarms.create(SCHEDULER_ALARM, { when: Date.now() + delaySeconds * 1000 });
+    
+    console.log(`Next stock check in ${delaySeconds.toFixed(2)} seconds`);
+  }
+  
+  broadcastSchedulerStatus();
+}
+
+// Snapshot of the scheduler for the UI
+async function getSchedulerStatus() {
+  const alarm = await chrome.alarms.get(SCHEDULER_ALARM);
+  const { requestedIntervalSeconds, effectiveIntervalSeconds } = getSchedulerIntervals();
+  
+  return {
+    isMonitoring,
+    nextCheckAt: isMonitoring && alarm ? alarm.scheduledTime : null,
+    requestedIntervalSeconds,
+    effectiveIntervalSeconds,
+    clamped: effectiveIntervalSeconds > requestedIntervalSeconds,
+    jitterPercent: Math.round(SCHEDULER_JITTER * 100)
+  };
+}
+
+// Tell any open page that the schedule changed
+async function broadcastSchedulerStatus() {
+  const scheduler = await getSchedulerStatus();
+  publishStateDelta({ scheduler });
+}
+
+// Apply a new global interval and re-arm the alarm
 function setupMonitoring(intervalSeconds) {
-  // Clear any existing alarms
-  chrome.alarms.clearAll();
+  checkIntervalSeconds = intervalSeconds;
+  return scheduleNextCheck();
+}
+
+// Called after product schedules change. Only re-arm when the pending tick is
+// now too far away; otherwise the countdown would reset on every edit.
+async function refreshMonitoringSchedule() {
+  const alarm = await chrome.alarms.get(SCHEDULER_ALARM);
+  const { effectiveIntervalSeconds } = getSchedulerIntervals();
+  const latestAcceptable = Date.now() + effectiveIntervalSeconds * 1000 * (1 + SCHEDULER_JITTER);
+  
+  if (!isMonitoring || !alarm || alarm.scheduledTime > latestAcceptable) {
+    await scheduleNextCheck();
+  } else {
+    broadcastSchedulerStatus();
+  }
+}
+
+// ======== PER-PRODUCT SCHEDULES ========
+// Products may carry their own schedule:
+//   enabled       - false pauses checks for the product (default true)
+//   checkInterval - seconds between checks (default: the global interval)
+//   activeHours   - { start: 'HH:MM', end: 'HH:MM' } local time window in which
+//                   to check; end before start wraps past midnight
+function getProductSchedule(product) {
+  return {
+    enabled: product.enabled !== false,
+    intervalSeconds: product.checkInterval > 0 ? product.checkInterval : checkIntervalSeconds,
+    activeHours: product.activeHours && product.activeHours.start && product.activeHours.end
+      ? product.activeHours
+      : null
+  };
+}
+
+// Convert 'HH:MM' to minutes after midnight
+function parseTimeOfDay(value) {
+  const [hours, minutes] = value.split(':').map(part => parseInt(part, 10));
+  return hours * 60 + (minutes || 0);
+}
+
+function isWithinActiveHours(activeHours, date = new Date()) {
+  if (!activeHours) return true;
+  
+  const start = parseTimeOfDay(activeHours.start);
+  const end = parseTimeOfDay(activeHours.end);
+  const current = date.getHours() * 60 + date.getMinutes();
+  
+  if (start === end) return true;
+  if (start < end) return current >= start && current < end;
+  
+  // Overnight window, e.g. 22:00 - 02:00
+  return current >= start || current < end;
+}
+
+// Is the product enabled, inside its active hours and past its interval?
+function isProductDue(product, now = Date.now()) {
+  const schedule = getProductSchedule(product);
+  if (!schedule.enabled || !isWithinActiveHours(schedule.activeHours, new Date(now))) {
+    return false;
+  }
   
-  // Add jitter to the interval to make it less predictable (helps avoid detection)
-  const jitter = Math.random() * 0.3; // Up to 30% jitter
-  const adjustedInterval = intervalSeconds * (1 + jitter);
+  const lastQueued = lastQueuedAt[product.url];
+  return !lastQueued || now - lastQueued >= schedule.intervalSeconds * 1000 - SCHEDULE_TOLERANCE_MS;
+}
+
+// The alarm period needed to honour the shortest enabled product interval
+function getSchedulerTickSeconds() {
+  const intervals = monitoredProducts
+    .map(getProductSchedule)
+    .filter(schedule => schedule.enabled)
+    .map(schedule => schedule.intervalSeconds);
   
-  // Create a new alarm that will trigger the check
-  chrome.alarms.create('checkStock', {
-    periodInMinutes: adjustedInterval / 60
+  return intervals.length > 0 ? Math.min(...intervals) : checkIntervalSeconds;
+}
+
+// ======== KEYWORD WATCHES ========
+// A keyword watch points at a retailer search or category page rather than one
+// product. Each scan extracts the page's product tiles, keeps those whose names
+// match the watch's keywords, and alerts on matches it hasn't seen before.
+//
+// Watch shape (chrome.storage.sync 'keywordWatches'):
+//   id, name, url, include: [phrases], exclude: [phrases], autoAdd, enabled,
+//   checkInterval (seconds, optional)
+// Scan state (chrome.storage.local 'keywordWatchState', too big for sync):
+//   { [id]: { lastCheckedAt, matchCount, error, autoAddError, seen: { [productUrl]: { name, firstSeenAt } } } }
+const DEFAULT_WATCH_INTERVAL_SECONDS = 300; // Search pages are heavy, so scan them less often than products
+const MAX_SEEN_LISTINGS = 500; // Per watch; the oldest are forgotten first
+const MAX_AUTO_ADDS_PER_SCAN = 3; // A search page full of new matches shouldn't flood the watchlist
+const MAX_DISCOVERED_PRODUCTS = 20; // Across all watches; they share chrome.storage.sync's quota
+
+let keywordWatches = [];
+let keywordWatchState = {};
+let keywordScanInProgress = false;
+
+function persistKeywordWatches() {
+  return chrome.storage.sync.set({ keywordWatches }).catch(error => {
+    console.error("Error persisting keyword watches:", error);
+  });
+}
+
+function persistKeywordWatchState() {
+  return chrome.storage.local.set({ keywordWatchState }).catch(error => {
+    console.error("Error persisting keyword watch state:", error);
   });
+}
+
+// A phrase matches when every one of its words appears in the listing name
+function keywordPhraseMatches(name, phrase) {
+  const words = phrase.toLowerCase().split(/\s+/).filter(Boolean);
+  const haystack = name.toLowerCase();
+  return words.length > 0 && words.every(word => haystack.includes(word));
+}
+
+// Any include phrase (or no include phrases at all) and no exclude phrase
+function matchesWatchKeywords(name, watch) {
+  const include = watch.include || [];
+  const exclude = watch.exclude || [];
+  
+  if (include.length > 0 && !include.some(phrase => keywordPhraseMatches(name, phrase))) {
+    return false;
+  }
+  return !exclude.some(phrase => keywordPhraseMatches(name, phrase));
+}
+
+function isWatchDue(watch, now = Date.now()) {
+  if (watch.enabled === false) return false;
   
-  console.log(`Monitoring set up with interval: ${adjustedInterval.toFixed(2)} seconds`);
+  const lastCheckedAt = keywordWatchState[watch.id]?.lastCheckedAt;
+  if (!lastCheckedAt) return true;
   
-  // Listen for the alarm
-  chrome.alarms.onAlarm.addListener((alarm) => {
-    if (alarm.name === 'checkStock' && isMonitoring) {
-      checkAllProductsStock();
+  const intervalMs = (watch.checkInterval || DEFAULT_WATCH_INTERVAL_SECONDS) * 1000;
+  return now - lastCheckedAt >= intervalMs - SCHEDULE_TOLERANCE_MS;
+}
+
+// Scan every due watch, one at a time (each one opens a tab)
+async function checkDueKeywordWatches() {
+  if (keywordScanInProgress) return;
+  
+  keywordScanInProgress = true;
+  try {
+    for (const watch of keywordWatches.filter(w => isWatchDue(w))) {
+      await scanKeywordWatch(watch);
     }
-  });
+  } finally {
+    keywordScanInProgress = false;
+  }
 }
 
-// ======== STOCK CHECKING LOGIC ========
-async function checkAllProductsStock() {
-  if (monitoredProducts.length === 0 || cartProcessInProgress) return;
+// Load the watch's page, match its product tiles and handle new listings.
+// The first scan of a watch only records what's already listed, so adding a
+// watch doesn't alert on every existing product.
+async function scanKeywordWatch(watch) {
+  const adapter = getRetailerAdapter(watch.url);
+  const state = keywordWatchState[watch.id] || { lastCheckedAt: null, matchCount: 0, error: null, seen: {} };
+  const firstScan = !state.lastCheckedAt;
+  
+  console.log(`Scanning keyword watch "${watch.name}": ${watch.url}`);
+  
+  const { results, error } = await createAndUseTab(
+    watch.url,
+    adapter.defaults.pageLoadDelay,
+    extractProductTiles,
+    [adapter.listingSelectors || []]
+  );
+  
+  const pageResult = results && results[0] && results[0].result;
+  state.lastCheckedAt = Date.now();
+  keywordWatchState[watch.id] = state;
+  
+  if (error || !pageResult || pageResult.error) {
+    state.error = error ? error.message : (pageResult?.error || 'Page script returned no result');
+    console.error(`Keyword watch "${watch.name}" failed: ${state.error}`);
+    persistKeywordWatchState();
+    publishStateDelta({ keywordWatches: getKeywordWatchSummaries() });
+    return { success: false, error: state.error };
+  }
+  
+  const matches = pageResult.tiles.filter(tile => matchesWatchKeywords(tile.name, watch));
+  const newListings = matches.filter(tile => !state.seen[tile.url]);
+  
+  for (const tile of newListings) {
+    state.seen[tile.url] = { name: tile.name, firstSeenAt: state.lastCheckedAt };
+  }
+  
+  // Forget the oldest listings once the seen list gets long
+  const seenUrls = Object.keys(state.seen);
+  if (seenUrls.length > MAX_SEEN_LISTINGS) {
+    seenUrls
+      .sort((a, b) => state.seen[a].firstSeenAt - state.seen[b].firstSeenAt)
+      .slice(0, seenUrls.length - MAX_SEEN_LISTINGS)
+      .forEach(url => delete state.seen[url]);
+  }
+  
+  state.matchCount = matches.length;
+  state.error = null;
+  
+  if (!firstScan) {
+    newListings.forEach(tile => notifyNewListing(watch, tile));
+    if (watch.autoAdd) {
+      await autoAddListings(watch, newListings, state);
+    }
+  }
+  persistKeywordWatchState();
+  
+  console.log(`Keyword watch "${watch.name}": ${pageResult.tiles.length} tiles, ${matches.length} matches, ${newListings.length} new`);
+  publishStateDelta({ keywordWatches: getKeywordWatchSummaries() });
+  
+  return {
+    success: true,
+    tileCount: pageResult.tiles.length,
+    matches,
+    newListings: firstScan ? [] : newListings,
+    firstScan
+  };
+}
+
+// Add a scan's new listings to the watchlist, up to the per-scan and overall
+// caps. Anything that stops auto-add is kept in state.autoAddError for the UI.
+async function autoAddListings(watch, listings, state) {
+  state.autoAddError = null;
   
-  // Reset queue and add new checks
-  checkQueue = [];
+  const listingsToAdd = listings.slice(0, MAX_AUTO_ADDS_PER_SCAN);
+  if (listings.length > listingsToAdd.length) {
+    console.log(`Keyword watch "${watch.name}": auto-adding ${listingsToAdd.length} of ${listings.length} new listings`);
+  }
   
-  // Occasionally clear cookies to avoid building profiles
-  if (Math.random() < 0.1) { // 10% chance each check cycle
+  for (const tile of listingsToAdd) {
     try {
-      await manageCookies();
+      await addDiscoveredProduct(watch, tile);
     } catch (error) {
-      console.error("Error managing cookies:", error);
+      state.autoAddError = error.message;
+      console.error(`Keyword watch "${watch.name}" auto-add failed: ${error.message}`);
+      break;
     }
   }
+}
+
+// Start monitoring a listing a watch discovered. Auto-checkout stays off:
+// a keyword match isn't proof it's the product the user wants to buy.
+// Throws when the cap is reached or the watchlist can't be saved.
+async function addDiscoveredProduct(watch, tile) {
+  if (monitoredProducts.some(p => p.url === tile.url)) return;
+  
+  if (monitoredProducts.filter(p => p.discoveredBy).length >= MAX_DISCOVERED_PRODUCTS) {
+    throw new Error(`The watchlist already has ${MAX_DISCOVERED_PRODUCTS} auto-added products; remove some to add more`);
+  }
+  
+  const product = {
+    name: tile.name,
+    url: tile.url,
+    addToCartUrl: '',
+    autoCheckout: false,
+    enabled: true,
+    discoveredBy: watch.id
+  };
+  
+  const previousProducts = monitoredProducts;
+  monitoredProducts = [...monitoredProducts, product];
+  
+  try {
+    await chrome.storage.sync.set({ monitoredProducts });
+  } catch (error) {
+    monitoredProducts = previousProducts;
+    throw new Error(`Could not save "${tile.name}" to the watchlist: ${error.message}`);
+  }
+  
+  await refreshMonitoringSchedule();
+  checkSingleProductStock(product);
+}
+
+// Watches plus their scan state, without the (large) seen-listing map
+function getKeywordWatchSummaries() {
+  return keywordWatches.map(watch => {
+    const state = keywordWatchState[watch.id] || {};
+    const recentListings = Object.entries(state.seen || {})
+      .map(([url, listing]) => ({ url, ...listing }))
+      .sort((a, b) => b.firstSeenAt - a.firstSeenAt)
+      .slice(0, 5);
+    
+    return {
+      ...watch,
+      lastCheckedAt: state.lastCheckedAt || null,
+      matchCount: state.matchCount || 0,
+      error: state.error || null,
+      autoAddError: state.autoAddError || null,
+      recentListings
+    };
+  });
+}
+
+// ======== STOCK CHECKING LOGIC ========
+// Queue stock checks. With dueOnly (scheduled ticks) only products whose own
+// schedule says they are due are queued; otherwise every enabled product is.
+async function checkAllProductsStock({ dueOnly = false } = {}) {
+  await restoreState();
+  
+  if (monitoredProducts.length === 0 || cartProcessInProgress) return;
+  
+  const now = Date.now();
+  const productsToCheck = monitoredProducts.filter(product => dueOnly
+    ? isProductDue(product, now) && !checkQueue.some(item => item.product.url === product.url)
+    : getProductSchedule(product).enabled
+  );
+  
+  if (productsToCheck.length === 0) return;
+  
+  // A forced check replaces whatever was pending; a scheduled tick adds to it
+  if (!dueOnly) {
+    checkQueue = [];
+  }
   
-  // Add all products to check queue
-  for (const product of monitoredProducts) {
+  // Add products to check queue
+  for (const product of productsToCheck) {
+    lastQueuedAt[product.url] = now;
+    
     // Calculate a staggered delay for this product
     const staggerDelay = Math.floor(Math.random() * 3000) + 1000; // 1-4 seconds between products
     
@@ -95,6 +572,8 @@ async function checkAllProductsStock() {
     });
   }
   
+  persistCheckQueue();
+  
   // Start processing the queue if not already processing
   processCheckQueue();
 }
@@ -109,36 +588,34 @@ async function processCheckQueue() {
   // Get the next item from the queue
   const checkItem = checkQueue.shift();
   activeChecks++;
+  persistCheckQueue();
   
   // Wait for the specified delay before checking
   await new Promise(resolve => setTimeout(resolve, checkItem.delay));
   
   try {
     // Check stock for this product
-    const inStock = await checkProductStock(checkItem.product);
+    const result = await checkProductStock(checkItem.product);
     
     // Update stock status
-    const previousStatus = stockStatus[checkItem.product.url];
-    const wasInStock = previousStatus && previousStatus.inStock;
-    
-    stockStatus[checkItem.product.url] = {
-      inStock: inStock,
-      lastChecked: new Date().toLocaleString(),
-      product: checkItem.product,
-      // Track when it was last in stock
-      lastInStock: inStock ? new Date().toLocaleString() : (previousStatus?.lastInStock || null)
-    };
+    const previousStatus = recordStockResult(checkItem.product, result);
+    const { confirmed, notify } = await confirmStockAlert(checkItem.product, result);
     
-    // If status changed to in stock, notify
-    if (inStock && !wasInStock) {
-      notifyStockAvailable(checkItem.product);
+    // Notify once the in-stock reading is confirmed
+    if (notify) {
+      notifyStockAvailable(checkItem.product, result);
     }
     
-    // If in stock and auto-checkout is enabled, try to add to cart
-    if (inStock && checkItem.product.autoCheckout && !cartProcessInProgress) {
-      cartProcessInProgress = true;
-      await addToCartAutomatically(checkItem.product);
-      cartProcessInProgress = false;
+    checkPriceTarget(checkItem.product, result, previousStatus);
+    
+    // If confirmed in stock and auto-checkout is enabled, try to add to cart
+    if (confirmed && checkItem.product.autoCheckout && !cartProcessInProgress) {
+      setCartProcessInProgress(true);
+      try {
+        await addToCartAutomatically(checkItem.product, result.price);
+      } finally {
+        setCartProcessInProgress(false);
+      }
     }
   } catch (error) {
     console.error(`Error checking stock for ${checkItem.product.url}:`, error);
@@ -146,16 +623,6 @@ async function processCheckQueue() {
     // Decrement active checks counter
     activeChecks--;
     
-    // Broadcast stock status update to popup if open
-    try {
-      chrome.runtime.sendMessage({
-        action: 'stockStatusUpdate',
-        stockStatus: stockStatus
-      });
-    } catch (e) {
-      console.log("Error sending stockStatusUpdate message:", e);
-    }
-    
     // Continue processing the queue
     processCheckQueue();
   }
@@ -167,140 +634,759 @@ async function checkSingleProductStock(product) {
     console.log(`Checking stock for newly added product: ${product.name}`);
     
     // Check if the product is in stock
-    const inStock = await checkProductStock(product);
+    const result = await checkProductStock(product);
     
     // Update stock status
-    stockStatus[product.url] = {
-      inStock: inStock,
-      lastChecked: new Date().toLocaleString(),
-      product: product,
-      lastInStock: inStock ? new Date().toLocaleString() : null
-    };
+    const previousStatus = recordStockResult(product, result);
+    const { confirmed, notify } = await confirmStockAlert(product, result);
+    checkPriceTarget(product, result, previousStatus);
     
-    // If in stock and auto-checkout is enabled, add to cart
-    if (inStock && product.autoCheckout && !cartProcessInProgress) {
-      notifyStockAvailable(product);
-      cartProcessInProgress = true;
-      await addToCartAutomatically(product);
-      cartProcessInProgress = false;
+    if (notify) {
+      notifyStockAvailable(product, result);
     }
     
-    // Broadcast stock status update
-    try {
-      chrome.runtime.sendMessage({
-        action: 'stockStatusUpdate',
-        stockStatus: stockStatus
-      });
-    } catch (e) {
-      console.log("Error sending stockStatusUpdate message:", e);
+    // If confirmed in stock and auto-checkout is enabled, add to cart
+    if (confirmed && product.autoCheckout && !cartProcessInProgress) {
+      setCartProcessInProgress(true);
+      try {
+        await addToCartAutomatically(product, result.price);
+      } finally {
+        setCartProcessInProgress(false);
+      }
     }
     
-    return inStock;
+    return result;
   } catch (error) {
     console.error(`Error checking stock for ${product.url}:`, error);
+    return createStockResult(STOCK_STATUS.UNKNOWN, { reason: 'error', error: error.message });
+  }
+}
+
+// Store a check result in stockStatus and return the entry it replaced
+function recordStockResult(product, result) {
+  const previousStatus = stockStatus[product.url];
+  const now = new Date().toLocaleString();
+  const isKnown = result.status !== STOCK_STATUS.UNKNOWN;
+  
+  stockStatus[product.url] = {
+    status: result.status,
+    inStock: result.inStock,
+    reason: result.reason,
+    debug: result.debug,
+    error: result.error,
+    detector: result.detector,
+    price: result.price ?? null,
+    seller: result.seller || null,
+    thirdPartySeller: !!result.thirdPartySeller,
+    fulfillment: result.fulfillment || null,
+    lastChecked: now,
+    lastCheckedAt: Date.now(),
+    product: product,
+    // Last definite reading, so a failed check in between doesn't count as a change
+    lastKnownStatus: isKnown ? result.status : (previousStatus?.lastKnownStatus || null),
+    lastKnownPrice: result.price ?? previousStatus?.lastKnownPrice ?? null,
+    // Track when it was last in stock
+    lastInStock: result.inStock ? now : (previousStatus?.lastInStock || null),
+    // Consecutive in-stock readings; a failed check neither adds to nor breaks the run
+    inStockStreak: result.inStock ? (previousStatus?.inStockStreak || 0) + 1 : (isKnown ? 0 : (previousStatus?.inStockStreak || 0)),
+    confirming: isKnown ? null : (previousStatus?.confirming || null), // Set by confirmStockAlert
+    lastAlertAt: previousStatus?.lastAlertAt || null,
+    snoozedUntil: previousStatus?.snoozedUntil || null // See snoozeProductAlerts
+  };
+  
+  persistStockStatus();
+  publishStateDelta({ stockStatus: { [product.url]: stockStatus[product.url] } });
+  
+  // Append to the per-product history timeline. Debug output is only kept for
+  // the checks worth explaining: failures, flips and undecided pages.
+  const keepDebug = result.status === STOCK_STATUS.UNKNOWN || !!getSnapshotTrigger(result, previousStatus);
+  recordCheckEvent(product, result, { retailer: getRetailerAdapter(product.url).id, keepDebug }).catch(error => {
+    console.error("Error recording stock history event:", error);
+  });
+  
+  saveSnapshotIfNeeded(product, result, previousStatus);
+  
+  return previousStatus;
+}
+
+// Note what the detector itself said next to the snapshot. Fulfillment and
+// seller policies can override the verdict later; a test fixture built from the
+// snapshot has to expect the detector's own answer.
+function withDetectorVerdict(pageSnapshot, detectorResult) {
+  if (!pageSnapshot) return null;
+  return { ...pageSnapshot, verdict: { inStock: !!detectorResult.inStock, reason: detectorResult.reason || null } };
+}
+
+// Why a check's page is worth keeping: 'state_change' when the product flipped
+// between in and out of stock, the reason when the detector couldn't decide
+// (see SNAPSHOT_REASONS), otherwise null
+function getSnapshotTrigger(result, previousStatus) {
+  const previous = previousStatus?.lastKnownStatus || null;
+  const flipped = result.status !== STOCK_STATUS.UNKNOWN && previous && previous !== result.status;
+  return flipped ? 'state_change' : (SNAPSHOT_REASONS.includes(result.reason) ? result.reason : null);
+}
+
+// captureSnapshot predicate for createAndUseTab: judges the detector's answer
+// against the product's last status while the tab is still open, so the page
+// is only serialized when saveSnapshotIfNeeded would keep it
+function shouldCaptureSnapshot(product, detector) {
+  return (results, ruleOutcome) => {
+    const detectorResult = results && results[0] && results[0].result;
+    if (!detectorResult) return false;
+    
+    const result = stockResultFromDetector(applyDetectionRules(detectorResult, ruleOutcome), detector);
+    return !!getSnapshotTrigger(result, stockStatus[product.url]);
+  };
+}
+
+// Keep the checker tab's DOM when getSnapshotTrigger says it's worth keeping
+function saveSnapshotIfNeeded(product, result, previousStatus) {
+  if (!result.pageSnapshot) return;
+  
+  const previous = previousStatus?.lastKnownStatus || null;
+  const trigger = getSnapshotTrigger(result, previousStatus);
+  if (!trigger) return;
+  
+  saveDomSnapshot(product, result.pageSnapshot, {
+    retailer: getRetailerAdapter(product.url).id,
+    trigger,
+    previousStatus: previous,
+    status: result.status,
+    reason: result.reason,
+    detector: result.detector,
+    detectorVerdict: result.pageSnapshot.verdict || null,
+    debug: result.debug,
+    detectionRules: hasDetectionRules(product) ? product.detectionRules : []
+  }).then(snapshot => {
+    console.log(`Saved ${trigger} page snapshot for ${product.url} (${snapshot.compressedSize} bytes)`);
+  }).catch(error => {
+    console.error("Error saving page snapshot:", error);
+  });
+}
+
+// ======== ALERT CONFIRMATION ========
+// One bad render (say, the red-button heuristic misfiring) shouldn't raise an
+// alarm, so a product has to read in stock several times in a row, with quick
+// re-checks in between, before it alerts or auto-adds to cart. After an alert a
+// cooldown keeps a product that flaps in and out of stock from alerting again.
+const DEFAULT_ALERT_SETTINGS = {
+  alertConfirmations: 2, // Consecutive in-stock readings needed (1 = trust the first)
+  confirmRecheckSeconds: 15, // Delay before each confirming re-check
+  alertCooldownMinutes: 10, // Minimum time between in-stock alerts for one product
+  snoozeMinutes: 60 // How long a notification's Snooze button silences a product
+};
+
+async function getAlertSettings() {
+  const stored = await chrome.storage.sync.get(Object.keys(DEFAULT_ALERT_SETTINGS));
+  return { ...DEFAULT_ALERT_SETTINGS, ...stored };
+}
+
+// Decide what an in-stock reading (already recorded by recordStockResult) may
+// trigger. confirmed: the streak has reached the required readings, so auto-add
+// may run. notify: this is the reading that confirmed it and the product is out
+// of its cooldown. Readings short of confirmation queue a quick re-check.
+async function confirmStockAlert(product, result) {
+  if (!result.inStock) {
+    return { confirmed: false, notify: false };
+  }
+  
+  const settings = await getAlertSettings();
+  const required = Math.max(1, settings.alertConfirmations);
+  const entry = stockStatus[product.url];
+  if (!entry) {
+    return { confirmed: false, notify: false };
+  }
+  
+  if (entry.inStockStreak < required) {
+    console.log(`${product.name} read in stock ${entry.inStockStreak}/${required} times, re-checking to confirm`);
+    updateStockStatusEntry(product.url, { confirming: { readings: entry.inStockStreak, required } });
+    queueConfirmationCheck(product, settings.confirmRecheckSeconds);
+    return { confirmed: false, notify: false };
+  }
+  
+  // Past the confirming reading: this in-stock run was already handled
+  if (entry.inStockStreak > required) {
+    return { confirmed: true, notify: false };
+  }
+  
+  const cooldownMs = settings.alertCooldownMinutes * 60 * 1000;
+  const inCooldown = entry.lastAlertAt && Date.now() - entry.lastAlertAt < cooldownMs;
+  if (inCooldown) {
+    console.log(`${product.name} is back in stock within its alert cooldown, not notifying`);
+  }
+  
+  updateStockStatusEntry(product.url, { confirming: null, lastAlertAt: inCooldown ? entry.lastAlertAt : Date.now() });
+  return { confirmed: true, notify: !inCooldown };
+}
+
+// Re-check a product soon, ahead of its normal schedule
+function queueConfirmationCheck(product, delaySeconds) {
+  if (checkQueue.some(item => item.product.url === product.url)) return;
+  
+  checkQueue.push({ product, delay: delaySeconds * 1000 });
+  persistCheckQueue();
+  processCheckQueue();
+}
+
+function updateStockStatusEntry(url, changes) {
+  if (!stockStatus[url]) return;
+  
+  Object.assign(stockStatus[url], changes);
+  persistStockStatus();
+  publishStateDelta({ stockStatus: { [url]: stockStatus[url] } });
+}
+
+// Alert once when the price reaches the product's target price. A product has to
+// go back above the target before it can alert again.
+function checkPriceTarget(product, result, previousStatus) {
+  const targetPrice = parsePrice(product.targetPrice);
+  if (targetPrice === null || result.price == null || result.price > targetPrice) {
+    return false;
+  }
+  
+  const previousPrice = previousStatus?.lastKnownPrice;
+  if (previousPrice != null && previousPrice <= targetPrice) {
     return false;
   }
+  
+  notifyPriceDrop(product, result, targetPrice);
+  return true;
+}
+
+// Keep the product copy stored alongside its stock status in step with the product list
+function syncStockStatusProduct(product) {
+  if (stockStatus[product.url]) {
+    stockStatus[product.url].product = product;
+    persistStockStatus();
+    publishStateDelta({ stockStatus: { [product.url]: stockStatus[product.url] } });
+  }
+}
+
+// Build a stock check result. `detector` names whatever produced the verdict.
+function createStockResult(status, { reason = null, debug = null, error = null, detector = null, price = null, seller = null, fulfillment = null } = {}) {
+  return {
+    status,
+    inStock: status === STOCK_STATUS.IN_STOCK,
+    reason,
+    debug,
+    error,
+    detector,
+    price,
+    seller,
+    fulfillment
+  };
+}
+
+// Convert the value returned by a page detector into a stock check result
+function stockResultFromDetector(detectorResult, detector = null) {
+  if (!detectorResult) {
+    return createStockResult(STOCK_STATUS.UNKNOWN, {
+      reason: 'no_detector_result',
+      error: 'Detector returned no result',
+      detector
+    });
+  }
+  
+  const { inStock, reason, error, debug, price, seller, fulfillment, ...details } = detectorResult;
+  
+  // Detectors report their own exceptions instead of throwing
+  if (error) {
+    return createStockResult(STOCK_STATUS.UNKNOWN, {
+      reason: reason || 'error',
+      debug: debug || details,
+      error,
+      detector
+    });
+  }
+  
+  return createStockResult(inStock ? STOCK_STATUS.IN_STOCK : STOCK_STATUS.OUT_OF_STOCK, {
+    reason: reason || null,
+    debug: debug || details,
+    detector,
+    price: price ?? null,
+    seller: seller || null,
+    fulfillment: fulfillment && Object.keys(fulfillment).length ? fulfillment : null
+  });
 }
 
 // Router function to check stock based on retailer
 async function checkProductStock(product) {
   try {
-    // Determine which retailer we're checking
-    const isTarget = product.url.includes('target.com');
-    const isBestBuy = product.url.includes('bestbuy.com');
+    const adapter = getRetailerAdapter(product.url);
     
-    // Target-specific stock checking
-    if (isTarget) {
-      return await checkTargetStock(product);
+    // A plain fetch is far cheaper than a tab, so try structured data first.
+    // Structured data can't tell fulfillment modes apart, so skip it when the
+    // product only wants some of them. Custom detection rules only run in the
+    // page, so they skip it too.
+    let result = null;
+    if (!hasDetectionRules(product) && adapter.defaults.structuredData &&
+        getPreferredFulfillmentModes(product).length === FULFILLMENT_MODES.length) {
+      result = await checkStructuredDataStock(product, adapter);
     }
     
-    // Best Buy-specific stock checking
-    else if (isBestBuy) {
-      return await checkBestBuyStock(product);
+    if (!result) {
+      result = await adapter.checkStock(product, adapter);
     }
     
-    // Generic fallback method for other retailers
-    else {
-      return await checkGenericStock(product);
-    }
+    result = applyFulfillmentPreferences(product, result);
+    return applySellerPolicy(product, result, adapter);
   } catch (error) {
     console.error(`Error checking stock for ${product.url}:`, error);
-    return false;
+    return createStockResult(STOCK_STATUS.UNKNOWN, { reason: 'error', error: error.message });
   }
 }
 
-// ======== RETAILER-SPECIFIC STOCK CHECKING ========
-async function checkTargetStock(product) {
+// Find the monitored product a page belongs to. Pages often carry extra query
+// parameters, so fall back to matching on origin + path.
+function findProductByPageUrl(pageUrl) {
+  const exact = monitoredProducts.find(p => p.url === pageUrl);
+  if (exact) return exact;
+  
   try {
-    console.log(`Checking stock for: ${product.url}`);
-    
-    // Use the shared tab management function
-    const { results, error } = await createAndUseTab(
-      product.url, 
-      4000, 
-      simpleTargetStockCheck
-    );
-    
-    if (error) {
-      console.error(`Tab creation/operation error: ${error.message}`);
-      return false;
-    }
+    const page = new URL(pageUrl);
+    return monitoredProducts.find(p => {
+      try {
+        const productUrl = new URL(p.url);
+        return productUrl.origin === page.origin && productUrl.pathname === page.pathname;
+      } catch (error) {
+        return false;
+      }
+    }) || null;
+  } catch (error) {
+    return null;
+  }
+}
+
+// The fulfillment modes a product cares about (all of them if it didn't pick any)
+function getPreferredFulfillmentModes(product) {
+  const modes = (product.fulfillmentModes || []).filter(mode => FULFILLMENT_MODES.includes(mode));
+  return modes.length ? modes : FULFILLMENT_MODES;
+}
+
+// When the page reported per-mode availability, the product is in stock only if
+// one of its preferred modes is available. Pages that show none of those modes
+// keep the detector's overall verdict.
+function applyFulfillmentPreferences(product, result) {
+  const fulfillment = result.fulfillment;
+  if (!fulfillment || !product.fulfillmentModes || product.fulfillmentModes.length === 0) {
+    return result;
+  }
+  
+  const reportedModes = getPreferredFulfillmentModes(product).filter(mode => fulfillment[mode]);
+  if (reportedModes.length === 0) {
+    return result;
+  }
+  
+  const availableMode = reportedModes.find(mode => fulfillment[mode].available);
+  if (availableMode) {
+    return { ...result, status: STOCK_STATUS.IN_STOCK, inStock: true, reason: `${availableMode}_available` };
+  }
+  
+  return {
+    ...result,
+    status: STOCK_STATUS.OUT_OF_STOCK,
+    inStock: false,
+    reason: 'preferred_fulfillment_unavailable'
+  };
+}
+
+// Only first-party stock counts unless the product allows third-party sellers.
+// A marketplace listing has an enabled "Add to cart" button, but for us it's out of stock.
+function applySellerPolicy(product, result, adapter) {
+  result.thirdPartySeller = isThirdPartySeller(result.seller, adapter, product.url);
+  
+  if (result.status === STOCK_STATUS.IN_STOCK && result.thirdPartySeller && !product.allowThirdParty) {
+    console.log(`${product.name} is only available from third-party seller ${result.seller}`);
+    return {
+      ...result,
+      status: STOCK_STATUS.OUT_OF_STOCK,
+      inStock: false,
+      reason: 'third_party_seller_only'
+    };
+  }
+  
+  return result;
+}
+
+// Second-level labels that sit under a country code, as in example.co.uk
+const COUNTRY_SECOND_LEVEL_DOMAINS = ['co', 'com', 'net', 'org', 'gov', 'edu', 'ac'];
+
+// The name a site is registered under: "example" for shop.example.com or
+// www.example.co.uk. Good enough for matching seller names, not a full public
+// suffix list.
+function getRegistrableName(hostname) {
+  const labels = hostname.toLowerCase().split('.').filter(Boolean);
+  if (labels.length < 2) return labels[0] || '';
+  
+  const [secondLevel, topLevel] = labels.slice(-2);
+  const hasCountrySuffix = labels.length >= 3 && topLevel.length === 2 && COUNTRY_SECOND_LEVEL_DOMAINS.includes(secondLevel);
+  return labels[labels.length - (hasCountrySuffix ? 3 : 2)];
+}
+
+// Compare names without case, spacing, punctuation or accents ("Pokémon Center" -> "pokemoncenter")
+function normalizeSellerName(name) {
+  return name.normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+// True when a "sold by" name isn't the retailer itself. No seller line means the
+// retailer sells it. Unregistered stores are matched against their domain name;
+// their detector only reports a seller found in a seller element or structured
+// data, never loose "sold by" text elsewhere on the page.
+function isThirdPartySeller(sellerName, adapter, url) {
+  if (!sellerName) return false;
+  
+  let firstPartySellers = adapter.firstPartySellers || [];
+  if (firstPartySellers.length === 0) {
+    try {
+      firstPartySellers = [getRegistrableName(new URL(url).hostname)];
+    } catch (error) {
+      return false;
+    }
+  }
+  
+  const seller = normalizeSellerName(sellerName);
+  return !firstPartySellers.some(name => seller.startsWith(normalizeSellerName(name)));
+}
+
+// Router function to add a product to the cart based on retailer
+async function addProductToCart(product, directCartUrl, purchaseCount) {
+  const adapter = getRetailerAdapter(product.url);
+  return await adapter.addToCart(product, directCartUrl, purchaseCount, adapter);
+}
+
+// ======== DETECTION RULES ========
+// Products the built-in detectors misread can carry their own rules. They are
+// evaluated in the page by evaluateDetectionRules, right after the product's
+// adapter detector, so a Target or Best Buy product keeps its own detector and
+// location setup. Rule shape:
+//   { type, selector?, text?, pattern?, result: 'in_stock' | 'out_of_stock' }
+// The first rule that matches decides; if none match, the detector does.
+// Each type lists the fields it needs:
+//   selector_enabled      - element exists and isn't disabled
+//   selector_exists       - element exists
+//   text_present          - page text contains text (case-insensitive)
+//   selector_text_matches - element's text matches regex pattern
+const DETECTION_RULE_TYPES = {
+  selector_enabled: ['selector'],
+  selector_exists: ['selector'],
+  text_present: ['text'],
+  selector_text_matches: ['selector', 'pattern']
+};
+
+function hasDetectionRules(product) {
+  return Array.isArray(product.detectionRules) && product.detectionRules.length > 0;
+}
+
+// Combine the detector's result with evaluateDetectionRules' outcome. A matched
+// rule overrides the verdict (and a detector error); the per-rule results go
+// along either way for the diagnostics panel.
+function applyDetectionRules(detectorResult, ruleOutcome) {
+  if (!ruleOutcome) return detectorResult;
+  
+  const { matchedRule, ruleResults } = ruleOutcome;
+  if (!matchedRule) {
+    return { ...detectorResult, ruleResults };
+  }
+  
+  return {
+    ...detectorResult,
+    inStock: matchedRule.rule.result === 'in_stock',
+    reason: `rule_${matchedRule.index + 1}_${matchedRule.rule.type}`,
+    error: null,
+    ruleResults
+  };
+}
+
+// Check rules before they're saved or tested. Returns { rules } with only the
+// fields each rule type uses, or { error } describing the first bad rule.
+function validateDetectionRules(rules) {
+  if (!Array.isArray(rules)) {
+    return { error: "Detection rules must be a list" };
+  }
+  
+  const validRules = [];
+  for (const [index, rule] of rules.entries()) {
+    const fields = rule && DETECTION_RULE_TYPES[rule.type];
+    if (!fields) {
+      return { error: `Rule ${index + 1}: unknown type "${rule?.type}"` };
+    }
+    if (rule.result !== STOCK_STATUS.IN_STOCK && rule.result !== STOCK_STATUS.OUT_OF_STOCK) {
+      return { error: `Rule ${index + 1}: result must be in_stock or out_of_stock` };
+    }
     
-    if (results && results[0] && results[0].result) {
-      const checkResult = results[0].result;
-      console.log("Simple Target stock check results:", checkResult);
-      return checkResult.inStock;
+    const validRule = { type: rule.type, result: rule.result };
+    for (const field of fields) {
+      if (typeof rule[field] !== 'string' || !rule[field].trim()) {
+        return { error: `Rule ${index + 1}: missing ${field}` };
+      }
+      validRule[field] = rule[field].trim();
     }
     
-    return false;
+    if (validRule.pattern) {
+      try {
+        new RegExp(validRule.pattern, 'i');
+      } catch (error) {
+        return { error: `Rule ${index + 1}: invalid regex (${error.message})` };
+      }
+    }
+    
+    validRules.push(validRule);
+  }
+  
+  return { rules: validRules };
+}
+
+// ======== RETAILER ADAPTERS ========
+// Each retailer is described by one adapter object. Supporting a new store
+// means registering an adapter here; the routers above never change.
+//
+// Adapter shape:
+//   id               - unique key, e.g. 'target'
+//   name             - display name
+//   hostPatterns     - hostnames handled (subdomains match too)
+//   detector         - page function injected into the product tab
+//   checkStock       - async (product, adapter) => stock result (see createStockResult)
+//   addToCart        - async (product, directCartUrl, purchaseCount, adapter) => result
+//   extractProductId - (url) => retailer product ID or ''
+//   firstPartySellers - "sold by" names that mean the retailer itself (empty: use the domain name)
+//   setLocation      - optional async (product) => restore; points the store at the
+//                      product's zipCode / storeId before its page is loaded, and
+//                      resolves to an async function that puts the user's own
+//                      location back. Runs inside the tab lock (see createAndUseTab).
+//   listingSelectors - selectors for product title links on search/category pages
+//                      (keyword watches); empty uses generic product-link patterns
+//   defaults         - { pageLoadDelay, cartUrlPattern, structuredData }
+//                      structuredData: try the fetch-based structured data check
+//                      before opening a tab
+const retailerAdapters = [];
+
+// Fallback used when no registered adapter matches a URL
+const genericRetailerAdapter = {
+  id: 'generic',
+  name: 'Generic',
+  hostPatterns: [],
+  detector: checkButtonDisabledStateGeneric,
+  checkStock: checkGenericStock,
+  addToCart: addToCartGeneric,
+  extractProductId: () => '',
+  firstPartySellers: [],
+  listingSelectors: [],
+  defaults: {
+    pageLoadDelay: 3000,
+    cartUrlPattern: 'cart',
+    structuredData: true
+  }
+};
+
+function registerRetailerAdapter(adapter) {
+  if (!adapter || !adapter.id || !Array.isArray(adapter.hostPatterns) ||
+      typeof adapter.addToCart !== 'function') {
+    throw new Error(`Invalid retailer adapter: ${adapter?.id || 'unknown'}`);
+  }
+  
+  const registered = {
+    checkStock: checkStockInTab,
+    extractProductId: () => '',
+    firstPartySellers: [],
+    listingSelectors: [],
+    ...adapter,
+    defaults: { ...genericRetailerAdapter.defaults, ...(adapter.defaults || {}) }
+  };
+  
+  // Replace an adapter with the same id rather than registering it twice
+  const existingIndex = retailerAdapters.findIndex(a => a.id === adapter.id);
+  if (existingIndex >= 0) {
+    retailerAdapters[existingIndex] = registered;
+  } else {
+    retailerAdapters.push(registered);
+  }
+  
+  return registered;
+}
+
+// Find the adapter responsible for a product URL
+function getRetailerAdapter(url) {
+  let hostname = '';
+  try {
+    hostname = new URL(url).hostname.toLowerCase();
   } catch (error) {
-    console.error(`Error checking Target stock for ${product.url}:`, error);
-    return false;
+    return genericRetailerAdapter;
+  }
+  
+  const adapter = retailerAdapters.find(a => a.hostPatterns.some(pattern =>
+    hostname === pattern || hostname.endsWith(`.${pattern}`)
+  ));
+  
+  return adapter || genericRetailerAdapter;
+}
+
+registerRetailerAdapter({
+  id: 'target',
+  name: 'Target',
+  hostPatterns: ['target.com'],
+  detector: simpleTargetStockCheck,
+  addToCart: addToCartTarget,
+  extractProductId: extractTargetTcin,
+  firstPartySellers: ['Target'],
+  setLocation: setTargetLocation,
+  listingSelectors: ['a[data-test="product-title"]'],
+  defaults: {
+    pageLoadDelay: 4000,
+    cartUrlPattern: 'target.com/cart'
+  }
+});
+
+registerRetailerAdapter({
+  id: 'bestbuy',
+  name: 'Best Buy',
+  hostPatterns: ['bestbuy.com'],
+  detector: checkButtonDisabledStateBestBuy,
+  addToCart: addToCartBestBuy,
+  extractProductId: extractBestBuySku,
+  firstPartySellers: ['Best Buy', 'BestBuy'],
+  setLocation: setBestBuyLocation,
+  listingSelectors: ['.sku-title a', '.sku-header a'],
+  defaults: {
+    pageLoadDelay: 4000,
+    cartUrlPattern: 'bestbuy.com/cart'
+  }
+});
+
+// ======== RETAILER-SPECIFIC STOCK CHECKING ========
+const STRUCTURED_DATA_FETCH_TIMEOUT_MS = 10000;
+
+// Fast path: fetch the product HTML and read its JSON-LD / microdata / OpenGraph
+// availability. Returns a stock result, or null when the page has no usable
+// structured data (or couldn't be fetched) and the tab detector should decide.
+async function checkStructuredDataStock(product, adapter) {
+  const controller = new AbortController();
+  const timeoutId = setTimeout(() => controller.abort(), STRUCTURED_DATA_FETCH_TIMEOUT_MS);
+  
+  try {
+    const response = await fetch(product.url, {
+      headers: getRandomizedHeaders(),
+      credentials: 'omit',
+      signal: controller.signal
+    });
+    
+    if (!response.ok) {
+      console.log(`Structured data fetch for ${product.url} returned HTTP ${response.status}, using tab check`);
+      return null;
+    }
+    
+    const html = await response.text();
+    const { status, source, availability } = parseStructuredAvailability(html);
+    
+    if (!status) {
+      console.log(`No usable structured data for ${product.url} (${source ? `ambiguous ${source}` : 'none found'}), using tab check`);
+      return null;
+    }
+    
+    console.log(`${adapter.name} structured data for ${product.url}: ${availability.join(', ')} (${source})`);
+    return createStockResult(status, {
+      reason: `${source}_availability`,
+      debug: { source, availability },
+      detector: 'structured_data',
+      price: parseStructuredPrice(html),
+      seller: parseStructuredSeller(html)
+    });
+  } catch (error) {
+    console.log(`Structured data check failed for ${product.url}: ${error.message}, using tab check`);
+    return null;
+  } finally {
+    clearTimeout(timeoutId);
   }
 }
 
-async function checkBestBuyStock(product) {
+// Default checker: load the product page in a background tab and run the adapter's detector
+async function checkStockInTab(product, adapter) {
   try {
-    console.log(`Checking stock for Best Buy: ${product.url}`);
+    console.log(`Checking stock for ${adapter.name}: ${product.url}`);
+    
+    // Pickup and delivery depend on location, so set it before the page loads.
+    // Other checks may want a different location, so this happens inside the tab lock.
+    const hasLocation = adapter.setLocation && (product.zipCode || product.storeId);
     
     // Use the shared tab management function
-    const { results, error } = await createAndUseTab(
+    const { results, error, pageSnapshot, ruleOutcome } = await createAndUseTab(
       product.url, 
-      4000, 
-      checkButtonDisabledStateBestBuy
+      adapter.defaults.pageLoadDelay, 
+      adapter.detector,
+      [],
+      {
+        captureSnapshot: shouldCaptureSnapshot(product, adapter.detector.name),
+        prepare: hasLocation ? () => adapter.setLocation(product) : null,
+        detectionRules: product.detectionRules
+      }
     );
     
+    const detector = adapter.detector.name;
+    
     if (error) {
       console.error(`Tab creation/operation error: ${error.message}`);
-      return false;
+      return createStockResult(STOCK_STATUS.UNKNOWN, {
+        reason: hasDetectionRules(product) ? 'rules_not_run' : 'tab_error',
+        error: error.message,
+        detector
+      });
     }
     
     if (results && results[0] && results[0].result) {
-      console.log("Best Buy stock check results:", results[0].result);
-      return results[0].result.inStock;
+      const detectorResult = applyDetectionRules(results[0].result, ruleOutcome);
+      console.log(`${adapter.name} stock check results:`, detectorResult);
+      return {
+        ...stockResultFromDetector(detectorResult, detector),
+        pageSnapshot: withDetectorVerdict(pageSnapshot, detectorResult)
+      };
     }
     
-    return false;
+    return {
+      ...createStockResult(STOCK_STATUS.UNKNOWN, {
+        reason: 'no_detector_result',
+        error: 'Page script returned no result',
+        detector
+      }),
+      pageSnapshot
+    };
   } catch (error) {
-    console.error(`Error checking Best Buy stock for ${product.url}:`, error);
-    return false;
+    console.error(`Error checking ${adapter.name} stock for ${product.url}:`, error);
+    return createStockResult(STOCK_STATUS.UNKNOWN, { reason: 'error', error: error.message, detector: adapter.detector.name });
   }
 }
 
-async function checkGenericStock(product) {
+async function checkGenericStock(product, adapter = genericRetailerAdapter) {
   try {
     // Create a browser tab to check the actual button state (most reliable)
-    const { results, error } = await createAndUseTab(
+    const { results, error, pageSnapshot, ruleOutcome } = await createAndUseTab(
       product.url, 
-      3000, 
-      checkButtonDisabledStateGeneric
+      adapter.defaults.pageLoadDelay, 
+      adapter.detector,
+      [],
+      {
+        captureSnapshot: shouldCaptureSnapshot(product, adapter.detector.name),
+        detectionRules: product.detectionRules
+      }
     );
     
     if (error) {
       console.error(`Tab creation/operation error: ${error.message}`);
     } else if (results && results[0] && results[0].result) {
-      console.log("Generic site button check results:", results[0].result);
-      return results[0].result.inStock;
+      const detectorResult = applyDetectionRules(results[0].result, ruleOutcome);
+      console.log("Generic site button check results:", detectorResult);
+      return {
+        ...stockResultFromDetector(detectorResult, adapter.detector.name),
+        pageSnapshot: withDetectorVerdict(pageSnapshot, detectorResult)
+      };
+    }
+    
+    // The user's rules only run in the tab (usually it failed for lack of the
+    // site's host permission). Answering from page text instead would hide that.
+    if (hasDetectionRules(product)) {
+      return createStockResult(STOCK_STATUS.UNKNOWN, {
+        reason: 'rules_not_run',
+        error: `Detection rules could not run: ${error ? error.message : 'page script returned no result'}`,
+        detector: adapter.detector.name
+      });
     }
     
     // If browser check fails, fall back to HTML parsing
@@ -310,7 +1396,13 @@ async function checkGenericStock(product) {
       credentials: 'omit'
     });
     
-    if (!response.ok) return false;
+    if (!response.ok) {
+      return createStockResult(STOCK_STATUS.UNKNOWN, {
+        reason: 'http_error',
+        error: `HTTP ${response.status} fetching product page`,
+        detector: 'html_fallback'
+      });
+    }
     
     const text = await response.text();
     
@@ -333,10 +1425,23 @@ async function checkGenericStock(product) {
     const isOutOfStock = outOfStockIndicators.some(indicator => 
       text.toLowerCase().includes(indicator.toLowerCase()));
     
-    return isInStock && !isOutOfStock;
+    const debug = { isInStock, isOutOfStock };
+    const detector = 'html_fallback';
+    const price = parseStructuredPrice(text);
+    
+    if (isInStock && !isOutOfStock) {
+      return createStockResult(STOCK_STATUS.IN_STOCK, { reason: 'html_in_stock_text', debug, detector, price });
+    }
+    
+    if (isOutOfStock) {
+      return createStockResult(STOCK_STATUS.OUT_OF_STOCK, { reason: 'html_out_of_stock_text', debug, detector, price });
+    }
+    
+    // Neither set of indicators found: we can't tell either way
+    return createStockResult(STOCK_STATUS.UNKNOWN, { reason: 'no_clear_indicators', debug, detector });
   } catch (error) {
     console.error(`Error checking generic stock for ${product.url}:`, error);
-    return false;
+    return createStockResult(STOCK_STATUS.UNKNOWN, { reason: 'error', error: error.message });
   }
 }
 
@@ -348,9 +1453,52 @@ function simpleTargetStockCheck() {
     const result = {
       inStock: false,
       reason: "default",
+      price: null,
+      seller: null,
+      fulfillment: {},
       debug: {}
     };
     
+    // Read the current price and seller first so every return below carries them.
+    // Target Plus partner listings say "Sold and shipped by <partner>" in the seller
+    // section. Only look there and in the fulfillment cells: carousels and reviews
+    // on a page Target sells itself can name other sellers.
+    const priceElement = document.querySelector('[data-test="product-price"]');
+    const priceMatch = priceElement && priceElement.textContent.replace(/,/g, '').match(/\d+(?:\.\d+)?/);
+    result.price = priceMatch ? parseFloat(priceMatch[0]) : null;
+    
+    const sellerElements = document.querySelectorAll(
+      '[data-test="targetPlusExtraInfoSection"], [data-test*="sellerName" i], button[data-test^="fulfillment-cell"]'
+    );
+    const sellerMatch = Array.from(sellerElements)
+      .map(element => element.innerText.match(/sold (?:and|&) shipped by\s+([^\n]+)/i))
+      .find(Boolean);
+    result.seller = sellerMatch ? sellerMatch[1].trim().slice(0, 80) : null;
+    
+    // Per-mode availability from the fulfillment cells; pickup names the store
+    const fulfillmentCells = {
+      shipping: 'fulfillment-cell-shipping',
+      pickup: 'fulfillment-cell-pickup',
+      delivery: 'fulfillment-cell-delivery'
+    };
+    result.fulfillment = {};
+    for (const [mode, testId] of Object.entries(fulfillmentCells)) {
+      const cell = document.querySelector(`button[data-test="${testId}"]`);
+      if (!cell) continue;
+      
+      const cellText = cell.innerText.replace(/\s+/g, ' ').trim();
+      const unavailable = cell.disabled ||
+                          cell.getAttribute('aria-disabled') === 'true' ||
+                          /not available|unavailable|out of stock|sold out/i.test(cellText);
+      const storeMatch = mode === 'pickup' && cellText.match(/\bat\s+(.+?)(?:\s+(?:Ready|Order|Check|Today|Tomorrow)\b|$)/i);
+      
+      result.fulfillment[mode] = {
+        available: !unavailable,
+        store: storeMatch ? storeMatch[1].trim() : null,
+        detail: cellText.slice(0, 120)
+      };
+    }
+    
     // 1. Check for RED "Add to cart" button (most reliable in-stock indicator)
     const allButtons = document.querySelectorAll('button');
     let addToCartButton = null;
@@ -433,7 +1581,7 @@ function simpleTargetStockCheck() {
     // 6. Final fallback: check if the page has a quantity selector and enabled "Add to cart" button
     const hasQuantitySelector = document.querySelector('div[data-test="qtySpinner"]') || 
                                document.querySelector('select[id="quantity"]');
-                               
+    
     result.debug.hasQuantitySelector = !!hasQuantitySelector;
     
     if (hasQuantitySelector && addToCartButton && !addToCartButton.disabled) {
@@ -445,7 +1593,7 @@ function simpleTargetStockCheck() {
     // Default: if we can't find clear in-stock indicators, consider it out of stock
     result.reason = "no_clear_indicators";
     return result;
-    
+  
   } catch (error) {
     console.error("Error in simple Target stock check:", error);
     return { 
@@ -504,15 +1652,105 @@ function checkButtonDisabledStateBestBuy() {
       'coming soon'
     ].some(text => pageText.includes(text));
     
+    let reason = "enabled_add_to_cart_button";
+    if (hasOutOfStockText) {
+      reason = "out_of_stock_text";
+    } else if (!hasEnabledAddToCartButton) {
+      reason = "no_enabled_add_to_cart_button";
+    }
+    
+    // Current price (the customer price block, not the crossed-out "was" price)
+    const priceElement = document.querySelector('[data-testid="customer-price"] span') ||
+                         document.querySelector('.priceView-customer-price span') ||
+                         document.querySelector('.priceView-hero-price span');
+    const priceMatch = priceElement && priceElement.textContent.replace(/,/g, '').match(/\d+(?:\.\d+)?/);
+    
+    // Marketplace listings name their seller ("Sold by <seller>") in the seller
+    // info block or the fulfillment summary. Nowhere else: recommendation
+    // carousels on a page Best Buy sells itself can name marketplace sellers.
+    const sellerElements = document.querySelectorAll(
+      '.marketplace-seller-info, [data-testid*="marketplace-seller" i], .fulfillment-fulfillment-summary'
+    );
+    const sellerMatch = Array.from(sellerElements)
+      .map(element => element.innerText.match(/sold (?:(?:and|&) shipped )?by\s+([^\n]+)/i))
+      .find(Boolean);
+    
+    // Per-mode availability from the fulfillment summary, one line per mode,
+    // e.g. "Pick up in 1 hour at Richfield" or "Shipping: Unavailable"
+    const fulfillment = {};
+    const fulfillmentElement = document.querySelector('.fulfillment-fulfillment-summary') ||
+                               document.querySelector('[class*="fulfillment-summary"]');
+    if (fulfillmentElement) {
+      const lines = fulfillmentElement.innerText.split('\n').map(line => line.trim()).filter(Boolean);
+      const modePatterns = {
+        pickup: /pick ?up/i,
+        delivery: /same[- ]day/i,
+        shipping: /shipping|get it by/i
+      };
+      
+      for (const [mode, pattern] of Object.entries(modePatterns)) {
+        const line = lines.find(text => pattern.test(text));
+        if (!line) continue;
+        
+        const storeMatch = mode === 'pickup' && line.match(/\sat\s+(.+)$/i);
+        fulfillment[mode] = {
+          available: !/unavailable|not available|sold out/i.test(line),
+          store: storeMatch ? storeMatch[1].trim() : null,
+          detail: line.slice(0, 120)
+        };
+      }
+    }
+    
     return {
       inStock: hasEnabledAddToCartButton && !hasOutOfStockText,
+      reason: reason,
+      price: priceMatch ? parseFloat(priceMatch[0]) : null,
+      seller: sellerMatch ? sellerMatch[1].trim().slice(0, 80) : null,
+      fulfillment: fulfillment,
       foundButtons: foundButtons,
       hasOutOfStockText: hasOutOfStockText
     };
   } catch (error) {
     console.error("Error in Best Buy button check:", error);
-    return { inStock: false, error: error.toString() };
+    return { inStock: false, reason: "error", error: error.toString() };
+  }
+}
+
+// Evaluate a product's detection rules in its page, after the adapter's own
+// detector has run in the same tab (see applyDetectionRules). Rules run in
+// order and the first one that matches decides; a rule that throws (bad
+// selector or regex) is reported and skipped.
+function evaluateDetectionRules(rules) {
+  const ruleResults = [];
+  let matchedRule = null;
+  for (const [index, rule] of rules.entries()) {
+    try {
+      let matched = false;
+      if (rule.type === 'selector_enabled') {
+        const element = document.querySelector(rule.selector);
+        matched = !!element &&
+                  !element.disabled &&
+                  !element.classList.contains('disabled') &&
+                  element.getAttribute('aria-disabled') !== 'true';
+      } else if (rule.type === 'selector_exists') {
+        matched = !!document.querySelector(rule.selector);
+      } else if (rule.type === 'text_present') {
+        matched = document.body.innerText.toLowerCase().includes(rule.text.toLowerCase());
+      } else if (rule.type === 'selector_text_matches') {
+        const element = document.querySelector(rule.selector);
+        matched = !!element && new RegExp(rule.pattern, 'i').test(element.textContent);
+      }
+      
+      ruleResults.push({ rule: index + 1, matched });
+      if (matched && !matchedRule) {
+        matchedRule = { index, rule };
+      }
+    } catch (ruleError) {
+      ruleResults.push({ rule: index + 1, matched: false, error: ruleError.toString() });
+    }
   }
+  
+  return { matchedRule, ruleResults };
 }
 
 function checkButtonDisabledStateGeneric() {
@@ -588,21 +1826,188 @@ function checkButtonDisabledStateGeneric() {
       'coming soon'
     ].some(text => pageText.includes(text));
     
+    let reason = "enabled_add_to_cart_button";
+    if (hasOutOfStockText) {
+      reason = "out_of_stock_text";
+    } else if (!hasEnabledAddToCartButton) {
+      reason = "no_enabled_add_to_cart_button";
+    }
+    
+    // Current price, only from machine-readable markup: JSON-LD offers, then
+    // microdata, then OpenGraph (the order parseStructuredPrice uses). Elements
+    // merely styled as prices include "was" prices and shipping, so no price
+    // (null) is better than a guess that max-price checks would trust.
+    const findOfferPrice = node => {
+      if (!node || typeof node !== 'object') return null;
+      const types = [].concat(node['@type'] || []).join(' ');
+      if (/Offer\b/.test(types) && (node.price ?? node.lowPrice) != null) {
+        return String(node.price ?? node.lowPrice);
+      }
+      for (const value of Object.values(node)) {
+        const price = findOfferPrice(value);
+        if (price !== null) return price;
+      }
+      return null;
+    };
+    let jsonLdPrice = null;
+    for (const script of document.querySelectorAll('script[type="application/ld+json"]')) {
+      try {
+        jsonLdPrice = findOfferPrice(JSON.parse(script.textContent));
+      } catch (error) {
+        // Malformed JSON-LD is common; try the next block
+      }
+      if (jsonLdPrice !== null) break;
+    }
+    const priceElement = document.querySelector('[itemprop="price"]');
+    const priceMeta = document.querySelector('meta[property="product:price:amount"], meta[property="og:price:amount"]');
+    const priceText = jsonLdPrice ||
+                      (priceElement && (priceElement.getAttribute('content') || priceElement.textContent)) ||
+                      (priceMeta && priceMeta.getAttribute('content')) ||
+                      '';
+    const priceMatch = priceText.replace(/,/g, '').match(/\d+(?:\.\d+)?/);
+    
+    // Seller, only from an element marked up as one: on an unknown site, "sold by"
+    // text elsewhere (reviews, related items) would mislabel the retailer's own stock
+    // (microdata names the seller; other seller-ish elements must say "sold by")
+    const sellerPattern = /sold (?:(?:and|&) shipped )?by\s+([^\n]+)/i;
+    const microdataSeller = document.querySelector('[itemprop="seller"] [itemprop="name"]') ||
+                            document.querySelector('[itemprop="seller"]');
+    const microdataSellerName = microdataSeller ? microdataSeller.innerText.trim().split('\n')[0] : '';
+    const sellerMatch = microdataSellerName
+      ? [microdataSellerName, microdataSellerName]
+      : Array.from(document.querySelectorAll('[data-testid*="seller" i], [class*="seller" i], [id*="seller" i]'))
+          .map(element => element.innerText.match(sellerPattern))
+          .find(Boolean) || null;
+    
     return {
       inStock: hasEnabledAddToCartButton && !hasOutOfStockText,
+      reason: reason,
+      price: priceMatch ? parseFloat(priceMatch[0]) : null,
+      seller: sellerMatch ? sellerMatch[1].trim().slice(0, 80) : null,
       foundButtons: foundButtons,
       hasOutOfStockText: hasOutOfStockText
     };
   } catch (error) {
     console.error("Error in generic button check:", error);
-    return { inStock: false, error: error.toString() };
+    return { inStock: false, reason: "error", error: error.toString() };
+  }
+}
+
+// Collect { name, url } for every product tile on a search or category page
+function extractProductTiles(tileSelectors) {
+  try {
+    const selectors = tileSelectors.length ? tileSelectors : [
+      'a[href*="/p/"]',
+      'a[href*="/product/"]',
+      'a[href*="/products/"]',
+      'a[href*="/dp/"]',
+      'a[href*="/ip/"]'
+    ];
+    
+    const tiles = [];
+    const seenUrls = new Set();
+    
+    for (const selector of selectors) {
+      for (const link of document.querySelectorAll(selector)) {
+        const name = (link.innerText || link.getAttribute('aria-label') || link.title || '')
+          .replace(/\s+/g, ' ')
+          .trim();
+        if (!link.href || !name) continue;
+        
+        // Tracking parameters change between visits; the path identifies the product
+        const url = new URL(link.href, location.href);
+        const productUrl = `${url.origin}${url.pathname}`;
+        if (seenUrls.has(productUrl)) continue;
+        
+        seenUrls.add(productUrl);
+        tiles.push({ name: name.slice(0, 200), url: productUrl });
+      }
+    }
+    
+    return { tiles };
+  } catch (error) {
+    console.error("Error extracting product tiles:", error);
+    return { tiles: [], error: error.toString() };
+  }
+}
+
+// Serialize the page for a snapshot. Scripts, styles, media and event handlers
+// are dropped to keep it small and inert; the computed styles the detectors
+// look at (button colour and cursor, hidden elements) are written inline first
+// so the snapshot still reads the same once the stylesheets are gone.
+function captureDomSnapshot(maxChars) {
+  try {
+    const clone = document.documentElement.cloneNode(true);
+    const originals = document.body.querySelectorAll('*');
+    const copies = clone.querySelector('body').querySelectorAll('*');
+    
+    originals.forEach((element, index) => {
+      const copy = copies[index];
+      const style = getComputedStyle(element);
+      
+      if (style.display === 'none') {
+        copy.style.display = 'none';
+      } else if (element.matches('button, a, input')) {
+        copy.style.backgroundColor = style.backgroundColor;
+        copy.style.cursor = style.cursor;
+      }
+    });
+    
+    clone.querySelectorAll('script, style, link, noscript, iframe, svg, template, video, audio, canvas, picture source').forEach(element => element.remove());
+    
+    for (const element of clone.querySelectorAll('*')) {
+      for (const attribute of Array.from(element.attributes)) {
+        const isHandler = attribute.name.startsWith('on');
+        const isInlineData = /^(src|srcset|href)$/.test(attribute.name) && /^\s*(data|javascript):/i.test(attribute.value);
+        if (isHandler || isInlineData || attribute.name === 'srcset') {
+          element.removeAttribute(attribute.name);
+        }
+      }
+    }
+    
+    const walker = document.createTreeWalker(clone, NodeFilter.SHOW_COMMENT);
+    const comments = [];
+    while (walker.nextNode()) comments.push(walker.currentNode);
+    comments.forEach(comment => comment.remove());
+    
+    const html = `<!DOCTYPE html>\n${clone.outerHTML.replace(/\n\s*\n+/g, '\n')}`;
+    
+    return {
+      url: location.href,
+      title: document.title,
+      html: html.slice(0, maxChars),
+      originalLength: document.documentElement.outerHTML.length,
+      truncated: html.length > maxChars
+    };
+  } catch (error) {
+    console.error("Error capturing page snapshot:", error);
+    return null;
   }
 }
 
 // ======== ADD TO CART FUNCTIONS ========
 // Main function to handle automatic cart addition for monitored products
-async function addToCartAutomatically(product) {
+// Never buy above the product's max price. If we couldn't read the price
+// there's no way to know, so don't buy then either. Returns why not, or null.
+function getMaxPriceError(product, price) {
+  const maxPrice = parsePrice(product.maxPrice);
+  if (maxPrice === null || (price != null && price <= maxPrice)) {
+    return null;
+  }
+  return price == null
+    ? `Price unknown; max price is $${maxPrice.toFixed(2)}`
+    : `Price $${price.toFixed(2)} is above max price $${maxPrice.toFixed(2)}`;
+}
+
+async function addToCartAutomatically(product, price = null) {
   try {
+    const priceError = getMaxPriceError(product, price);
+    if (priceError) {
+      console.log(`Not adding ${product.name} to cart: ${priceError}`);
+      setCartProgress(product, 'price_too_high', { automatic: true, error: priceError });
+      return false;
+    }
+    
     // Check purchase limit
     const result = await chrome.storage.sync.get(['purchaseCount', 'purchaseLimit']);
     const purchaseCount = result.purchaseCount || 0;
@@ -610,22 +2015,14 @@ async function addToCartAutomatically(product) {
     
     if (purchaseCount >= purchaseLimit) {
       console.log(`Purchase limit reached (${purchaseLimit}). Cannot add to cart.`);
+      setCartProgress(product, 'limit_reached', { automatic: true });
       return false;
     }
     
-    // Determine which retailer
-    const isTarget = product.url.includes('target.com');
-    const isBestBuy = product.url.includes('bestbuy.com');
+    setCartProgress(product, 'adding', { automatic: true });
     
     // Add to cart based on retailer
-    let cartResult;
-    if (isTarget) {
-      cartResult = await addToCartTarget(product, product.addToCartUrl, purchaseCount);
-    } else if (isBestBuy) {
-      cartResult = await addToCartBestBuy(product, product.addToCartUrl, purchaseCount);
-    } else {
-      cartResult = await addToCartGeneric(product, product.addToCartUrl, purchaseCount);
-    }
+    const cartResult = await addProductToCart(product, product.addToCartUrl, purchaseCount);
     
     // If adding to cart was successful
     if (cartResult && cartResult.success) {
@@ -633,28 +2030,64 @@ async function addToCartAutomatically(product) {
       
       // Increment purchase count
       await chrome.storage.sync.set({ purchaseCount: purchaseCount + 1 });
+      setCartProgress(product, 'added', { automatic: true });
       
-      // Show notification
-      chrome.notifications.create({
-        type: 'basic',
-        iconUrl: 'images/icon128.png',
-        title: 'Added to Cart!',
-        message: `${product.name} was added to your cart. Check your open browser tab to complete your purchase.`,
-        priority: 2
-      });
-      
+      notifyAddedToCart(product);
       return true;
     } else {
       console.error("Failed to add product to cart:", cartResult?.error || "unknown error");
+      setCartProgress(product, 'failed', { automatic: true, error: cartResult?.error || "unknown error" });
       return false;
     }
   } catch (error) {
     console.error('Add to cart process failed:', error);
+    setCartProgress(product, 'failed', { automatic: true, error: error.message });
     return false;
   }
 }
 
-async function addToCartTarget(product, directCartUrl, purchaseCount) {
+// Add to cart on the user's request (popup, monitor or notification button).
+// The max price applies here too, against the price from the last check.
+// Resolves to { success, limitReached?, priceTooHigh?, error? }.
+async function addToCartManually(product, cartUrl = product.addToCartUrl) {
+  const priceError = getMaxPriceError(product, stockStatus[product.url]?.price ?? null);
+  if (priceError) {
+    setCartProgress(product, 'price_too_high', { error: priceError });
+    return { success: false, priceTooHigh: true, error: priceError };
+  }
+  
+  const result = await chrome.storage.sync.get(['purchaseCount', 'purchaseLimit']);
+  const purchaseCount = result.purchaseCount || 0;
+  const purchaseLimit = result.purchaseLimit || 3;
+  
+  if (purchaseCount >= purchaseLimit) {
+    setCartProgress(product, 'limit_reached');
+    return { success: false, limitReached: true };
+  }
+  
+  try {
+    setCartProgress(product, 'adding');
+    
+    // First add to cart
+    const cartResult = await addProductToCart(product, cartUrl, purchaseCount);
+    
+    if (cartResult && cartResult.success) {
+      // Increment purchase count
+      await chrome.storage.sync.set({ purchaseCount: purchaseCount + 1 });
+      setCartProgress(product, 'added');
+      return { success: true };
+    }
+    
+    setCartProgress(product, 'failed', { error: cartResult?.error || "Failed to add to cart" });
+    return { success: false, error: cartResult?.error || "Failed to add to cart" };
+  } catch (error) {
+    console.error("Add to cart error:", error);
+    setCartProgress(product, 'failed', { error: error.message });
+    return { success: false, error: error.message };
+  }
+}
+
+async function addToCartTarget(product, directCartUrl, purchaseCount, adapter = getRetailerAdapter(product.url)) {
   if (tabOperationInProgress) {
     console.log("Another tab operation in progress, deferring add to cart");
     return { success: false, error: "Another tab operation in progress" };
@@ -670,25 +2103,7 @@ async function addToCartTarget(product, directCartUrl, purchaseCount) {
         // Create a new tab with the direct add to cart URL
         tab = await chrome.tabs.create({ url: directCartUrl, active: true });
         
-        // Watch for navigation to cart page
-        const cartPromise = new Promise((resolve) => {
-          function cartListener(tabId, changeInfo) {
-            if (tabId === tab.id && changeInfo.url && changeInfo.url.includes('target.com/cart')) {
-              chrome.tabs.onUpdated.removeListener(cartListener);
-              resolve(true);
-            }
-          }
-          
-          chrome.tabs.onUpdated.addListener(cartListener);
-          
-          // Set a timeout in case we never navigate to cart
-          setTimeout(() => {
-            chrome.tabs.onUpdated.removeListener(cartListener);
-            resolve(false);
-          }, 10000);
-        });
-        
-        const cartSuccess = await cartPromise;
+        const cartSuccess = await waitForCartNavigation(tab.id, adapter.defaults.cartUrlPattern);
         
         if (cartSuccess) {
           tabOperationInProgress = false;
@@ -700,13 +2115,7 @@ async function addToCartTarget(product, directCartUrl, purchaseCount) {
     }
     
     // Try to extract TCIN from product URL
-    let tcin = '';
-    if (product.url.includes('/A-')) {
-      const parts = product.url.split('/A-');
-      if (parts.length > 1) {
-        tcin = parts[1].split('?')[0].split('#')[0];
-      }
-    }
+    const tcin = adapter.extractProductId(product.url);
     
     // Fallback to browser automation
     tab = await chrome.tabs.create({ url: product.url, active: true });
@@ -734,7 +2143,7 @@ async function addToCartTarget(product, directCartUrl, purchaseCount) {
   }
 }
 
-async function addToCartBestBuy(product, directCartUrl, purchaseCount) {
+async function addToCartBestBuy(product, directCartUrl, purchaseCount, adapter = getRetailerAdapter(product.url)) {
   if (tabOperationInProgress) {
     console.log("Another tab operation in progress, deferring add to cart");
     return { success: false, error: "Another tab operation in progress" };
@@ -745,32 +2154,14 @@ async function addToCartBestBuy(product, directCartUrl, purchaseCount) {
   
   try {
     // Try to extract SKU from URL or product page
-    let sku = extractBestBuySku(product.url);
+    const sku = adapter.extractProductId(product.url);
     
     // If we have a direct add to cart URL, use it
     if (directCartUrl && directCartUrl.length > 0) {
       // Create a new tab with the direct add to cart URL
       tab = await chrome.tabs.create({ url: directCartUrl, active: true });
       
-      // Watch for navigation to cart page, then consider it a success
-      const cartPromise = new Promise((resolve) => {
-        function cartListener(tabId, changeInfo) {
-          if (tabId === tab.id && changeInfo.url && changeInfo.url.includes('bestbuy.com/cart')) {
-            chrome.tabs.onUpdated.removeListener(cartListener);
-            resolve(true);
-          }
-        }
-        
-        chrome.tabs.onUpdated.addListener(cartListener);
-        
-        // Set a timeout in case we never navigate to cart
-        setTimeout(() => {
-          chrome.tabs.onUpdated.removeListener(cartListener);
-          resolve(false);
-        }, 10000);
-      });
-      
-      const cartSuccess = await cartPromise;
+      const cartSuccess = await waitForCartNavigation(tab.id, adapter.defaults.cartUrlPattern);
       
       if (cartSuccess) {
         tabOperationInProgress = false;
@@ -805,7 +2196,7 @@ async function addToCartBestBuy(product, directCartUrl, purchaseCount) {
   }
 }
 
-async function addToCartGeneric(product, directCartUrl, purchaseCount) {
+async function addToCartGeneric(product, directCartUrl, purchaseCount, adapter = genericRetailerAdapter) {
   if (tabOperationInProgress) {
     console.log("Another tab operation in progress, deferring add to cart");
     return { success: false, error: "Another tab operation in progress" };
@@ -819,25 +2210,7 @@ async function addToCartGeneric(product, directCartUrl, purchaseCount) {
     if (directCartUrl && directCartUrl.length > 0) {
       tab = await chrome.tabs.create({ url: directCartUrl, active: true });
       
-      // Watch for navigation to cart page
-      const cartPromise = new Promise((resolve) => {
-        function cartListener(tabId, changeInfo) {
-          if (tabId === tab.id && changeInfo.url && changeInfo.url.includes('cart')) {
-            chrome.tabs.onUpdated.removeListener(cartListener);
-            resolve(true);
-          }
-        }
-        
-        chrome.tabs.onUpdated.addListener(cartListener);
-        
-        // Set a timeout in case we never navigate to cart
-        setTimeout(() => {
-          chrome.tabs.onUpdated.removeListener(cartListener);
-          resolve(false);
-        }, 10000);
-      });
-      
-      const cartSuccess = await cartPromise;
+      const cartSuccess = await waitForCartNavigation(tab.id, adapter.defaults.cartUrlPattern);
       
       if (cartSuccess) {
         tabOperationInProgress = false;
@@ -1175,10 +2548,24 @@ function performGenericAddToCart() {
 
 // ======== UTILITY FUNCTIONS ========
 // Helper functions for extracting product information
-function extractBestBuySku(url) {
-  let sku = '';
+function extractTargetTcin(url) {
+  let tcin = '';
   
-  // Extract SKU from URL
+  // Format: /p/[some-text]/-/A-[TCIN]
+  if (url.includes('/A-')) {
+    const parts = url.split('/A-');
+    if (parts.length > 1) {
+      tcin = parts[1].split('?')[0].split('#')[0];
+    }
+  }
+  
+  return tcin;
+}
+
+function extractBestBuySku(url) {
+  let sku = '';
+  
+  // Extract SKU from URL
   if (url.includes('/skuId=')) {
     sku = url.split('/skuId=')[1].split('&')[0].split('/')[0];
   } else if (url.includes('/p/')) {
@@ -1230,46 +2617,353 @@ function getRandomizedHeaders() {
   };
 }
 
-// Cookie management to avoid tracking
-async function manageCookies() {
-  const retailerDomains = [
-    'target.com', 'www.target.com', '.target.com',
-    'bestbuy.com', 'www.bestbuy.com', '.bestbuy.com'
-  ];
+// Set cookies for one page load. Resolves to an async function that puts the
+// user's own values back (or removes the cookie if they had none).
+async function setTemporaryCookies(url, domain, cookies) {
+  const originals = await Promise.all(cookies.map(cookie => chrome.cookies.get({ url, name: cookie.name })));
   
-  // Get all cookies for these domains
-  for (const domain of retailerDomains) {
-    try {
-      const cookies = await chrome.cookies.getAll({ domain });
-      
-      // Remove each cookie
-      for (const cookie of cookies) {
-        await chrome.cookies.remove({
-          url: `https://${cookie.domain}${cookie.path}`,
-          name: cookie.name
-        });
+  for (const cookie of cookies) {
+    await chrome.cookies.set({ url, domain, ...cookie });
+  }
+  
+  return async () => {
+    for (const [index, cookie] of cookies.entries()) {
+      const original = originals[index];
+      try {
+        if (original) {
+          await chrome.cookies.set({
+            url,
+            name: original.name,
+            value: original.value,
+            domain: original.hostOnly ? undefined : original.domain,
+            path: original.path,
+            secure: original.secure,
+            httpOnly: original.httpOnly,
+            sameSite: original.sameSite,
+            expirationDate: original.session ? undefined : original.expirationDate,
+            storeId: original.storeId
+          });
+        } else {
+          await chrome.cookies.remove({ url, name: cookie.name });
+        }
+      } catch (error) {
+        console.error(`Error restoring cookie ${cookie.name}:`, error);
       }
-    } catch (error) {
-      console.error(`Error clearing cookies for ${domain}:`, error);
     }
+  };
+}
+
+// Target keeps the shopper's ZIP in GuestLocation and their store in fiatsCookie
+async function setTargetLocation(product) {
+  const cookies = [];
+  if (product.zipCode) {
+    cookies.push({ name: 'GuestLocation', value: `${product.zipCode}|||` });
+  }
+  if (product.storeId) {
+    cookies.push({ name: 'fiatsCookie', value: `DSI_${product.storeId}|DSN_|DSZ_${product.zipCode || ''}` });
   }
   
-  console.log('Cleared cookies for retailer domains to maintain anonymity');
+  return setTemporaryCookies('https://www.target.com/', '.target.com', cookies);
 }
 
-// Send notification when stock is available
-function notifyStockAvailable(product) {
-  chrome.notifications.create({
+// Best Buy keeps the delivery ZIP in locDestZip and the pickup store in locStoreId
+async function setBestBuyLocation(product) {
+  const cookies = [];
+  if (product.zipCode) {
+    cookies.push({ name: 'locDestZip', value: product.zipCode });
+  }
+  if (product.storeId) {
+    cookies.push({ name: 'locStoreId', value: product.storeId });
+  }
+  
+  return setTemporaryCookies('https://www.bestbuy.com/', '.bestbuy.com', cookies);
+}
+
+// Resolve true once the tab navigates to a URL containing cartUrlPattern, false after the timeout
+function waitForCartNavigation(tabId, cartUrlPattern, timeoutMs = 10000) {
+  return new Promise((resolve) => {
+    function cartListener(updatedTabId, changeInfo) {
+      if (updatedTabId === tabId && changeInfo.url && changeInfo.url.includes(cartUrlPattern)) {
+        chrome.tabs.onUpdated.removeListener(cartListener);
+        resolve(true);
+      }
+    }
+    
+    chrome.tabs.onUpdated.addListener(cartListener);
+    
+    // Set a timeout in case we never navigate to cart
+    setTimeout(() => {
+      chrome.tabs.onUpdated.removeListener(cartListener);
+      resolve(false);
+    }, timeoutMs);
+  });
+}
+
+// ======== NOTIFICATIONS ========
+// Notification ids are "<event>|<product url>", so a click can be traced back
+// to its product and a newer alert for the same product replaces the old one.
+// Clicking the notification opens the product; buttons depend on the event.
+const NOTIFICATION_BUTTONS = {
+  in_stock: ['add_to_cart', 'snooze'],
+  price_drop: ['add_to_cart', 'snooze']
+};
+
+// Events a snoozed product stays quiet for (an add-to-cart result still shows)
+const SNOOZABLE_EVENTS = ['in_stock', 'price_drop'];
+
+function getNotificationId(event, url) {
+  return `${event}|${url}`;
+}
+
+function parseNotificationId(notificationId) {
+  const separator = notificationId.indexOf('|');
+  if (separator === -1) return { event: null, url: null };
+  return { event: notificationId.slice(0, separator), url: notificationId.slice(separator + 1) };
+}
+
+function isProductSnoozed(url, now = Date.now()) {
+  return (stockStatus[url]?.snoozedUntil || 0) > now;
+}
+
+// Silence a product's alerts for a while; 0 minutes ends the snooze
+function snoozeProductAlerts(url, minutes) {
+  const snoozedUntil = minutes > 0 ? Date.now() + minutes * 60 * 1000 : null;
+  updateStockStatusEntry(url, { snoozedUntil });
+  console.log(snoozedUntil
+    ? `Snoozed alerts for ${url} until ${new Date(snoozedUntil).toLocaleString()}`
+    : `Alerts resumed for ${url}`);
+}
+
+// "30 min", "1 hr", "1 hr 30 min"
+function formatSnoozeDuration(minutes) {
+  const hours = Math.floor(minutes / 60);
+  const parts = [hours ? `${hours} hr` : '', minutes % 60 ? `${minutes % 60} min` : ''];
+  return parts.filter(Boolean).join(' ');
+}
+
+// Any response to a notification acknowledges it, silencing a repeating sound
+chrome.notifications.onClicked.addListener((notificationId) => {
+  stopAlertSound(notificationId);
+  const { url } = parseNotificationId(notificationId);
+  if (url) {
+    chrome.tabs.create({ url });
+  }
+  chrome.notifications.clear(notificationId);
+});
+
+chrome.notifications.onButtonClicked.addListener(async (notificationId, buttonIndex) => {
+  const { event, url } = parseNotificationId(notificationId);
+  const action = NOTIFICATION_BUTTONS[event]?.[buttonIndex];
+  stopAlertSound(notificationId);
+  chrome.notifications.clear(notificationId);
+  
+  // The worker may have restarted since the notification went up
+  await restoreState();
+  const product = monitoredProducts.find(p => p.url === url);
+  if (!product) {
+    console.log(`Notification action ${action} for ${url}, which is no longer monitored`);
+    return;
+  }
+  
+  if (action === 'add_to_cart') {
+    const result = await addToCartManually(product);
+    if (result.success) {
+      notifyAddedToCart(product);
+    }
+  } else if (action === 'snooze') {
+    const { snoozeMinutes } = await getAlertSettings();
+    snoozeProductAlerts(url, snoozeMinutes);
+  }
+});
+
+chrome.notifications.onClosed.addListener((notificationId) => {
+  stopAlertSound(notificationId);
+});
+
+// Every alert goes through here: a Chrome notification with its sound (see
+// alert-sounds.js), plus the webhook channels subscribed to the event (see
+// notification-channels.js)
+async function sendNotification(event, { title, message, product = null, result = null }) {
+  const fields = buildNotificationFields(event, { title, message, product, result });
+  
+  if (product && SNOOZABLE_EVENTS.includes(event) && isProductSnoozed(product.url)) {
+    console.log(`Alerts for ${product.name} are snoozed, skipping ${event} notification`);
+    // Still kept in the inbox, so a snoozed restock isn't missed entirely
+    recordInboxAlert(event, { title, message, product, retailer: fields.retailer, channels: [], suppressed: 'snoozed' });
+    return;
+  }
+  
+  const buttons = product ? (NOTIFICATION_BUTTONS[event] || []) : [];
+  const { snoozeMinutes } = await getAlertSettings();
+  const buttonTitles = {
+    add_to_cart: 'Add to Cart',
+    snooze: `Snooze ${formatSnoozeDuration(snoozeMinutes)}`
+  };
+  
+  // A sound that repeats until acknowledged needs a notification that stays up
+  const soundSettings = await getSoundSettings();
+  
+  const notificationId = await chrome.notifications.create(product ? getNotificationId(event, product.url) : '', {
     type: 'basic',
     iconUrl: 'images/icon128.png',
-    title: 'Pokemon Cards In Stock!',
-    message: `${product.name} is now available! ${product.autoCheckout ? 'Attempting to add to cart...' : ''}`,
+    title,
+    message,
+    buttons: buttons.map(action => ({ title: buttonTitles[action] })),
+    requireInteraction: soundSettings.enabled && soundSettings.repeatUntilAcknowledged,
     priority: 2
   });
+  
+  playAlert(event, { alertId: notificationId ?? null, product, retailer: fields.retailer }).catch(error => {
+    console.error("Error playing alert sound:", error);
+  });
+  
+  const inboxAlert = await recordInboxAlert(event, { title, message, product, retailer: fields.retailer, channels: ['desktop'] });
+  
+  dispatchWebhooks(event, fields)
+    .then(webhooks => {
+      if (inboxAlert && webhooks.length) {
+        return updateInboxAlert(inboxAlert.id, { webhooks });
+      }
+    })
+    .catch(error => {
+      console.error("Error sending webhook notifications:", error);
+    });
+}
+
+// Values for webhook template placeholders (WEBHOOK_PLACEHOLDERS)
+function buildNotificationFields(event, { title, message, product, result }) {
+  return {
+    event,
+    title,
+    message,
+    name: product?.name || '',
+    url: product?.url || '',
+    price: result?.price != null ? result.price.toFixed(2) : '',
+    retailer: product?.url ? getRetailerAdapter(product.url).name : '',
+    status: result?.status || '',
+    seller: result?.seller || '',
+    time: new Date().toLocaleString()
+  };
+}
+
+// ======== ALERT INBOX ========
+// Every alert is also stored in IndexedDB (see history-db.js) so it can be
+// reviewed in the monitor page after the desktop notification is gone.
+// Cart failures and the purchase limit are inbox-only alerts.
+const ALERT_TYPES = {
+  in_stock: 'Stock found',
+  added_to_cart: 'Added to cart',
+  cart_failed: 'Cart failed',
+  limit_reached: 'Limit reached',
+  price_drop: 'Price drop',
+  new_listing: 'New listing'
+};
+
+// Store an alert and tell open pages. Resolves to the record, or null if it couldn't be stored.
+async function recordInboxAlert(type, { title, message, product = null, retailer = '', channels = [], suppressed = null }) {
+  try {
+    const alert = await recordAlert({
+      type,
+      title,
+      message,
+      productName: product?.name || null,
+      productUrl: product?.url || null,
+      retailer: retailer || (product?.url ? getRetailerAdapter(product.url).name : null),
+      channels,
+      webhooks: [],
+      suppressed
+    });
+    publishInboxStatus();
+    return alert;
+  } catch (error) {
+    console.error("Error recording alert:", error);
+    return null;
+  }
+}
+
+async function updateInboxAlert(id, changes) {
+  await updateAlert(id, changes);
+  publishInboxStatus();
+}
+
+async function getInboxStatus() {
+  return { unseenCount: await countUnseenAlerts() };
+}
+
+function publishInboxStatus() {
+  getInboxStatus()
+    .then(alertInbox => publishStateDelta({ alertInbox }))
+    .catch(error => {
+      console.error("Error reading alert inbox:", error);
+    });
+}
+
+// Send notification when stock is available
+function notifyStockAvailable(product, result = {}) {
+  sendNotification('in_stock', {
+    title: 'Pokemon Cards In Stock!',
+    message: `${product.name} is now available!${describeFulfillment(product, result)}${describeSeller(result)} ${product.autoCheckout ? 'Attempting to add to cart...' : ''}`.trim(),
+    product,
+    result
+  });
+}
+
+function notifyAddedToCart(product) {
+  sendNotification('added_to_cart', {
+    title: 'Added to Cart!',
+    message: `${product.name} was added to your cart. Check your open browser tab to complete your purchase.`,
+    product,
+    result: stockStatus[product.url] || null
+  });
+}
+
+function notifyPriceDrop(product, result, targetPrice) {
+  sendNotification('price_drop', {
+    title: 'Price Drop!',
+    message: `${product.name} is now $${result.price.toFixed(2)} (your target: $${targetPrice.toFixed(2)})${describeSeller(result)}`,
+    product,
+    result
+  });
+}
+
+function notifyNewListing(watch, tile) {
+  sendNotification('new_listing', {
+    title: 'New Listing Found!',
+    message: `${tile.name} matches your "${watch.name}" watch.${watch.autoAdd ? ' It is now being monitored.' : ''}`,
+    product: { name: tile.name, url: tile.url }
+  });
+}
+
+// " Pickup available at Roseville. Shipping available." for the product's preferred
+// modes, or '' when the page didn't report per-mode availability
+function describeFulfillment(product, result) {
+  const fulfillment = result && result.fulfillment;
+  if (!fulfillment) return '';
+  
+  const sentences = getPreferredFulfillmentModes(product)
+    .filter(mode => fulfillment[mode] && fulfillment[mode].available)
+    .map(mode => fulfillment[mode].store
+      ? `${FULFILLMENT_MODE_LABELS[mode]} available at ${fulfillment[mode].store}.`
+      : `${FULFILLMENT_MODE_LABELS[mode]} available.`);
+  
+  return sentences.length ? ` ${sentences.join(' ')}` : '';
+}
+
+// " Sold by X (third-party)." for notification text, or '' if the seller is unknown
+function describeSeller(result) {
+  if (!result || !result.seller) return '';
+  return ` Sold by ${result.seller}${result.thirdPartySeller ? ' (third-party)' : ''}.`;
 }
 
 // Improved tab management function
-async function createAndUseTab(url, timeoutMs = 4000, scriptFunc, scriptArgs = []) {
+// With detectionRules, evaluateDetectionRules runs after the script and its
+// outcome is returned as ruleOutcome (see applyDetectionRules).
+// captureSnapshot is called with the results and ruleOutcome; when it returns true the
+// page's trimmed DOM is returned as pageSnapshot (see captureDomSnapshot)
+// before the tab closes. prepare runs once the tab
+// lock is held, just before the page loads, and may resolve to a cleanup
+// function that runs after the tab is closed (see setLocation on adapters).
+async function createAndUseTab(url, timeoutMs = 4000, scriptFunc, scriptArgs = [], { captureSnapshot = null, prepare = null, detectionRules = null } = {}) {
   // Wait if another tab operation is in progress
   if (tabOperationInProgress) {
     await new Promise(resolve => {
@@ -1284,8 +2978,17 @@ async function createAndUseTab(url, timeoutMs = 4000, scriptFunc, scriptArgs = [
   
   tabOperationInProgress = true;
   let tab = null;
+  let cleanup = null;
   
   try {
+    if (prepare) {
+      try {
+        cleanup = await prepare();
+      } catch (prepareError) {
+        console.error(`Error preparing tab for ${url}: ${prepareError.message}`);
+      }
+    }
+    
     // Create a hidden tab
     tab = await chrome.tabs.create({ 
       url: url, 
@@ -1305,7 +3008,32 @@ async function createAndUseTab(url, timeoutMs = 4000, scriptFunc, scriptArgs = [
       });
     }
     
-    return { tab, results };
+    let ruleOutcome = null;
+    if (detectionRules && detectionRules.length > 0) {
+      const [ruleResult] = await chrome.scripting.executeScript({
+        target: { tabId: tab.id },
+        func: evaluateDetectionRules,
+        args: [detectionRules]
+      });
+      ruleOutcome = ruleResult?.result || null;
+    }
+    
+    // A failed capture shouldn't fail the check that ran fine
+    let pageSnapshot = null;
+    if (captureSnapshot && captureSnapshot(results, ruleOutcome)) {
+      try {
+        const [snapshotResult] = await chrome.scripting.executeScript({
+          target: { tabId: tab.id },
+          func: captureDomSnapshot,
+          args: [MAX_SNAPSHOT_CHARS]
+        });
+        pageSnapshot = snapshotResult?.result || null;
+      } catch (snapshotError) {
+        console.error(`Error capturing page snapshot: ${snapshotError.message}`);
+      }
+    }
+    
+    return { tab, results, pageSnapshot, ruleOutcome };
   } catch (error) {
     console.error(`Error during tab operation: ${error.message}`);
     return { tab, results: null, error };
@@ -1319,11 +3047,430 @@ async function createAndUseTab(url, timeoutMs = 4000, scriptFunc, scriptArgs = [
       }
     }
     
+    if (typeof cleanup === 'function') {
+      await cleanup();
+    }
+    
     // Release the lock
     tabOperationInProgress = false;
   }
 }
 
+// ======== STATE SUBSCRIPTIONS ========
+// Pages connect a long-lived port named STATE_PORT_NAME. On connect they get a
+// full snapshot; after that every change is pushed as a delta containing only
+// the keys that changed:
+//   products       - full product list
+//   stockStatus    - { [url]: entry }, null entry means removed
+//   monitoring     - { isMonitoring }
+//   purchaseStats  - { count, limit }
+//   cartProgress   - latest add-to-cart attempt, see setCartProgress
+//   scheduler      - see getSchedulerStatus
+//   keywordWatches - see getKeywordWatchSummaries
+//   notificationChannels - see getNotificationChannelSummaries
+// Ports close whenever the worker shuts down; pages reconnect to wake it.
+const STATE_PORT_NAME = 'stateSubscription';
+const statePorts = new Set();
+
+chrome.runtime.onConnect.addListener((port) => {
+  if (port.name !== STATE_PORT_NAME) return;
+  
+  statePorts.add(port);
+  port.onDisconnect.addListener(() => statePorts.delete(port));
+  
+  restoreState()
+    .then(() => getStateSnapshot())
+    .then(state => {
+      if (statePorts.has(port)) {
+        port.postMessage({ type: 'snapshot', state });
+      }
+    })
+    .catch(error => {
+      console.error("Error sending state snapshot:", error);
+    });
+});
+
+async function getPurchaseStats() {
+  const result = await chrome.storage.sync.get(['purchaseCount', 'purchaseLimit']);
+  return {
+    count: result.purchaseCount || 0,
+    limit: result.purchaseLimit || 3
+  };
+}
+
+async function getStateSnapshot() {
+  return {
+    products: monitoredProducts,
+    stockStatus: stockStatus,
+    monitoring: { isMonitoring },
+    purchaseStats: await getPurchaseStats(),
+    cartProgress: cartProgress,
+    scheduler: await getSchedulerStatus(),
+    keywordWatches: getKeywordWatchSummaries(),
+    notificationChannels: await getNotificationChannelSummaries(),
+    alertInbox: await getInboxStatus()
+  };
+}
+
+// Push a partial state update to every connected page
+function publishStateDelta(changes) {
+  for (const port of statePorts) {
+    try {
+      port.postMessage({ type: 'delta', changes });
+    } catch (error) {
+      // Port was closed on the other end
+      statePorts.delete(port);
+    }
+  }
+  
+  // Anything a page needs to redraw for may change the toolbar icon too
+  scheduleBadgeUpdate();
+}
+
+// Products, monitoring state and purchase stats all live in sync storage, so
+// watching storage catches every writer in one place
+chrome.storage.onChanged.addListener((changes, areaName) => {
+  // Webhook channels live in local storage (their URLs are credentials)
+  if (areaName === 'local' && (changes.notificationChannels || changes.notificationChannelStatus)) {
+    getNotificationChannelSummaries().then(notificationChannels => publishStateDelta({ notificationChannels }));
+  }
+  
+  if (areaName !== 'sync') return;
+  
+  if (changes.monitoredProducts) {
+    publishStateDelta({ products: changes.monitoredProducts.newValue || [] });
+  }
+  
+  if (changes.isMonitoring) {
+    publishStateDelta({ monitoring: { isMonitoring: !!changes.isMonitoring.newValue } });
+  }
+  
+  if (changes.purchaseCount || changes.purchaseLimit) {
+    getPurchaseStats().then(purchaseStats => publishStateDelta({ purchaseStats }));
+  }
+  
+  if (changes.keywordWatches) {
+    publishStateDelta({ keywordWatches: getKeywordWatchSummaries() });
+  }
+});
+
+// Record and publish add-to-cart progress. stage is one of
+// 'adding' | 'added' | 'failed' | 'limit_reached' | 'price_too_high'.
+function setCartProgress(product, stage, { automatic = false, error = null } = {}) {
+  cartProgress = {
+    productUrl: product.url,
+    productName: product.name,
+    stage,
+    inProgress: stage === 'adding',
+    automatic,
+    error,
+    updatedAt: Date.now()
+  };
+  publishStateDelta({ cartProgress });
+  
+  if (stage === 'failed') {
+    recordInboxAlert('cart_failed', {
+      title: 'Add to Cart Failed',
+      message: `Could not add ${product.name} to cart${error ? `: ${error}` : ''}`,
+      product
+    });
+  } else if (stage === 'limit_reached') {
+    recordInboxAlert('limit_reached', {
+      title: 'Purchase Limit Reached',
+      message: `${product.name} was not added to cart: the purchase limit has been reached.`,
+      product
+    });
+  } else if (stage === 'price_too_high' && !automatic) {
+    // Someone asked for this one (maybe from a notification), so say why it didn't happen
+    recordInboxAlert('cart_failed', {
+      title: 'Not Added to Cart',
+      message: `${product.name} was not added to cart: ${error}`,
+      product
+    });
+  }
+}
+
+// Drop a removed product's stock status and any pending check for it
+function forgetProductState(url) {
+  if (stockStatus[url]) {
+    delete stockStatus[url];
+    persistStockStatus();
+    publishStateDelta({ stockStatus: { [url]: null } });
+  }
+  
+  checkQueue = checkQueue.filter(item => item.product.url !== url);
+  delete lastQueuedAt[url];
+  persistCheckQueue();
+}
+
+// ======== WATCHLIST IMPORT / EXPORT ========
+// Watchlists are shared as JSON ({ format, version, products }) or CSV, one row
+// per product. The monitor page reads the file and converts CSV rows; every
+// product is validated here, since shared files come from other people.
+// Merge adds products that aren't monitored yet; replace makes the file the
+// whole watchlist. Products are the same when their URLs match.
+const WATCHLIST_FORMAT = 'pokemon-stock-watchlist';
+const WATCHLIST_FORMAT_VERSION = 1;
+
+// "true"/"yes"/"1" from CSV, or a real boolean from JSON
+function parseImportFlag(value, defaultValue) {
+  if (value === undefined || value === null || value === '') return defaultValue;
+  if (typeof value === 'boolean') return value;
+  return /^(true|yes|y|1)$/i.test(String(value).trim());
+}
+
+function isHttpUrl(value) {
+  return normalizeHttpUrl(value) !== null;
+}
+
+// The URL as the parser writes it back (so markup in it is percent-encoded),
+// or null if it isn't an http(s) URL
+function normalizeHttpUrl(value) {
+  try {
+    const url = new URL(value);
+    return url.protocol === 'https:' || url.protocol === 'http:' ? url.href : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+// Check and normalise one product from a watchlist file, keeping only the
+// settings a product can carry. Returns { product } or { error }.
+// A shared file shouldn't be able to spend the user's money, so auto-checkout
+// is only kept with allowAutoCheckout (the user opted in on the import form).
+function normalizeWatchlistProduct(raw, { allowAutoCheckout = false } = {}) {
+  if (!raw || typeof raw !== 'object') {
+    return { error: 'Not a product' };
+  }
+  
+  const name = String(raw.name || '').trim();
+  const rawUrl = String(raw.url || '').trim();
+  if (!name) {
+    return { error: 'Missing name' };
+  }
+  const url = normalizeHttpUrl(rawUrl);
+  if (!url) {
+    return { error: `"${rawUrl}" is not a valid URL` };
+  }
+  
+  const rawAddToCartUrl = String(raw.addToCartUrl || '').trim();
+  const addToCartUrl = rawAddToCartUrl ? normalizeHttpUrl(rawAddToCartUrl) : '';
+  if (addToCartUrl === null) {
+    return { error: `Add to cart URL "${rawAddToCartUrl}" is not a valid URL` };
+  }
+  
+  const timePattern = /^([01]\d|2[0-3]):[0-5]\d$/;
+  const activeHours = raw.activeHours && raw.activeHours.start && raw.activeHours.end ? raw.activeHours : null;
+  if (activeHours && (!timePattern.test(activeHours.start) || !timePattern.test(activeHours.end))) {
+    return { error: 'Active hours must be HH:MM times' };
+  }
+  
+  let detectionRules = [];
+  if (raw.detectionRules && raw.detectionRules.length) {
+    const { rules, error } = validateDetectionRules(raw.detectionRules);
+    if (error) {
+      return { error };
+    }
+    detectionRules = rules;
+  }
+  
+  const fulfillmentModes = Array.isArray(raw.fulfillmentModes)
+    ? raw.fulfillmentModes.filter(mode => mode in FULFILLMENT_MODE_LABELS)
+    : [];
+  
+  return {
+    product: {
+      name,
+      url,
+      addToCartUrl,
+      autoCheckout: allowAutoCheckout && parseImportFlag(raw.autoCheckout, false),
+      allowThirdParty: parseImportFlag(raw.allowThirdParty, false),
+      enabled: parseImportFlag(raw.enabled, true),
+      checkInterval: parseInt(raw.checkInterval, 10) > 0 ? parseInt(raw.checkInterval, 10) : null,
+      activeHours: activeHours ? { start: activeHours.start, end: activeHours.end } : null,
+      maxPrice: parsePrice(raw.maxPrice),
+      targetPrice: parsePrice(raw.targetPrice),
+      alertSound: raw.alertSound in ALERT_SOUNDS ? raw.alertSound : null,
+      zipCode: String(raw.zipCode || '').trim() || null,
+      storeId: String(raw.storeId || '').trim() || null,
+      fulfillmentModes,
+      detectionRules
+    }
+  };
+}
+
+function buildWatchlistExport() {
+  return {
+    format: WATCHLIST_FORMAT,
+    version: WATCHLIST_FORMAT_VERSION,
+    exportedAt: new Date().toISOString(),
+    products: monitoredProducts.map(product => normalizeWatchlistProduct(product, { allowAutoCheckout: true }).product || product)
+  };
+}
+
+// Work out what an import would do, without changing anything. Each entry
+// gets an action: 'add', 'replace' (already monitored, replace mode),
+// 'skip_existing' (already monitored, merge mode), 'skip_duplicate' (listed
+// earlier in the file) or 'invalid'. Valid entries also show the product's
+// auto-checkout and max price, since those decide what an import can buy.
+function planWatchlistImport(rawProducts, mode, { allowAutoCheckout = false } = {}) {
+  if (!Array.isArray(rawProducts)) {
+    return { error: 'The file has no product list' };
+  }
+  if (mode !== 'merge' && mode !== 'replace') {
+    return { error: `Unknown import mode "${mode}"` };
+  }
+  
+  // Imported URLs are normalised, so compare them with the normalised form of ours
+  const existingUrls = new Set(monitoredProducts.map(p => normalizeHttpUrl(p.url) || p.url));
+  const seenUrls = new Set();
+  const entries = rawProducts.map((raw, index) => {
+    const { product, error } = normalizeWatchlistProduct(raw, { allowAutoCheckout });
+    if (error) {
+      return { index, name: raw?.name || '', url: raw?.url || '', action: 'invalid', error };
+    }
+    
+    let action;
+    if (seenUrls.has(product.url)) {
+      action = 'skip_duplicate';
+    } else if (existingUrls.has(product.url)) {
+      action = mode === 'replace' ? 'replace' : 'skip_existing';
+    } else {
+      action = 'add';
+    }
+    seenUrls.add(product.url);
+    
+    return {
+      index,
+      name: product.name,
+      url: product.url,
+      action,
+      autoCheckout: product.autoCheckout,
+      requestsAutoCheckout: parseImportFlag(raw.autoCheckout, false), // What the file asked for
+      maxPrice: product.maxPrice,
+      product
+    };
+  });
+  
+  const imported = entries.filter(entry => entry.action === 'add' || entry.action === 'replace');
+  if (mode === 'replace' && imported.length === 0) {
+    return { error: 'The file has no valid products to replace your watchlist with' };
+  }
+  const removed = mode === 'replace'
+    ? monitoredProducts.filter(p => !seenUrls.has(normalizeHttpUrl(p.url) || p.url)).map(p => ({ name: p.name, url: p.url }))
+    : [];
+  
+  return {
+    mode,
+    entries,
+    removed,
+    products: imported.map(entry => entry.product),
+    summary: {
+      add: entries.filter(entry => entry.action === 'add').length,
+      replace: entries.filter(entry => entry.action === 'replace').length,
+      skipped: entries.filter(entry => entry.action === 'skip_existing' || entry.action === 'skip_duplicate').length,
+      invalid: entries.filter(entry => entry.action === 'invalid').length,
+      remove: removed.length
+    }
+  };
+}
+
+// Apply a plan from planWatchlistImport. Rolls back if sync storage refuses
+// the new list (it holds about 8 KB per item).
+async function applyWatchlistImport(plan) {
+  const previousProducts = monitoredProducts;
+  monitoredProducts = plan.mode === 'replace'
+    ? plan.products
+    : [...monitoredProducts, ...plan.products];
+  
+  try {
+    await chrome.storage.sync.set({ monitoredProducts });
+  } catch (error) {
+    monitoredProducts = previousProducts;
+    throw new Error(`Could not save the watchlist: ${error.message}`);
+  }
+  
+  plan.removed.forEach(product => forgetProductState(product.url));
+  plan.products.forEach(product => syncStockStatusProduct(product));
+  await refreshMonitoringSchedule();
+  
+  // New products have never been checked, so they're due now
+  if (isMonitoring) {
+    checkAllProductsStock({ dueOnly: true });
+  }
+}
+
+// ======== ACTION BADGE ========
+// The toolbar icon shows state at a glance: "CART" while an add-to-cart runs,
+// otherwise the number of in-stock products ("ON" when none, while monitoring).
+// The color says whether monitoring is on and turns amber when checks are
+// failing. The tooltip has the details, including last and next check times.
+const BADGE_COLORS = {
+  cart: '#3b82f6',
+  error: '#f59e0b',
+  monitoring: '#22c55e',
+  idle: '#6b7280'
+};
+const BADGE_UPDATE_DELAY_MS = 250; // Coalesces bursts of state changes
+
+let badgeUpdateTimer = null;
+
+function scheduleBadgeUpdate() {
+  clearTimeout(badgeUpdateTimer);
+  badgeUpdateTimer = setTimeout(() => {
+    updateActionBadge().catch(error => {
+      console.error("Error updating action badge:", error);
+    });
+  }, BADGE_UPDATE_DELAY_MS);
+}
+
+function getBadgeState(scheduler) {
+  const statuses = monitoredProducts
+    .filter(product => product.enabled !== false)
+    .map(product => ({ product, status: stockStatus[product.url] }))
+    .filter(entry => entry.status);
+  const inStock = statuses.filter(entry => entry.status.inStock && !entry.status.confirming);
+  const failing = statuses.filter(entry => entry.status.status === STOCK_STATUS.UNKNOWN);
+  const lastCheckedAt = Math.max(0, ...statuses.map(entry => entry.status.lastCheckedAt || 0)) || null;
+  
+  let text;
+  let color;
+  if (cartProcessInProgress) {
+    text = 'CART';
+    color = BADGE_COLORS.cart;
+  } else {
+    text = inStock.length ? String(inStock.length) : (failing.length ? '!' : (isMonitoring ? 'ON' : ''));
+    color = failing.length ? BADGE_COLORS.error : (isMonitoring ? BADGE_COLORS.monitoring : BADGE_COLORS.idle);
+  }
+  
+  const lines = [
+    `Pokemon Card Stock Monitor: ${isMonitoring ? 'monitoring' : 'stopped'}`,
+    `${inStock.length} of ${monitoredProducts.length} product(s) in stock`
+  ];
+  if (cartProcessInProgress) {
+    lines.push('Adding to cart...');
+  }
+  if (failing.length) {
+    lines.push(`Checks failing: ${failing.map(entry => entry.product.name).join(', ')}`);
+  }
+  lines.push(`Last check: ${lastCheckedAt ? new Date(lastCheckedAt).toLocaleTimeString() : 'never'}`);
+  if (scheduler.nextCheckAt) {
+    lines.push(`Next check: ${new Date(scheduler.nextCheckAt).toLocaleTimeString()}`);
+  }
+  
+  return { text, color, title: lines.join('\n') };
+}
+
+async function updateActionBadge() {
+  const { text, color, title } = getBadgeState(await getSchedulerStatus());
+  
+  await Promise.all([
+    chrome.action.setBadgeText({ text }),
+    chrome.action.setBadgeBackgroundColor({ color }),
+    chrome.action.setTitle({ title })
+  ]);
+}
+
 // ======== MESSAGE HANDLING ========
 // Listen for messages from the popup
 chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
@@ -1334,6 +3481,13 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
   
   console.log(`Received message with action: ${message.action}`);
   
+  // A message may be what woke the worker, so answer only once state is restored
+  restoreState().then(() => handleMessage(message, sender, sendResponse));
+  
+  return true; // Keep the channel open for async responses
+});
+
+function handleMessage(message, sender, sendResponse) {
   switch (message.action) {
     case 'getProducts':
       sendResponse({ 
@@ -1341,30 +3495,48 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
         stockStatus: stockStatus 
       });
       break;
-      
+    
     case 'getMonitoringStatus':
       sendResponse({ isMonitoring });
       break;
-      
+    
     case 'startMonitoring':
       isMonitoring = true;
       chrome.storage.sync.set({ isMonitoring: true });
+      scheduleNextCheck();
       checkAllProductsStock(); // Start immediately
       sendResponse({ success: true });
       break;
-      
+    
     case 'stopMonitoring':
       isMonitoring = false;
       chrome.storage.sync.set({ isMonitoring: false });
+      scheduleNextCheck(); // Clears the alarm
       sendResponse({ success: true });
       break;
-      
+    
+    case 'getSchedulerStatus':
+      getSchedulerStatus().then(schedulerStatus => {
+        sendResponse({ success: true, schedulerStatus });
+      });
+      // Keep the channel open for async response
+      return true;
+    
     case 'addProduct':
-      if (!message.product || !message.product.url || !message.product.name) {
+      if (!message.product || !isHttpUrl(message.product.url) || !message.product.name) {
         sendResponse({ success: false, error: "Invalid product data" });
         return true;
       }
       
+      if (message.product.detectionRules) {
+        const { rules, error } = validateDetectionRules(message.product.detectionRules);
+        if (error) {
+          sendResponse({ success: false, error });
+          return true;
+        }
+        message.product.detectionRules = rules;
+      }
+      
       // Check if product already exists
       const existingIndex = monitoredProducts.findIndex(p => p.url === message.product.url);
       if (existingIndex >= 0) {
@@ -1375,6 +3547,8 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
       
       // Save the updated list
       chrome.storage.sync.set({ monitoredProducts });
+      syncStockStatusProduct(message.product);
+      refreshMonitoringSchedule();
       
       // Immediately check stock for the new product
       checkSingleProductStock(message.product);
@@ -1385,7 +3559,7 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
         stockStatus: stockStatus
       });
       break;
-      
+    
     case 'removeProduct':
       if (!message.url) {
         sendResponse({ success: false, error: "Missing URL" });
@@ -1393,9 +3567,8 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
       }
       
       monitoredProducts = monitoredProducts.filter(p => p.url !== message.url);
-      if (stockStatus[message.url]) {
-        delete stockStatus[message.url];
-      }
+      forgetProductState(message.url);
+      refreshMonitoringSchedule();
       
       // Save the updated list
       chrome.storage.sync.set({ monitoredProducts });
@@ -1406,7 +3579,54 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
         stockStatus: stockStatus
       });
       break;
+    
+    case 'updateProduct': {
+      // Merge settings (schedule, enabled, ...) into an existing product
+      if (!message.url || !message.changes) {
+        sendResponse({ success: false, error: "Missing URL or changes" });
+        return true;
+      }
       
+      const productIndex = monitoredProducts.findIndex(p => p.url === message.url);
+      if (productIndex < 0) {
+        sendResponse({ success: false, error: "Product not found" });
+        return true;
+      }
+      
+      if (message.changes.detectionRules) {
+        const { rules, error } = validateDetectionRules(message.changes.detectionRules);
+        if (error) {
+          sendResponse({ success: false, error });
+          return true;
+        }
+        message.changes.detectionRules = rules;
+      }
+      
+      monitoredProducts[productIndex] = {
+        ...monitoredProducts[productIndex],
+        ...message.changes,
+        url: message.url
+      };
+      
+      chrome.storage.sync.set({ monitoredProducts });
+      syncStockStatusProduct(monitoredProducts[productIndex]);
+      
+      // A paused product shouldn't keep a pending check around
+      if (!getProductSchedule(monitoredProducts[productIndex]).enabled) {
+        checkQueue = checkQueue.filter(item => item.product.url !== message.url);
+        persistCheckQueue();
+      }
+      
+      refreshMonitoringSchedule();
+      
+      sendResponse({ 
+        success: true, 
+        products: monitoredProducts,
+        stockStatus: stockStatus
+      });
+      break;
+    }
+    
     case 'updateCheckInterval':
       if (!message.seconds || message.seconds < 1) {
         sendResponse({ success: false, error: "Invalid interval" });
@@ -1414,83 +3634,482 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
       }
       
       chrome.storage.sync.set({ checkInterval: message.seconds });
-      setupMonitoring(message.seconds);
-      sendResponse({ success: true });
+      setupMonitoring(message.seconds)
+        .then(() => getSchedulerStatus())
+        .then(schedulerStatus => {
+          sendResponse({ success: true, schedulerStatus });
+        });
+      // Keep the channel open for async response
+      return true;
+    
+    case 'getStockHistory':
+      if (!message.url) {
+        sendResponse({ success: false, error: "Missing URL" });
+        return true;
+      }
+      
+      // The timeline is built here so the page gets windows and counts rather
+      // than every event. Full events (with debug output) only come with
+      // includeEvents, and then only the newest `limit` of them.
+      getCheckEvents(message.url, { since: message.since || 0, fields: message.includeEvents ? null : TIMELINE_EVENT_FIELDS })
+        .then(events => {
+          sendResponse({
+            success: true,
+            timeline: buildStockTimeline(events),
+            checks: events.length,
+            failed: events.filter(event => event.status === STOCK_STATUS.UNKNOWN).length,
+            events: message.includeEvents ? events.slice(-(message.limit || 10)) : null
+          });
+        })
+        .catch(error => {
+          console.error("Error loading stock history:", error);
+          sendResponse({ success: false, error: error.message });
+        });
+      // Keep the channel open for async response
+      return true;
+    
+    case 'getDomSnapshots':
+      if (!message.url) {
+        sendResponse({ success: false, error: "Missing URL" });
+        return true;
+      }
+      
+      getDomSnapshots(message.url)
+        .then(snapshots => sendResponse({ success: true, snapshots }))
+        .catch(error => {
+          console.error("Error loading page snapshots:", error);
+          sendResponse({ success: false, error: error.message });
+        });
+      // Keep the channel open for async response
+      return true;
+    
+    case 'getDomSnapshot':
+      getDomSnapshot(message.id)
+        .then(snapshot => sendResponse(snapshot
+          ? { success: true, snapshot }
+          : { success: false, error: "Snapshot not found" }))
+        .catch(error => {
+          console.error("Error loading page snapshot:", error);
+          sendResponse({ success: false, error: error.message });
+        });
+      // Keep the channel open for async response
+      return true;
+    
+    case 'deleteDomSnapshot':
+      deleteDomSnapshot(message.id)
+        .then(() => sendResponse({ success: true }))
+        .catch(error => {
+          console.error("Error deleting page snapshot:", error);
+          sendResponse({ success: false, error: error.message });
+        });
+      // Keep the channel open for async response
+      return true;
+    
+    case 'getRestockAnalytics': {
+      // Default to the full retention window
+      const days = message.days || HISTORY_RETENTION_DAYS;
+      const since = Date.now() - days * 24 * 60 * 60 * 1000;
+      
+      getAllCheckEvents({ since, fields: TIMELINE_EVENT_FIELDS })
+        .then(events => {
+          const analytics = buildRestockAnalytics(events);
+          
+          // Attach display names for each retailer id
+          for (const id of Object.keys(analytics.retailers)) {
+            const adapter = retailerAdapters.find(a => a.id === id);
+            analytics.retailers[id].name = adapter ? adapter.name : genericRetailerAdapter.name;
+          }
+          
+          sendResponse({ success: true, days, analytics });
+        })
+        .catch(error => {
+          console.error("Error building restock analytics:", error);
+          sendResponse({ success: false, error: error.message });
+        });
+      // Keep the channel open for async response
+      return true;
+    }
+    
+    case 'testDetectionRules': {
+      // Run rules against a page without saving anything, for the add-product form
+      if (!message.url) {
+        sendResponse({ success: false, error: "Missing URL" });
+        return true;
+      }
+      
+      const { rules, error } = validateDetectionRules(message.rules || []);
+      if (error) {
+        sendResponse({ success: false, error });
+        return true;
+      }
+      
+      // Through the URL's own adapter, the way the product will be checked
+      const testAdapter = getRetailerAdapter(message.url);
+      testAdapter.checkStock({ name: 'Rule test', url: message.url, detectionRules: rules }, testAdapter)
+        .then(({ pageSnapshot, ...result }) => sendResponse({ success: true, result }))
+        .catch(testError => {
+          console.error("Error testing detection rules:", testError);
+          sendResponse({ success: false, error: testError.message });
+        });
+      // Keep the channel open for async response
+      return true;
+    }
+    
+    case 'savePickedRule': {
+      // A rule built with the element picker. Attach it to the page's product if
+      // it's monitored; otherwise hold it for the popup's add-product form.
+      const { rules, error } = validateDetectionRules([message.rule]);
+      if (error) {
+        sendResponse({ success: false, error });
+        return true;
+      }
+      
+      const product = findProductByPageUrl(message.url || '');
+      if (product) {
+        product.detectionRules = [...(product.detectionRules || []), rules[0]];
+        chrome.storage.sync.set({ monitoredProducts });
+        syncStockStatusProduct(product);
+        sendResponse({ success: true, productName: product.name });
+      } else {
+        chrome.storage.session.set({
+          pickedRule: { url: message.url, title: message.title || '', rule: rules[0] }
+        });
+        sendResponse({ success: true, pending: true });
+      }
+      break;
+    }
+    
+    case 'takePickedRule':
+      // Hand over (and forget) a rule picked for a product that isn't monitored yet
+      chrome.storage.session.get(['pickedRule']).then(({ pickedRule }) => {
+        chrome.storage.session.remove('pickedRule');
+        sendResponse({ success: true, pickedRule: pickedRule || null });
+      });
+      // Keep the channel open for async response
+      return true;
+    
+    case 'getKeywordWatches':
+      sendResponse({ success: true, watches: getKeywordWatchSummaries() });
+      break;
+    
+    case 'saveKeywordWatch': {
+      // Add a new watch, or replace the one with the same id
+      const watch = message.watch;
+      if (!watch || !watch.name || !watch.url) {
+        sendResponse({ success: false, error: "Invalid watch data" });
+        return true;
+      }
+      
+      const savedWatch = {
+        id: watch.id || crypto.randomUUID(),
+        name: watch.name,
+        url: watch.url,
+        include: watch.include || [],
+        exclude: watch.exclude || [],
+        autoAdd: !!watch.autoAdd,
+        enabled: watch.enabled !== false,
+        checkInterval: watch.checkInterval || null
+      };
+      
+      const watchIndex = keywordWatches.findIndex(w => w.id === savedWatch.id);
+      if (watchIndex >= 0) {
+        keywordWatches[watchIndex] = savedWatch;
+      } else {
+        keywordWatches.push(savedWatch);
+      }
+      
+      persistKeywordWatches();
+      sendResponse({ success: true, watch: savedWatch, watches: getKeywordWatchSummaries() });
+      break;
+    }
+    
+    case 'removeKeywordWatch':
+      if (!message.id) {
+        sendResponse({ success: false, error: "Missing watch id" });
+        return true;
+      }
+      
+      keywordWatches = keywordWatches.filter(w => w.id !== message.id);
+      delete keywordWatchState[message.id];
+      persistKeywordWatches();
+      persistKeywordWatchState();
+      sendResponse({ success: true, watches: getKeywordWatchSummaries() });
       break;
+    
+    case 'scanKeywordWatch': {
+      const watch = keywordWatches.find(w => w.id === message.id);
+      if (!watch) {
+        sendResponse({ success: false, error: "Watch not found" });
+        return true;
+      }
       
+      scanKeywordWatch(watch)
+        .then(result => sendResponse(result))
+        .catch(error => {
+          console.error("Error scanning keyword watch:", error);
+          sendResponse({ success: false, error: error.message });
+        });
+      // Keep the channel open for async response
+      return true;
+    }
+    
     case 'forceCheck':
       checkAllProductsStock();
       sendResponse({ success: true, stockStatus });
       break;
-      
+    
     case 'getPurchaseStats':
-      chrome.storage.sync.get(['purchaseCount', 'purchaseLimit'], (result) => {
-        sendResponse({
-          count: result.purchaseCount || 0,
-          limit: result.purchaseLimit || 3
-        });
-      });
+      getPurchaseStats().then(stats => sendResponse(stats));
       // Keep the channel open for async response
       return true;
-      
+    
     case 'resetPurchaseCount':
       chrome.storage.sync.set({ purchaseCount: 0 });
       sendResponse({ success: true });
       break;
+    
+    case 'updateAlertSettings': {
+      const settings = {
+        alertConfirmations: parseInt(message.alertConfirmations, 10),
+        confirmRecheckSeconds: parseInt(message.confirmRecheckSeconds, 10),
+        alertCooldownMinutes: parseInt(message.alertCooldownMinutes, 10),
+        snoozeMinutes: parseInt(message.snoozeMinutes, 10)
+      };
       
-    case 'updatePurchaseLimit':
-      if (!message.limit || message.limit < 1) {
-        sendResponse({ success: false, error: "Invalid limit" });
+      if (!(settings.alertConfirmations >= 1) || !(settings.confirmRecheckSeconds >= 5) ||
+          !(settings.alertCooldownMinutes >= 0) || !(settings.snoozeMinutes >= 1)) {
+        sendResponse({ success: false, error: "Invalid alert settings" });
         return true;
       }
       
-      chrome.storage.sync.set({ purchaseLimit: message.limit });
+      chrome.storage.sync.set(settings);
       sendResponse({ success: true });
       break;
+    }
+    
+    case 'getAlertSoundSettings':
+      getSoundSettings()
+        .then(settings => {
+          sendResponse({ success: true, settings, sounds: ALERT_SOUNDS, events: ALERT_SOUND_EVENTS });
+        })
+        .catch(error => {
+          sendResponse({ success: false, error: error.message });
+        });
+      // Keep the channel open for async response
+      return true;
+    
+    case 'updateAlertSoundSettings': {
+      const { settings, error } = validateSoundSettings(message.settings);
+      if (error) {
+        sendResponse({ success: false, error });
+        return true;
+      }
       
-    case 'addToCart':
-      chrome.storage.sync.get(['purchaseCount', 'purchaseLimit'], async (result) => {
-        const purchaseCount = result.purchaseCount || 0;
-        const purchaseLimit = result.purchaseLimit || 3;
-        
-        if (purchaseCount >= purchaseLimit) {
-          sendResponse({ success: false, limitReached: true });
-          return;
-        }
-        
-        try {
-          // Determine which retailer
-          const isTarget = message.product.url.includes('target.com');
-          const isBestBuy = message.product.url.includes('bestbuy.com');
-          
-          // First add to cart
-          let cartResult;
-          if (isTarget) {
-            cartResult = await addToCartTarget(message.product, message.cartUrl, purchaseCount);
-          } else if (isBestBuy) {
-            cartResult = await addToCartBestBuy(message.product, message.cartUrl, purchaseCount);
-          } else {
-            cartResult = await addToCartGeneric(message.product, message.cartUrl, purchaseCount);
+      chrome.storage.sync.set({ alertSoundSettings: settings });
+      if (!settings.enabled || !settings.repeatUntilAcknowledged) {
+        stopAlertSound();
+      }
+      sendResponse({ success: true, settings });
+      break;
+    }
+    
+    case 'testAlertSound':
+      // Plays once, whatever the repeat setting
+      getSoundSettings()
+        .then(async settings => {
+          await sendToOffscreen({
+            action: 'playAlertSound',
+            alertId: null,
+            sound: message.sound in ALERT_SOUNDS ? message.sound : settings.eventSounds.in_stock,
+            volume: settings.volume / 100,
+            repeatMs: 0
+          });
+          if (settings.speak) {
+            speakAlert('In stock: Test product at Target', settings.volume / 100);
           }
-          
-          if (cartResult && cartResult.success) {
-            // Increment purchase count
-            await chrome.storage.sync.set({ purchaseCount: purchaseCount + 1 });
-            sendResponse({ success: true });
+          sendResponse({ success: true });
+        })
+        .catch(error => {
+          sendResponse({ success: false, error: error.message });
+        });
+      // Keep the channel open for async response
+      return true;
+    
+    case 'stopAlertSounds':
+      stopAlertSound();
+      sendResponse({ success: true });
+      break;
+    
+    case 'exportWatchlist':
+      sendResponse({ success: true, watchlist: buildWatchlistExport() });
+      break;
+    
+    case 'previewWatchlistImport': {
+      const plan = planWatchlistImport(message.products, message.mode, { allowAutoCheckout: !!message.allowAutoCheckout });
+      if (plan.error) {
+        sendResponse({ success: false, error: plan.error });
+        return true;
+      }
+      
+      // Products stay here; the preview only needs names and actions
+      const { products, ...preview } = plan;
+      sendResponse({ success: true, preview: { ...preview, entries: preview.entries.map(({ product, ...entry }) => entry) } });
+      break;
+    }
+    
+    case 'importWatchlist': {
+      // Planned again rather than trusting the preview, in case the list changed since
+      const plan = planWatchlistImport(message.products, message.mode, { allowAutoCheckout: !!message.allowAutoCheckout });
+      if (plan.error) {
+        sendResponse({ success: false, error: plan.error });
+        return true;
+      }
+      
+      applyWatchlistImport(plan)
+        .then(() => {
+          sendResponse({ success: true, summary: plan.summary, products: monitoredProducts, stockStatus });
+        })
+        .catch(error => {
+          console.error("Error importing watchlist:", error);
+          sendResponse({ success: false, error: error.message });
+        });
+      // Keep the channel open for async response
+      return true;
+    }
+    
+    case 'getAlerts':
+      getAlerts({ limit: message.limit })
+        .then(alerts => {
+          sendResponse({ success: true, alerts, types: ALERT_TYPES });
+        })
+        .catch(error => {
+          console.error("Error loading alerts:", error);
+          sendResponse({ success: false, error: error.message });
+        });
+      // Keep the channel open for async response
+      return true;
+    
+    case 'markAlertsSeen':
+      // No ids marks every alert
+      markAlertsSeen(message.ids || null)
+        .then(changed => {
+          publishInboxStatus();
+          sendResponse({ success: true, changed });
+        })
+        .catch(error => {
+          sendResponse({ success: false, error: error.message });
+        });
+      // Keep the channel open for async response
+      return true;
+    
+    case 'getNotificationChannels':
+      getNotificationChannelSummaries()
+        .then(channels => {
+          sendResponse({
+            success: true,
+            channels,
+            events: WEBHOOK_EVENTS,
+            placeholders: WEBHOOK_PLACEHOLDERS,
+            presets: WEBHOOK_TEMPLATE_PRESETS
+          });
+        })
+        .catch(error => {
+          console.error("Error loading notification channels:", error);
+          sendResponse({ success: false, error: error.message });
+        });
+      // Keep the channel open for async response
+      return true;
+    
+    case 'saveNotificationChannel': {
+      // Add a new channel, or replace the one with the same id
+      const { channel, error } = validateNotificationChannel(message.channel);
+      if (error) {
+        sendResponse({ success: false, error });
+        return true;
+      }
+      
+      getNotificationChannels()
+        .then(async channels => {
+          const index = channels.findIndex(c => c.id === channel.id);
+          if (index >= 0) {
+            channels[index] = channel;
           } else {
-            sendResponse({ success: false, error: cartResult?.error || "Failed to add to cart" });
+            channels.push(channel);
           }
-        } catch (error) {
-          console.error("Add to cart error:", error);
+          
+          await chrome.storage.local.set({ notificationChannels: channels });
+          sendResponse({ success: true, channel });
+        })
+        .catch(saveError => {
+          console.error("Error saving notification channel:", saveError);
+          sendResponse({ success: false, error: saveError.message });
+        });
+      // Keep the channel open for async response
+      return true;
+    }
+    
+    case 'removeNotificationChannel':
+      if (!message.id) {
+        sendResponse({ success: false, error: "Missing channel id" });
+        return true;
+      }
+      
+      getNotificationChannels()
+        .then(channels => chrome.storage.local.set({
+          notificationChannels: channels.filter(c => c.id !== message.id)
+        }))
+        .then(() => sendResponse({ success: true }))
+        .catch(error => {
+          console.error("Error removing notification channel:", error);
           sendResponse({ success: false, error: error.message });
-        }
-      });
+        });
+      // Keep the channel open for async response
+      return true;
+    
+    case 'testNotificationChannel': {
+      // Send sample data through a channel, saved or not, without retrying
+      const { channel, error } = validateNotificationChannel(message.channel);
+      if (error) {
+        sendResponse({ success: false, error });
+        return true;
+      }
+      
+      const body = renderWebhookTemplate(channel.template, { ...WEBHOOK_SAMPLE_FIELDS, time: new Date().toLocaleString() });
+      sendWebhook(channel, body, { retry: false })
+        .then(delivery => sendResponse({ success: delivery.ok, delivery, error: delivery.error }));
+      // Keep the channel open for async response
+      return true;
+    }
+    
+    case 'updatePurchaseLimit':
+      if (!message.limit || message.limit < 1) {
+        sendResponse({ success: false, error: "Invalid limit" });
+        return true;
+      }
+      
+      chrome.storage.sync.set({ purchaseLimit: message.limit });
+      sendResponse({ success: true });
+      break;
+    
+    case 'addToCart':
+      addToCartManually(message.product, message.cartUrl).then(sendResponse);
       // Keep the channel open for async response
       return true;
+    
+    case 'snoozeProduct': {
+      // minutes: 0 ends a snooze early
+      const minutes = parseInt(message.minutes, 10);
+      if (!message.url || !(minutes >= 0)) {
+        sendResponse({ success: false, error: "Invalid snooze" });
+        return true;
+      }
       
+      snoozeProductAlerts(message.url, minutes);
+      sendResponse({ success: true });
+      break;
+    }
+    
     default:
       sendResponse({ success: false, error: "Unknown action" });
   }
-  
-  return true; // Keep the channel open for async responses
-});
\ No newline at end of file
+}
@@ -0,0 +1,229 @@
+// ======== ELEMENT PICKER ========
+// Injected into the current tab from the popup. Highlights the element under
+// the cursor; clicking one builds a selector and a suggested detection rule
+// (see DETECTION RULES in background.js) that can be tweaked and saved.
+(function() {
+  // Injecting twice would stack two overlays
+  if (window.__stockMonitorPickerActive) return;
+  window.__stockMonitorPickerActive = true;
+  
+  const OUT_OF_STOCK_PATTERN = /sold out|out of stock|unavailable|coming soon|notify me/i;
+  const IN_STOCK_PATTERN = /add to cart|add to bag|buy now|pre-?order/i;
+  
+  // Attributes that identify an element without describing its current state
+  const STABLE_ATTRIBUTES = ['data-test', 'data-testid', 'data-test-id', 'data-qa', 'data-automation-id', 'name', 'aria-label'];
+  
+  const highlight = document.createElement('div');
+  highlight.style.cssText = 'position:fixed;pointer-events:none;z-index:2147483646;' +
+    'border:2px solid #3b82f6;background:rgba(59,130,246,0.15);border-radius:3px;display:none;';
+  
+  const panel = document.createElement('div');
+  panel.style.cssText = 'position:fixed;top:10px;right:10px;z-index:2147483647;width:320px;padding:12px;' +
+    'background:#fff;color:#111;border:1px solid #d1d5db;border-radius:8px;box-shadow:0 4px 12px rgba(0,0,0,0.2);' +
+    'font:13px/1.4 sans-serif;';
+  
+  let picking = true;
+  let hoveredElement = null;
+  
+  document.documentElement.appendChild(highlight);
+  document.documentElement.appendChild(panel);
+  showInstructions();
+  
+  document.addEventListener('mousemove', handleMouseMove, true);
+  document.addEventListener('click', handleClick, true);
+  document.addEventListener('keydown', handleKeyDown, true);
+  
+  function showInstructions() {
+    panel.innerHTML = `
+      <strong>Stock Monitor: pick an element</strong>
+      <div style="margin-top:6px">Click the add-to-cart button or the "sold out" message. Press Esc to cancel.</div>
+    `;
+  }
+  
+  function handleMouseMove(event) {
+    if (!picking || panel.contains(event.target)) return;
+    
+    hoveredElement = event.target;
+    const rect = hoveredElement.getBoundingClientRect();
+    Object.assign(highlight.style, {
+      display: 'block',
+      top: `${rect.top}px`,
+      left: `${rect.left}px`,
+      width: `${rect.width}px`,
+      height: `${rect.height}px`
+    });
+  }
+  
+  function handleClick(event) {
+    if (panel.contains(event.target)) return;
+    
+    // Swallow the click so the page doesn't add to cart or navigate
+    event.preventDefault();
+    event.stopPropagation();
+    if (!picking) return;
+    
+    picking = false;
+    showRuleEditor(suggestRule(event.target));
+  }
+  
+  function handleKeyDown(event) {
+    if (event.key === 'Escape') {
+      closePicker();
+    }
+  }
+  
+  function closePicker() {
+    document.removeEventListener('mousemove', handleMouseMove, true);
+    document.removeEventListener('click', handleClick, true);
+    document.removeEventListener('keydown', handleKeyDown, true);
+    highlight.remove();
+    panel.remove();
+    window.__stockMonitorPickerActive = false;
+  }
+  
+  function isUnique(selector) {
+    try {
+      return document.querySelectorAll(selector).length === 1;
+    } catch (error) {
+      return false;
+    }
+  }
+  
+  // Build a selector that should survive page reloads: prefer ids and test
+  // attributes, then classes, then a position under the nearest identifiable parent.
+  // Ids and classes with long digit runs are usually generated, so they're skipped.
+  function buildSelector(element) {
+    const tag = element.tagName.toLowerCase();
+    
+    if (element.id && !/\d{3,}/.test(element.id) && isUnique(`#${CSS.escape(element.id)}`)) {
+      return `#${CSS.escape(element.id)}`;
+    }
+    
+    for (const attribute of STABLE_ATTRIBUTES) {
+      const value = element.getAttribute(attribute);
+      if (!value) continue;
+      
+      const selector = `${tag}[${attribute}="${CSS.escape(value)}"]`;
+      if (isUnique(selector)) return selector;
+    }
+    
+    const classes = Array.from(element.classList)
+      .filter(className => !/\d{3,}/.test(className) && !/(^|-)(active|hover|focus|disabled)$/i.test(className))
+      .map(className => `.${CSS.escape(className)}`);
+    if (classes.length && isUnique(`${tag}${classes.join('')}`)) {
+      return `${tag}${classes.join('')}`;
+    }
+    
+    const parent = element.parentElement;
+    const sameTagSiblings = parent ? Array.from(parent.children).filter(child => child.tagName === element.tagName) : [];
+    const position = sameTagSiblings.length > 1 ? `:nth-of-type(${sameTagSiblings.indexOf(element) + 1})` : '';
+    const ownSelector = `${tag}${classes.join('')}${position}`;
+    
+    if (!parent || parent === document.body || parent === document.documentElement) {
+      return ownSelector;
+    }
+    return `${buildSelector(parent)} > ${ownSelector}`;
+  }
+  
+  // Guess the rule the user meant: sold-out text means out of stock, a button
+  // (or anything inside one) means in stock while it's enabled
+  function suggestRule(target) {
+    const text = (target.innerText || target.textContent || '').replace(/\s+/g, ' ').trim();
+    const outOfStockMatch = text.match(OUT_OF_STOCK_PATTERN);
+    
+    if (outOfStockMatch) {
+      return {
+        type: 'text_present',
+        selector: buildSelector(target),
+        value: text.length <= 60 ? text : outOfStockMatch[0],
+        result: 'out_of_stock'
+      };
+    }
+    
+    const control = target.closest('button, a, input[type="submit"], input[type="button"]');
+    if (control) {
+      return { type: 'selector_enabled', selector: buildSelector(control), value: '', result: 'in_stock' };
+    }
+    
+    if (IN_STOCK_PATTERN.test(text)) {
+      return { type: 'selector_exists', selector: buildSelector(target), value: text.slice(0, 60), result: 'in_stock' };
+    }
+    
+    // The value is a regex: cut the text first, then escape it, so the cut
+    // can't split an escape sequence
+    return {
+      type: 'selector_text_matches',
+      selector: buildSelector(target),
+      value: escapeRegExp(text.slice(0, 60).trim()),
+      result: 'in_stock'
+    };
+  }
+  
+  function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  }
+  
+  function showRuleEditor(rule) {
+    panel.innerHTML = `
+      <strong>New detection rule</strong>
+      <div style="margin-top:8px">
+        <select data-field="type" style="width:100%;margin-bottom:5px">
+          <option value="selector_enabled">Element is enabled</option>
+          <option value="selector_exists">Element exists</option>
+          <option value="text_present">Page text contains</option>
+          <option value="selector_text_matches">Element text matches regex</option>
+        </select>
+        <input data-field="selector" placeholder="CSS selector" style="width:100%;box-sizing:border-box;margin-bottom:5px">
+        <input data-field="value" placeholder="Text or regex" style="width:100%;box-sizing:border-box;margin-bottom:5px">
+        <select data-field="result" style="width:100%;margin-bottom:8px">
+          <option value="in_stock">= In stock</option>
+          <option value="out_of_stock">= Out of stock</option>
+        </select>
+      </div>
+      <div style="display:flex;gap:5px">
+        <button data-action="save">Save Rule</button>
+        <button data-action="again">Pick Again</button>
+        <button data-action="cancel">Cancel</button>
+      </div>
+      <div data-field="message" style="margin-top:6px;color:#6b7280"></div>
+    `;
+    
+    const field = name => panel.querySelector(`[data-field="${name}"]`);
+    field('type').value = rule.type;
+    field('selector').value = rule.selector;
+    field('value').value = rule.value;
+    field('result').value = rule.result;
+    
+    panel.querySelector('[data-action="save"]').addEventListener('click', () => {
+      const type = field('type').value;
+      const pickedRule = { type, result: field('result').value };
+      if (type !== 'text_present') pickedRule.selector = field('selector').value.trim();
+      if (type === 'text_present') pickedRule.text = field('value').value.trim();
+      if (type === 'selector_text_matches') pickedRule.pattern = field('value').value.trim();
+      
+      chrome.runtime.sendMessage({
+        action: 'savePickedRule',
+        url: location.href,
+        title: document.title,
+        rule: pickedRule
+      }, (response) => {
+        if (!response || !response.success) {
+          field('message').textContent = `Could not save: ${response?.error || 'no response'}`;
+          return;
+        }
+        
+        field('message').textContent = response.productName
+          ? `Rule added to "${response.productName}".`
+          : 'Rule saved. Open the extension popup to add this product with it.';
+        setTimeout(closePicker, 2500);
+      });
+    });
+    
+    panel.querySelector('[data-action="again"]').addEventListener('click', () => {
+      picking = true;
+      showInstructions();
+    });
+    
+    panel.querySelector('[data-action="cancel"]').addEventListener('click', closePicker);
+  }
+})();
@@ -0,0 +1,458 @@
+// ======== STOCK HISTORY (IndexedDB) ========
+// Every stock check result is appended to IndexedDB as a timestamped event so
+// we can reconstruct when each product flipped in and out of stock.
+// Loaded into the service worker via importScripts() in background.js.
+
+const HISTORY_DB_NAME = 'stockHistory';
+const HISTORY_DB_VERSION = 3;
+const CHECK_EVENTS_STORE = 'checkEvents';
+const DOM_SNAPSHOTS_STORE = 'domSnapshots';
+const ALERTS_STORE = 'alerts';
+const HISTORY_RETENTION_DAYS = 90; // Older events are pruned on startup
+const MAX_SNAPSHOTS_PER_PRODUCT = 10; // Oldest snapshots beyond this are deleted
+const MAX_ALERTS = 1000; // Oldest inbox alerts beyond this are deleted
+
+let historyDbPromise = null;
+
+// Open (and create or upgrade if needed) the history database
+function openHistoryDb() {
+  if (!historyDbPromise) {
+    historyDbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(HISTORY_DB_NAME, HISTORY_DB_VERSION);
+      
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains(CHECK_EVENTS_STORE)) {
+          const store = db.createObjectStore(CHECK_EVENTS_STORE, { keyPath: 'id', autoIncrement: true });
+          store.createIndex('productUrl', 'productUrl');
+          store.createIndex('timestamp', 'timestamp');
+          store.createIndex('productUrl_timestamp', ['productUrl', 'timestamp']);
+        }
+        
+        // Added in version 2
+        if (!db.objectStoreNames.contains(DOM_SNAPSHOTS_STORE)) {
+          const store = db.createObjectStore(DOM_SNAPSHOTS_STORE, { keyPath: 'id', autoIncrement: true });
+          store.createIndex('productUrl_timestamp', ['productUrl', 'timestamp']);
+        }
+        
+        // Added in version 3
+        if (!db.objectStoreNames.contains(ALERTS_STORE)) {
+          const store = db.createObjectStore(ALERTS_STORE, { keyPath: 'id', autoIncrement: true });
+          store.createIndex('timestamp', 'timestamp');
+        }
+      };
+      
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => {
+        // Allow a later call to retry instead of caching the failure
+        historyDbPromise = null;
+        reject(request.error);
+      };
+    });
+  }
+  
+  return historyDbPromise;
+}
+
+// Wrap an IDBRequest in a promise
+function promisifyRequest(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+// Append one check result for a product. Detector debug output is most of an
+// event's size, so it's only kept when keepDebug says the check needs explaining.
+async function recordCheckEvent(product, result, { retailer = null, keepDebug = true } = {}) {
+  const db = await openHistoryDb();
+  const event = {
+    productUrl: product.url,
+    productName: product.name,
+    retailer: retailer,
+    timestamp: Date.now(),
+    status: result.status,
+    reason: result.reason || null,
+    price: result.price ?? null,
+    seller: result.seller || null,
+    detector: result.detector || null,
+    error: result.error || null,
+    debug: keepDebug ? (result.debug || null) : null // Detector diagnostics, shown in the monitor's diagnostics panel
+  };
+  
+  const tx = db.transaction(CHECK_EVENTS_STORE, 'readwrite');
+  await promisifyRequest(tx.objectStore(CHECK_EVENTS_STORE).add(event));
+  return event;
+}
+
+// Fields the stock timeline and restock analytics need from each event
+const TIMELINE_EVENT_FIELDS = ['productUrl', 'productName', 'retailer', 'timestamp', 'status'];
+
+// Read an index range in order. With fields, each event is cut down to those
+// properties as it's read, so months of events don't sit in memory whole.
+async function readCheckEvents(index, range, fields) {
+  if (!fields) {
+    return await promisifyRequest(index.getAll(range));
+  }
+  
+  const events = [];
+  await new Promise((resolve, reject) => {
+    const cursorRequest = index.openCursor(range);
+    cursorRequest.onsuccess = () => {
+      const cursor = cursorRequest.result;
+      if (cursor) {
+        events.push(Object.fromEntries(fields.map(field => [field, cursor.value[field] ?? null])));
+        cursor.continue();
+      } else {
+        resolve();
+      }
+    };
+    cursorRequest.onerror = () => reject(cursorRequest.error);
+  });
+  
+  return events;
+}
+
+// Get a product's events in chronological order, optionally only those after
+// `since` (ms) and only the given fields
+async function getCheckEvents(productUrl, { since = 0, fields = null } = {}) {
+  const db = await openHistoryDb();
+  const tx = db.transaction(CHECK_EVENTS_STORE, 'readonly');
+  const index = tx.objectStore(CHECK_EVENTS_STORE).index('productUrl_timestamp');
+  const range = IDBKeyRange.bound([productUrl, since], [productUrl, Infinity]);
+  
+  return await readCheckEvents(index, range, fields);
+}
+
+// Get every product's events after `since` (ms), in chronological order,
+// optionally only the given fields
+async function getAllCheckEvents({ since = 0, fields = null } = {}) {
+  const db = await openHistoryDb();
+  const tx = db.transaction(CHECK_EVENTS_STORE, 'readonly');
+  const index = tx.objectStore(CHECK_EVENTS_STORE).index('timestamp');
+  
+  return await readCheckEvents(index, IDBKeyRange.lowerBound(since), fields);
+}
+
+// Delete every event older than the retention window
+async function pruneCheckEvents(maxAgeDays = HISTORY_RETENTION_DAYS) {
+  const db = await openHistoryDb();
+  const cutoff = Date.now() - maxAgeDays * 24 * 60 * 60 * 1000;
+  const tx = db.transaction(CHECK_EVENTS_STORE, 'readwrite');
+  const index = tx.objectStore(CHECK_EVENTS_STORE).index('timestamp');
+  
+  let deleted = 0;
+  await new Promise((resolve, reject) => {
+    const cursorRequest = index.openCursor(IDBKeyRange.upperBound(cutoff, true));
+    cursorRequest.onsuccess = () => {
+      const cursor = cursorRequest.result;
+      if (cursor) {
+        cursor.delete();
+        deleted++;
+        cursor.continue();
+      } else {
+        resolve();
+      }
+    };
+    cursorRequest.onerror = () => reject(cursorRequest.error);
+  });
+  
+  return deleted;
+}
+
+// ======== PAGE SNAPSHOTS ========
+// Trimmed page HTML captured by the checker tab (see saveSnapshotIfNeeded in
+// background.js), stored gzip-compressed next to the detector's debug output.
+
+async function gzipText(text) {
+  const stream = new Blob([text]).stream().pipeThrough(new CompressionStream('gzip'));
+  return await new Response(stream).arrayBuffer();
+}
+
+async function gunzipText(buffer) {
+  const stream = new Blob([buffer]).stream().pipeThrough(new DecompressionStream('gzip'));
+  return await new Response(stream).text();
+}
+
+// Store one snapshot and drop the product's oldest beyond MAX_SNAPSHOTS_PER_PRODUCT.
+// Returns the stored record without its compressed HTML.
+async function saveDomSnapshot(product, pageSnapshot, details = {}) {
+  const data = await gzipText(pageSnapshot.html);
+  const snapshot = {
+    productUrl: product.url,
+    productName: product.name,
+    timestamp: Date.now(),
+    pageUrl: pageSnapshot.url,
+    pageTitle: pageSnapshot.title,
+    truncated: !!pageSnapshot.truncated,
+    originalSize: pageSnapshot.originalLength,
+    compressedSize: data.byteLength,
+    ...details
+  };
+  
+  const db = await openHistoryDb();
+  const tx = db.transaction(DOM_SNAPSHOTS_STORE, 'readwrite');
+  const store = tx.objectStore(DOM_SNAPSHOTS_STORE);
+  snapshot.id = await promisifyRequest(store.add({ ...snapshot, data }));
+  
+  const range = IDBKeyRange.bound([product.url, 0], [product.url, Infinity]);
+  const keys = await promisifyRequest(store.index('productUrl_timestamp').getAllKeys(range));
+  for (const key of keys.slice(0, Math.max(0, keys.length - MAX_SNAPSHOTS_PER_PRODUCT))) {
+    store.delete(key);
+  }
+  
+  return snapshot;
+}
+
+// A product's snapshots, newest first, without their HTML
+async function getDomSnapshots(productUrl) {
+  const db = await openHistoryDb();
+  const tx = db.transaction(DOM_SNAPSHOTS_STORE, 'readonly');
+  const range = IDBKeyRange.bound([productUrl, 0], [productUrl, Infinity]);
+  const snapshots = await promisifyRequest(tx.objectStore(DOM_SNAPSHOTS_STORE).index('productUrl_timestamp').getAll(range));
+  
+  return snapshots.reverse().map(({ data, ...snapshot }) => snapshot);
+}
+
+// One snapshot with its HTML decompressed, or null if it's gone
+async function getDomSnapshot(id) {
+  const db = await openHistoryDb();
+  const tx = db.transaction(DOM_SNAPSHOTS_STORE, 'readonly');
+  const stored = await promisifyRequest(tx.objectStore(DOM_SNAPSHOTS_STORE).get(id));
+  if (!stored) return null;
+  
+  const { data, ...snapshot } = stored;
+  return { ...snapshot, html: await gunzipText(data) };
+}
+
+async function deleteDomSnapshot(id) {
+  const db = await openHistoryDb();
+  const tx = db.transaction(DOM_SNAPSHOTS_STORE, 'readwrite');
+  await promisifyRequest(tx.objectStore(DOM_SNAPSHOTS_STORE).delete(id));
+}
+
+// ======== ALERT INBOX ========
+// Every alert the extension raises, kept after its desktop notification is
+// gone (see recordInboxAlert in background.js). Record shape:
+//   id, timestamp, type, title, message, productName, productUrl, retailer,
+//   channels: ['desktop', ...], webhooks: [{ channel, ok, error }],
+//   suppressed: null | 'snoozed', seen
+
+// Store one alert (unseen) and drop the oldest beyond MAX_ALERTS. Returns the stored record.
+async function recordAlert(details) {
+  const alert = { timestamp: Date.now(), seen: false, ...details };
+  
+  const db = await openHistoryDb();
+  const tx = db.transaction(ALERTS_STORE, 'readwrite');
+  const store = tx.objectStore(ALERTS_STORE);
+  alert.id = await promisifyRequest(store.add(alert));
+  
+  const keys = await promisifyRequest(store.getAllKeys());
+  for (const key of keys.slice(0, Math.max(0, keys.length - MAX_ALERTS))) {
+    store.delete(key);
+  }
+  
+  return alert;
+}
+
+// Merge changes into a stored alert, e.g. webhook outcomes once they're known
+async function updateAlert(id, changes) {
+  const db = await openHistoryDb();
+  const tx = db.transaction(ALERTS_STORE, 'readwrite');
+  const store = tx.objectStore(ALERTS_STORE);
+  const alert = await promisifyRequest(store.get(id));
+  if (!alert) return null;
+  
+  const updated = { ...alert, ...changes, id };
+  await promisifyRequest(store.put(updated));
+  return updated;
+}
+
+// Alerts newest first, up to `limit`
+async function getAlerts({ limit = MAX_ALERTS } = {}) {
+  const db = await openHistoryDb();
+  const tx = db.transaction(ALERTS_STORE, 'readonly');
+  const alerts = await promisifyRequest(tx.objectStore(ALERTS_STORE).index('timestamp').getAll());
+  
+  return alerts.reverse().slice(0, limit);
+}
+
+async function countUnseenAlerts() {
+  const alerts = await getAlerts();
+  return alerts.filter(alert => !alert.seen).length;
+}
+
+// Mark the given alerts as seen, or every alert when ids is omitted.
+// Returns how many changed.
+async function markAlertsSeen(ids = null) {
+  const db = await openHistoryDb();
+  const tx = db.transaction(ALERTS_STORE, 'readwrite');
+  const store = tx.objectStore(ALERTS_STORE);
+  const alerts = ids
+    ? await Promise.all(ids.map(id => promisifyRequest(store.get(id))))
+    : await promisifyRequest(store.getAll());
+  
+  const unseen = alerts.filter(alert => alert && !alert.seen);
+  await Promise.all(unseen.map(alert => promisifyRequest(store.put({ ...alert, seen: true }))));
+  return unseen.length;
+}
+
+// Collapse a chronological list of events into in-stock / out-of-stock windows.
+// Unknown results don't tell us anything about availability, so they neither
+// start nor end a window. The final window is still open (end: null).
+function buildStockTimeline(events, now = Date.now()) {
+  const windows = [];
+  
+  for (const event of events) {
+    if (event.status !== 'in_stock' && event.status !== 'out_of_stock') continue;
+    
+    const current = windows[windows.length - 1];
+    if (current && current.status === event.status) {
+      current.checks++;
+      current.lastSeen = event.timestamp;
+      continue;
+    }
+    
+    // Status flipped: close the previous window at the moment of the flip
+    if (current) {
+      current.end = event.timestamp;
+      current.durationMs = current.end - current.start;
+    }
+    
+    windows.push({
+      status: event.status,
+      start: event.timestamp,
+      end: null,
+      lastSeen: event.timestamp,
+      durationMs: 0,
+      checks: 1
+    });
+  }
+  
+  const last = windows[windows.length - 1];
+  if (last) {
+    last.durationMs = now - last.start;
+  }
+  
+  return windows;
+}
+
+// ======== RESTOCK ANALYTICS ========
+// A "restock" is the start of an in-stock window that follows an out-of-stock
+// window. A product that was already in stock on its first check doesn't count.
+
+// 7 x 24 grid of counts, indexed [weekday][hour] (0 = Sunday, local time)
+function createHeatmap() {
+  return Array.from({ length: 7 }, () => new Array(24).fill(0));
+}
+
+function addToHeatmap(heatmap, timestamp) {
+  const date = new Date(timestamp);
+  heatmap[date.getDay()][date.getHours()]++;
+}
+
+// Summarise in-stock windows: count, average length, and when the last one started
+function summarizeInStockWindows(windows) {
+  const inStockWindows = windows.filter(window => window.status === 'in_stock');
+  const totalMs = inStockWindows.reduce((sum, window) => sum + window.durationMs, 0);
+  
+  return {
+    inStockWindows: inStockWindows.length,
+    avgInStockMs: inStockWindows.length ? Math.round(totalMs / inStockWindows.length) : null
+  };
+}
+
+// Build per-product, per-retailer and overall restock statistics from raw check events
+function buildRestockAnalytics(events, now = Date.now()) {
+  // Group events by product, keeping the newest name/retailer we saw
+  const byProduct = new Map();
+  for (const event of events) {
+    let entry = byProduct.get(event.productUrl);
+    if (!entry) {
+      entry = { url: event.productUrl, name: event.productName, retailer: event.retailer || 'unknown', events: [] };
+      byProduct.set(event.productUrl, entry);
+    }
+    entry.name = event.productName || entry.name;
+    entry.retailer = event.retailer || entry.retailer;
+    entry.events.push(event);
+  }
+  
+  const overall = { heatmap: createHeatmap(), restocks: 0 };
+  const retailers = {};
+  const products = [];
+  const restocks = [];
+  const allWindows = [];
+  
+  for (const entry of byProduct.values()) {
+    const windows = buildStockTimeline(entry.events, now);
+    allWindows.push(...windows);
+    const heatmap = createHeatmap();
+    let lastRestockAt = null;
+    
+    windows.forEach((window, index) => {
+      if (window.status !== 'in_stock' || index === 0) return;
+      
+      addToHeatmap(heatmap, window.start);
+      addToHeatmap(overall.heatmap, window.start);
+      lastRestockAt = window.start;
+      restocks.push({
+        timestamp: window.start,
+        productUrl: entry.url,
+        productName: entry.name,
+        retailer: entry.retailer,
+        durationMs: window.durationMs,
+        ongoing: window.end === null
+      });
+    });
+    
+    const restockCount = windows.filter((window, index) => window.status === 'in_stock' && index > 0).length;
+    const lastWindow = windows[windows.length - 1];
+    
+    products.push({
+      url: entry.url,
+      name: entry.name,
+      retailer: entry.retailer,
+      checks: entry.events.length,
+      restocks: restockCount,
+      ...summarizeInStockWindows(windows),
+      lastRestockAt,
+      timeSinceLastRestockMs: lastRestockAt ? now - lastRestockAt : null,
+      currentlyInStock: lastWindow ? lastWindow.status === 'in_stock' : false,
+      heatmap
+    });
+    
+    if (!retailers[entry.retailer]) {
+      retailers[entry.retailer] = { heatmap: createHeatmap(), restocks: 0, windows: [], lastRestockAt: null };
+    }
+    const retailer = retailers[entry.retailer];
+    retailer.restocks += restockCount;
+    retailer.windows.push(...windows);
+    retailer.lastRestockAt = Math.max(retailer.lastRestockAt || 0, lastRestockAt || 0) || null;
+    heatmap.forEach((hours, day) => hours.forEach((count, hour) => {
+      retailer.heatmap[day][hour] += count;
+    }));
+    
+    overall.restocks += restockCount;
+  }
+  
+  // Replace the raw windows with summary numbers
+  for (const id of Object.keys(retailers)) {
+    const { windows, ...retailer } = retailers[id];
+    retailers[id] = {
+      ...retailer,
+      ...summarizeInStockWindows(windows),
+      timeSinceLastRestockMs: retailer.lastRestockAt ? now - retailer.lastRestockAt : null
+    };
+  }
+  
+  restocks.sort((a, b) => a.timestamp - b.timestamp);
+  
+  return {
+    generatedAt: now,
+    totalChecks: events.length,
+    overall: { ...overall, ...summarizeInStockWindows(allWindows) },
+    retailers,
+    products,
+    restocks
+  };
+}
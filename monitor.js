@@ -7,84 +7,246 @@ document.addEventListener('DOMContentLoaded', function() {
   const checkNowButton = document.getElementById('checkNow');
   const checkIntervalInput = document.getElementById('checkInterval');
   const purchaseLimitInput = document.getElementById('purchaseLimit');
+  const alertConfirmationsInput = document.getElementById('alertConfirmations');
+  const confirmRecheckSecondsInput = document.getElementById('confirmRecheckSeconds');
+  const alertCooldownMinutesInput = document.getElementById('alertCooldownMinutes');
+  const snoozeMinutesInput = document.getElementById('snoozeMinutes');
   const resetCountButton = document.getElementById('resetCount');
   const purchaseCountElement = document.getElementById('purchaseCount');
   const statusMessageElement = document.getElementById('status-message');
+  const detectionRulesElement = document.getElementById('detectionRules');
+  const ruleTestResultElement = document.getElementById('ruleTestResult');
   const nextCheckElement = document.getElementById('nextCheck');
   const countdownElement = document.getElementById('countdown');
+  const scheduleInfoElement = document.getElementById('scheduleInfo');
   const autoRefreshCheckbox = document.getElementById('autoRefresh');
+  const analyticsRangeSelect = document.getElementById('analyticsRange');
+  const analyticsScopeSelect = document.getElementById('analyticsScope');
+  const analyticsSummaryElement = document.getElementById('analyticsSummary');
+  const analyticsHeatmapElement = document.getElementById('analyticsHeatmap');
+  const analyticsProductsElement = document.getElementById('analyticsProducts');
+  const watchListElement = document.getElementById('watchList');
+  const channelListElement = document.getElementById('channelList');
+  const channelEventsElement = document.getElementById('channelEvents');
+  const inboxListElement = document.getElementById('inboxList');
+  const inboxTypeSelect = document.getElementById('inboxType');
+  const inboxProductSelect = document.getElementById('inboxProduct');
+  const inboxUnseenOnlyInput = document.getElementById('inboxUnseenOnly');
   
   let isMonitoring = false;
   let stockStatus = {};
   let monitoredProducts = [];
+  let purchaseStats = { count: 0, limit: 3 };
   let countdownInterval;
   let nextCheckTime = 0;
+  const openHistoryPanels = new Set(); // URLs whose history timeline is expanded
+  const openDiagnosticsPanels = new Set(); // URLs whose diagnostics panel is expanded
+  const historyPanelCache = new Map(); // URL -> { html, loadedAt }, so list redraws don't re-read history
+  const HISTORY_PANEL_REFRESH_MS = 60 * 1000;
+  let restockAnalytics = null; // Last analytics payload from the background
+  let keywordWatches = []; // Keyword watches with their latest scan state
+  let notificationChannels = []; // Webhook channels with their last delivery
+  let channelOptions = { events: {}, placeholders: {}, presets: {} }; // Filled in by getNotificationChannels
+  let editingChannelId = null; // Channel loaded into the form, if editing
+  let alertSoundLabels = {}; // Sound name -> label, filled in by getAlertSoundSettings
+  let inboxAlerts = []; // Stored alerts, newest first
+  let alertTypeLabels = {}; // Alert type -> label, filled in by getAlerts
+  let pendingImportProducts = null; // Products read from the chosen watchlist file
+  let pendingImportPreview = null; // The background's plan for them, for the confirm prompt
   
-  // Load initial state
-  chrome.runtime.sendMessage({ action: 'getProducts' }, (response) => {
-    if (response) {
-      stockStatus = response.stockStatus || {};
-      monitoredProducts = response.products || [];
-      updateProductList(monitoredProducts);
-    } else {
-      console.error('No response received from getProducts');
-      updateProductList([]);
-    }
-  });
-  
-  chrome.storage.sync.get(['checkInterval', 'purchaseLimit'], (result) => {
+  chrome.storage.sync.get(['checkInterval', 'purchaseLimit', 'alertConfirmations', 'confirmRecheckSeconds', 'alertCooldownMinutes', 'snoozeMinutes'], (result) => {
     checkIntervalInput.value = result.checkInterval || 30;
     purchaseLimitInput.value = result.purchaseLimit || 3;
+    alertConfirmationsInput.value = result.alertConfirmations || 2;
+    confirmRecheckSecondsInput.value = result.confirmRecheckSeconds || 15;
+    alertCooldownMinutesInput.value = result.alertCooldownMinutes ?? 10;
+    snoozeMinutesInput.value = result.snoozeMinutes || 60;
   });
   
-  // Check if monitoring is already active
-  chrome.runtime.sendMessage({ action: 'getMonitoringStatus' }, (response) => {
-    if (response) {
-      isMonitoring = response.isMonitoring || false;
-      updateMonitoringUI();
+  // ======== LIVE STATE ========
+  // The background pushes a full snapshot when we connect, then deltas
+  // containing only what changed, so there's no need to poll it
+  function connectStateSubscription() {
+    const port = chrome.runtime.connect({ name: 'stateSubscription' });
+    
+    port.onMessage.addListener((message) => {
+      if (message.type === 'snapshot') {
+        applyStateSnapshot(message.state);
+      } else if (message.type === 'delta') {
+        applyStateDelta(message.changes);
+      }
+    });
+    
+    // The port closes whenever the service worker shuts down; reconnecting
+    // wakes it back up and brings a fresh snapshot
+    port.onDisconnect.addListener(() => {
+      setTimeout(connectStateSubscription, 1000);
+    });
+  }
+  
+  function applyStateSnapshot(state) {
+    monitoredProducts = state.products || [];
+    stockStatus = state.stockStatus || {};
+    isMonitoring = state.monitoring ? state.monitoring.isMonitoring : false;
+    purchaseStats = state.purchaseStats || purchaseStats;
+    
+    updateMonitoringUI();
+    updatePurchaseCountDisplay();
+    applySchedulerStatus(state.scheduler);
+    keywordWatches = state.keywordWatches || [];
+    renderKeywordWatches();
+    notificationChannels = state.notificationChannels || [];
+    renderNotificationChannels();
+    applyInboxStatus(state.alertInbox);
+    updateProductList(monitoredProducts);
+  }
+  
+  function applyStateDelta(changes) {
+    let needsRender = false;
+    
+    if ('products' in changes) {
+      monitoredProducts = changes.products || [];
+      needsRender = true;
+    }
+    
+    if ('stockStatus' in changes) {
+      for (const [url, entry] of Object.entries(changes.stockStatus)) {
+        if (entry) {
+          stockStatus[url] = entry;
+        } else {
+          delete stockStatus[url];
+        }
+      }
       
-      if (isMonitoring) {
-        startCountdown(checkIntervalInput.value * 1000);
+      // Respect the auto-refresh toggle for routine check results
+      if (autoRefreshCheckbox.checked) {
+        needsRender = true;
       }
     }
-  });
+    
+    if ('monitoring' in changes) {
+      isMonitoring = changes.monitoring.isMonitoring;
+      updateMonitoringUI();
+    }
+    
+    if ('purchaseStats' in changes) {
+      purchaseStats = changes.purchaseStats;
+      updatePurchaseCountDisplay();
+      needsRender = true;
+    }
+    
+    if ('cartProgress' in changes) {
+      showCartProgress(changes.cartProgress);
+    }
+    
+    if ('scheduler' in changes) {
+      applySchedulerStatus(changes.scheduler);
+    }
+    
+    if ('keywordWatches' in changes) {
+      keywordWatches = changes.keywordWatches || [];
+      renderKeywordWatches();
+    }
+    
+    if ('notificationChannels' in changes) {
+      notificationChannels = changes.notificationChannels || [];
+      renderNotificationChannels();
+    }
+    
+    if ('alertInbox' in changes) {
+      applyInboxStatus(changes.alertInbox);
+    }
+    
+    if (needsRender) {
+      updateProductList(monitoredProducts);
+    }
+  }
+  
+  // Show the latest add-to-cart attempt in the status line
+  function showCartProgress(progress) {
+    if (!progress) return;
+    
+    const messages = {
+      adding: `Adding ${progress.productName} to cart...`,
+      added: `${progress.productName} added to cart!`,
+      failed: `Could not add ${progress.productName} to cart${progress.error ? `: ${progress.error}` : ''}`,
+      limit_reached: 'Purchase limit reached. Reset count to buy more.',
+      price_too_high: `Skipped ${progress.productName}: ${progress.error}`
+    };
+    
+    statusMessageElement.textContent = messages[progress.stage] || '';
+    
+    // Leave "adding" up until the attempt finishes
+    if (!progress.inProgress) {
+      setTimeout(() => {
+        if (statusMessageElement.textContent === messages[progress.stage]) {
+          statusMessageElement.textContent = '';
+        }
+      }, 4000);
+    }
+  }
+  
+  connectStateSubscription();
   
   // Update purchase count display
   function updatePurchaseCountDisplay() {
-    chrome.runtime.sendMessage({ action: 'getPurchaseStats' }, (response) => {
-      if (response) {
-        purchaseCountElement.textContent = `Items Purchased: ${response.count}/${response.limit}`;
-        
-        // Disable all cart buttons if limit reached
-        if (response.count >= response.limit) {
-          document.querySelectorAll('.cart-btn').forEach(btn => {
-            btn.disabled = true;
-            btn.title = 'Purchase limit reached';
-          });
-        }
+    purchaseCountElement.textContent = `Items Purchased: ${purchaseStats.count}/${purchaseStats.limit}`;
+    
+    // Disable all cart buttons if limit reached
+    if (purchaseStats.count >= purchaseStats.limit) {
+      document.querySelectorAll('.cart-btn').forEach(btn => {
+        btn.disabled = true;
+        btn.title = 'Purchase limit reached';
+      });
+    }
+  }
+  
+  // Ask the background scheduler when the next check really happens
+  function refreshSchedulerStatus() {
+    chrome.runtime.sendMessage({ action: 'getSchedulerStatus' }, (response) => {
+      if (response && response.success) {
+        applySchedulerStatus(response.schedulerStatus);
       }
     });
   }
   
-  // Start countdown timer to next check
-  function startCountdown(intervalMs) {
+  // Show the scheduler's real next-fire time and effective interval
+  function applySchedulerStatus(schedulerStatus) {
+    if (!schedulerStatus || !schedulerStatus.isMonitoring || !schedulerStatus.nextCheckAt) {
+      clearInterval(countdownInterval);
+      countdownElement.textContent = "--";
+      scheduleInfoElement.textContent = '';
+      return;
+    }
+    
+    const { requestedIntervalSeconds, effectiveIntervalSeconds, clamped, jitterPercent } = schedulerStatus;
+    scheduleInfoElement.textContent = clamped
+      ? `(every ${effectiveIntervalSeconds}s + up to ${jitterPercent}% jitter; Chrome won't run alarms faster than ${effectiveIntervalSeconds}s, ${requestedIntervalSeconds}s requested)`
+      : `(every ${effectiveIntervalSeconds}s + up to ${jitterPercent}% jitter)`;
+    
+    startCountdown(schedulerStatus.nextCheckAt);
+  }
+  
+  // Start countdown timer to the next check time (ms since epoch)
+  function startCountdown(checkTime) {
     // Clear any existing countdown
     clearInterval(countdownInterval);
     
-    // Calculate next check time
-    nextCheckTime = Date.now() + intervalMs;
+    nextCheckTime = checkTime;
     
-    // Update countdown display
-    countdownInterval = setInterval(() => {
+    const updateCountdown = () => {
       const remaining = Math.max(0, nextCheckTime - Date.now());
       const seconds = Math.floor(remaining / 1000);
       
       if (seconds <= 0) {
         countdownElement.textContent = "checking now...";
-        // Reset countdown after a short delay
+        clearInterval(countdownInterval);
+        
+        // The background broadcasts the new time when it re-arms; ask again in
+        // case that message was missed
         setTimeout(() => {
-          if (isMonitoring) {
-            startCountdown(intervalMs);
+          if (isMonitoring && nextCheckTime === checkTime) {
+            refreshSchedulerStatus();
           }
         }, 3000);
       } else {
@@ -92,19 +254,15 @@ document.addEventListener('DOMContentLoaded', function() {
         const remainingSeconds = seconds % 60;
         countdownElement.textContent = `${minutes}:${remainingSeconds.toString().padStart(2, '0')}`;
       }
-    }, 1000);
+    };
+    
+    // Update countdown display
+    countdownInterval = setInterval(updateCountdown, 1000);
     
     // Initial update
-    const remaining = Math.max(0, nextCheckTime - Date.now());
-    const seconds = Math.floor(remaining / 1000);
-    const minutes = Math.floor(seconds / 60);
-    const remainingSeconds = seconds % 60;
-    countdownElement.textContent = `${minutes}:${remainingSeconds.toString().padStart(2, '0')}`;
+    updateCountdown();
   }
   
-  // Update purchase count on load
-  updatePurchaseCountDisplay();
-  
   // Reset purchase count
   resetCountButton.addEventListener('click', function() {
     this.textContent = 'Resetting...';
@@ -158,25 +316,24 @@ document.addEventListener('DOMContentLoaded', function() {
     });
   });
   
-  // Listen for stock status updates
-  chrome.runtime.onMessage.addListener((message) => {
-    if (message && message.action === 'stockStatusUpdate') {
-      stockStatus = message.stockStatus || {};
-      
-      if (autoRefreshCheckbox.checked && stockStatus) {
-        const products = Object.values(stockStatus)
-          .filter(item => item && item.product)
-          .map(item => item.product);
-        updateProductList(products);
-      }
-      
-      // Start a new countdown
-      if (isMonitoring) {
-        const interval = parseInt(checkIntervalInput.value, 10) * 1000;
-        startCountdown(interval);
-      }
-    }
-    return true;
+  // Update alert confirmation, cooldown and snooze settings
+  [alertConfirmationsInput, confirmRecheckSecondsInput, alertCooldownMinutesInput, snoozeMinutesInput].forEach(input => {
+    input.addEventListener('change', () => {
+      chrome.runtime.sendMessage({
+        action: 'updateAlertSettings',
+        alertConfirmations: alertConfirmationsInput.value,
+        confirmRecheckSeconds: confirmRecheckSecondsInput.value,
+        alertCooldownMinutes: alertCooldownMinutesInput.value,
+        snoozeMinutes: snoozeMinutesInput.value
+      }, (response) => {
+        if (!response || !response.success) {
+          statusMessageElement.textContent = response?.error || 'Could not save alert settings.';
+          setTimeout(() => {
+            statusMessageElement.textContent = '';
+          }, 3000);
+        }
+      });
+    });
   });
   
   // Toggle monitoring
@@ -188,16 +345,7 @@ document.addEventListener('DOMContentLoaded', function() {
     }, (response) => {
       if (response && response.success) {
         updateMonitoringUI();
-        
-        if (isMonitoring) {
-          // If we're starting monitoring, initialize the countdown
-          const interval = parseInt(checkIntervalInput.value, 10) * 1000;
-          startCountdown(interval);
-        } else {
-          // If we're stopping, clear the countdown
-          clearInterval(countdownInterval);
-          countdownElement.textContent = "--";
-        }
+        refreshSchedulerStatus();
       }
     });
   });
@@ -212,11 +360,35 @@ document.addEventListener('DOMContentLoaded', function() {
     const urlInput = document.getElementById('productUrl');
     const addToCartUrlInput = document.getElementById('addToCartUrl');
     const autoCheckoutInput = document.getElementById('autoCheckout');
+    const allowThirdPartyInput = document.getElementById('allowThirdParty');
+    const productZipCodeInput = document.getElementById('productZipCode');
+    const productStoreIdInput = document.getElementById('productStoreId');
+    const fulfillmentModeInputs = document.querySelectorAll('.fulfillment-mode');
+    const detectionRules = readDetectionRules();
+    const productCheckIntervalInput = document.getElementById('productCheckInterval');
+    const activeHoursStartInput = document.getElementById('activeHoursStart');
+    const activeHoursEndInput = document.getElementById('activeHoursEnd');
+    const productMaxPriceInput = document.getElementById('productMaxPrice');
+    const productTargetPriceInput = document.getElementById('productTargetPrice');
+    const productAlertSoundSelect = document.getElementById('productAlertSound');
     
     const name = nameInput.value.trim();
     const url = urlInput.value.trim();
     const addToCartUrl = addToCartUrlInput.value.trim();
     const autoCheckout = autoCheckoutInput.checked;
+    const allowThirdParty = allowThirdPartyInput.checked;
+    const zipCode = productZipCodeInput.value.trim() || null;
+    const storeId = productStoreIdInput.value.trim() || null;
+    const fulfillmentModes = Array.from(fulfillmentModeInputs)
+      .filter(input => input.checked)
+      .map(input => input.value);
+    const checkInterval = parseInt(productCheckIntervalInput.value, 10) || null;
+    const activeHours = activeHoursStartInput.value && activeHoursEndInput.value
+      ? { start: activeHoursStartInput.value, end: activeHoursEndInput.value }
+      : null;
+    const maxPrice = parseFloat(productMaxPriceInput.value) || null;
+    const targetPrice = parseFloat(productTargetPriceInput.value) || null;
+    const alertSound = productAlertSoundSelect.value || null;
     
     if (!name || !url) {
       alert('Please enter both a name and URL for the product.');
@@ -225,8 +397,8 @@ document.addEventListener('DOMContentLoaded', function() {
       return;
     }
     
-    if (!url.includes('bestbuy.com') && !url.includes('target.com')) {
-      alert('Please enter a valid Best Buy or Target URL.');
+    if (!/^https?:\/\/[^/\s]+/i.test(url)) {
+      alert('Please enter a valid product URL, starting with http:// or https://.');
       this.textContent = 'Add Product';
       this.disabled = false;
       return;
@@ -234,35 +406,56 @@ document.addEventListener('DOMContentLoaded', function() {
     
     const button = this;
     
-    // Attempt to add product
-    chrome.runtime.sendMessage({
-      action: 'addProduct',
-      product: { name, url, addToCartUrl, autoCheckout }
-    }, function(response) {
-      if (response && response.success) {
-        nameInput.value = '';
-        urlInput.value = '';
-        addToCartUrlInput.value = '';
-        stockStatus = response.stockStatus || {};
-        monitoredProducts = response.products || [];
-        updateProductList(monitoredProducts);
-        button.textContent = 'Product Added!';
-        statusMessageElement.textContent = 'Product added successfully!';
-        
-        setTimeout(function() {
-          button.textContent = 'Add Product';
-          button.disabled = false;
-          statusMessageElement.textContent = '';
-        }, 2000);
-      } else {
-        statusMessageElement.textContent = 'Failed to add product. Please try again.';
+    // Attempt to add product. Checking it means running scripts in its page,
+    // so ask for the site first (Best Buy and Target are already granted).
+    requestSitePermission(url, (granted, host) => {
+      if (!granted) {
+        statusMessageElement.textContent = `Permission to read ${host} was not granted, so the product can't be checked.`;
         button.textContent = 'Add Product';
         button.disabled = false;
-        
-        setTimeout(function() {
-          statusMessageElement.textContent = '';
-        }, 3000);
+        return;
       }
+      
+      chrome.runtime.sendMessage({
+        action: 'addProduct',
+        product: { name, url, addToCartUrl, autoCheckout, allowThirdParty, enabled: true, checkInterval, activeHours, maxPrice, targetPrice, alertSound, zipCode, storeId, fulfillmentModes, detectionRules }
+      }, function(response) {
+        if (response && response.success) {
+          nameInput.value = '';
+          urlInput.value = '';
+          addToCartUrlInput.value = '';
+          productCheckIntervalInput.value = '';
+          activeHoursStartInput.value = '';
+          activeHoursEndInput.value = '';
+          productMaxPriceInput.value = '';
+          productTargetPriceInput.value = '';
+          productAlertSoundSelect.value = '';
+          productZipCodeInput.value = '';
+          productStoreIdInput.value = '';
+          fulfillmentModeInputs.forEach(input => { input.checked = false; });
+          detectionRulesElement.innerHTML = '';
+          ruleTestResultElement.textContent = '';
+          stockStatus = response.stockStatus || {};
+          monitoredProducts = response.products || [];
+          updateProductList(monitoredProducts);
+          button.textContent = 'Product Added!';
+          statusMessageElement.textContent = 'Product added successfully!';
+          
+          setTimeout(function() {
+            button.textContent = 'Add Product';
+            button.disabled = false;
+            statusMessageElement.textContent = '';
+          }, 2000);
+        } else {
+          statusMessageElement.textContent = 'Failed to add product. Please try again.';
+          button.textContent = 'Add Product';
+          button.disabled = false;
+          
+          setTimeout(function() {
+            statusMessageElement.textContent = '';
+          }, 3000);
+        }
+      });
     });
   });
   
@@ -275,20 +468,8 @@ document.addEventListener('DOMContentLoaded', function() {
       action: 'forceCheck'
     }, (response) => {
       if (response && response.success) {
-        stockStatus = response.stockStatus || {};
-        if (stockStatus) {
-          const products = Object.values(stockStatus)
-            .filter(item => item && item.product)
-            .map(item => item.product);
-          updateProductList(products);
-        }
-        statusMessageElement.textContent = 'Stock check completed!';
-        
-        // If monitoring is active, restart the countdown
-        if (isMonitoring) {
-          const interval = parseInt(checkIntervalInput.value, 10) * 1000;
-          startCountdown(interval);
-        }
+        // Results arrive over the state subscription as each check finishes
+        statusMessageElement.textContent = 'Stock check started!';
         
         setTimeout(() => {
           statusMessageElement.textContent = '';
@@ -312,10 +493,10 @@ document.addEventListener('DOMContentLoaded', function() {
     chrome.runtime.sendMessage({
       action: 'updateCheckInterval',
       seconds
-    }, () => {
-      // If monitoring is active, restart the countdown with new interval
-      if (isMonitoring) {
-        startCountdown(seconds * 1000);
+    }, (response) => {
+      // Show the interval the scheduler actually ended up using
+      if (response && response.success) {
+        applySchedulerStatus(response.schedulerStatus);
       }
     });
   });
@@ -352,86 +533,497 @@ document.addEventListener('DOMContentLoaded', function() {
       return;
     }
     
-    // First update purchase count to know if limit is reached
-    chrome.runtime.sendMessage({ action: 'getPurchaseStats' }, (stats) => {
-      const limitReached = stats && stats.count >= stats.limit;
+    // Check the purchase limit to know which buttons to disable
+    const limitReached = purchaseStats.count >= purchaseStats.limit;
+    
+    // Sort products: in-stock first, then by name
+    const sortedProducts = [...products].sort((a, b) => {
+      const statusA = stockStatus[a.url];
+      const statusB = stockStatus[b.url];
       
-      // Sort products: in-stock first, then by name
-      const sortedProducts = [...products].sort((a, b) => {
-        const statusA = stockStatus[a.url];
-        const statusB = stockStatus[b.url];
-        
-        // If one is in stock and the other isn't, prioritize the in-stock one
-        if (statusA?.inStock && !statusB?.inStock) return -1;
-        if (!statusA?.inStock && statusB?.inStock) return 1;
-        
-        // If both in same stock state, sort by name alphabetically
-        return a.name.localeCompare(b.name);
-      });
+      // If one is in stock and the other isn't, prioritize the in-stock one
+      if (statusA?.inStock && !statusB?.inStock) return -1;
+      if (!statusA?.inStock && statusB?.inStock) return 1;
       
-      sortedProducts.forEach(product => {
-        const productElement = document.createElement('div');
-        productElement.className = 'product-item';
-        
-        // Get stock status info
-        const status = stockStatus[product.url];
-        
-        let stockStatusHtml;
-        if (status) {
-          if (status.inStock) {
-            stockStatusHtml = `
-              <div class="product-status in-stock">
-                ✅ IN STOCK!
-              </div>
-              <div class="last-checked">Last checked: ${status.lastChecked || 'Not checked yet'}</div>
-            `;
-          } else {
-            stockStatusHtml = `
-              <div class="product-status out-of-stock">
-                ❌ Out of Stock
-              </div>
-              <div class="last-checked">Last checked: ${status.lastChecked || 'Not checked yet'}</div>
-              ${status.lastInStock ? `<div class="last-in-stock">Last seen in stock: ${status.lastInStock}</div>` : ''}
-            `;
-          }
+      // If both in same stock state, sort by name alphabetically
+      return a.name.localeCompare(b.name);
+    });
+    
+    sortedProducts.forEach(product => {
+      const productElement = document.createElement('div');
+      productElement.className = product.enabled === false ? 'product-item paused' : 'product-item';
+      
+      // Get stock status info
+      const status = stockStatus[product.url];
+      
+      let stockStatusHtml;
+      if (status) {
+        if (status.status === 'unknown') {
+          // The check failed, so we can't say whether it's in stock
+          stockStatusHtml = `
+            <div class="product-status unknown-stock">
+              ❓ Status Unknown
+            </div>
+            <div class="check-error">Check failed: ${escapeHtml(status.error || status.reason || 'unknown error')}</div>
+            <div class="last-checked">Last checked: ${status.lastChecked || 'Not checked yet'}</div>
+            ${status.lastInStock ? `<div class="last-in-stock">Last seen in stock: ${status.lastInStock}</div>` : ''}
+          `;
+        } else if (status.inStock && status.confirming) {
+          stockStatusHtml = `
+            <div class="product-status in-stock">
+              ⏳ In stock? Confirming (${status.confirming.readings}/${status.confirming.required})
+            </div>
+            <div class="last-checked">Last checked: ${status.lastChecked || 'Not checked yet'}</div>
+          `;
+        } else if (status.inStock) {
+          stockStatusHtml = `
+            <div class="product-status in-stock">
+              ✅ IN STOCK!
+            </div>
+            <div class="last-checked">Last checked: ${status.lastChecked || 'Not checked yet'}</div>
+          `;
         } else {
-          stockStatusHtml = `<div class="product-status">Status: Not checked yet</div>`;
+          stockStatusHtml = `
+            <div class="product-status out-of-stock">
+              ❌ Out of Stock
+            </div>
+            <div class="last-checked">Last checked: ${status.lastChecked || 'Not checked yet'}</div>
+            ${status.lastInStock ? `<div class="last-in-stock">Last seen in stock: ${status.lastInStock}</div>` : ''}
+          `;
         }
-        
-        // Determine if buttons should be disabled
-        const disableButtons = limitReached || (!status || !status.inStock);
-        const buttonTitle = limitReached ? 'Purchase limit reached' : 
-                           (!status || !status.inStock ? 'Item is out of stock' : '');
-        
-        productElement.innerHTML = `
-          <div class="product-details">
-            <div class="product-name">${product.name}</div>
-            <div class="product-url">${product.url}</div>
-            <div class="product-option">${product.autoCheckout ? 'Auto-add to cart: Enabled' : 'Auto-add to cart: Disabled'}</div>
-            ${product.addToCartUrl ? '<div class="product-option">Direct Add to Cart URL: ✓</div>' : ''}
-            ${stockStatusHtml}
+      } else {
+        stockStatusHtml = `<div class="product-status">Status: Not checked yet</div>`;
+      }
+      
+      // Alerts silenced from a notification's Snooze button
+      if (status && status.snoozedUntil > Date.now()) {
+        stockStatusHtml += `<div class="snoozed">🔕 Alerts snoozed until ${new Date(status.snoozedUntil).toLocaleTimeString()}</div>`;
+      }
+      
+      // Determine if buttons should be disabled
+      const disableButtons = limitReached || (!status || !status.inStock);
+      let buttonTitle = '';
+      if (limitReached) {
+        buttonTitle = 'Purchase limit reached';
+      } else if (status && status.status === 'unknown') {
+        buttonTitle = 'Stock status unknown';
+      } else if (!status || !status.inStock) {
+        buttonTitle = 'Item is out of stock';
+      }
+      
+      productElement.innerHTML = `
+        <div class="product-details">
+          <div class="product-name">${escapeHtml(product.name)}</div>
+          <div class="product-url">${escapeHtml(product.url)}</div>
+          <div class="product-option">${product.autoCheckout ? 'Auto-add to cart: Enabled' : 'Auto-add to cart: Disabled'}</div>
+          ${product.addToCartUrl ? '<div class="product-option">Direct Add to Cart URL: ✓</div>' : ''}
+          <div class="product-option">Schedule: ${describeSchedule(product)}</div>
+          ${describePricing(product, status)}
+          ${describeSeller(product, status)}
+          ${describeFulfillment(product, status)}
+          ${product.alertSound && alertSoundLabels[product.alertSound] ? `<div class="product-option">Alert sound: ${alertSoundLabels[product.alertSound]}</div>` : ''}
+          ${product.detectionRules && product.detectionRules.length ? `<div class="product-option">Detection: ${product.detectionRules.length} custom rule(s)</div>` : ''}
+          ${stockStatusHtml}
+          <div class="history-panel" data-url="${escapeHtml(product.url)}" style="display: none;"></div>
+          <div class="diagnostics-panel" data-url="${escapeHtml(product.url)}" style="display: none;"></div>
+        </div>
+        <div class="product-actions">
+          <button class="cart-btn" 
+                  data-url="${escapeHtml(product.url)}" 
+                  data-cart-url="${escapeHtml(product.addToCartUrl || '')}" 
+                  ${disableButtons ? 'disabled' : ''}
+                  title="${buttonTitle}"
+                  ${!status || !status.inStock ? 'data-disabled-stock="true"' : ''}>
+            Add to Cart
+          </button>
+          <button class="history-btn" data-url="${escapeHtml(product.url)}">History</button>
+          <button class="diagnostics-btn" data-url="${escapeHtml(product.url)}">Diagnostics</button>
+          ${status && status.snoozedUntil > Date.now()
+            ? `<button class="unsnooze-btn" data-url="${escapeHtml(product.url)}">Unsnooze</button>`
+            : `<select class="snooze-minutes" title="Snooze for">${renderSnoozeOptions()}</select>
+               <button class="snooze-btn" data-url="${escapeHtml(product.url)}">Snooze</button>`}
+          <button class="pause-btn" data-url="${escapeHtml(product.url)}">${product.enabled === false ? 'Resume' : 'Pause'}</button>
+          <button class="remove-btn" data-url="${escapeHtml(product.url)}">Remove</button>
+        </div>
+      `;
+      
+      productListElement.appendChild(productElement);
+    });
+    
+    // Add event listeners to buttons
+    addButtonEventListeners();
+    
+    // Re-open any history panels that were open before the list was redrawn
+    openHistoryPanels.forEach(url => loadHistoryPanel(url));
+    openDiagnosticsPanels.forEach(url => loadDiagnosticsPanel(url));
+  }
+  
+  // Format a duration in milliseconds as e.g. "2d 3h", "3h 12m" or "45s"
+  function formatDuration(ms) {
+    const seconds = Math.floor(ms / 1000);
+    const days = Math.floor(seconds / 86400);
+    const hours = Math.floor((seconds % 86400) / 3600);
+    const minutes = Math.floor((seconds % 3600) / 60);
+    
+    if (days > 0) return `${days}d ${hours}h`;
+    if (hours > 0) return `${hours}h ${minutes}m`;
+    if (minutes > 0) return `${minutes}m ${seconds % 60}s`;
+    return `${seconds}s`;
+  }
+  
+  // Find the history panel element for a product URL
+  function getHistoryPanel(url) {
+    return Array.from(document.querySelectorAll('.history-panel'))
+      .find(panel => panel.getAttribute('data-url') === url);
+  }
+  
+  // Fetch a product's check history and render its in/out-of-stock timeline
+  function loadHistoryPanel(url) {
+    const panel = getHistoryPanel(url);
+    if (!panel) return;
+    
+    panel.style.display = 'block';
+    const cached = historyPanelCache.get(url);
+    if (cached) {
+      panel.innerHTML = cached.html;
+      if (Date.now() - cached.loadedAt < HISTORY_PANEL_REFRESH_MS) return;
+    } else if (!panel.innerHTML) {
+      panel.innerHTML = '<div class="history-empty">Loading history...</div>';
+    }
+    
+    chrome.runtime.sendMessage({ action: 'getStockHistory', url }, (response) => {
+      if (!response || !response.success) {
+        panel.innerHTML = `<div class="history-empty">Could not load history: ${escapeHtml(response?.error || 'no response')}</div>`;
+        return;
+      }
+      
+      const html = renderTimeline(response.timeline, response.checks, response.failed);
+      historyPanelCache.set(url, { html, loadedAt: Date.now() });
+      // The list may have been redrawn while this loaded
+      const currentPanel = getHistoryPanel(url);
+      if (currentPanel) currentPanel.innerHTML = html;
+    });
+  }
+  
+  // Build the timeline HTML: a proportional bar followed by the newest windows first
+  function renderTimeline(timeline, checks, failed) {
+    if (!timeline || timeline.length === 0) {
+      return '<div class="history-empty">No stock history recorded yet.</div>';
+    }
+    
+    const totalMs = timeline.reduce((sum, window) => sum + window.durationMs, 0) || 1;
+    
+    const barHtml = timeline.map(window => {
+      const width = Math.max(0.5, (window.durationMs / totalMs) * 100);
+      const label = window.status === 'in_stock' ? 'In stock' : 'Out of stock';
+      return `<div class="timeline-segment ${window.status}" style="width: ${width}%;" title="${label}: ${formatDuration(window.durationMs)}"></div>`;
+    }).join('');
+    
+    const rowsHtml = [...timeline].reverse().map(window => {
+      const label = window.status === 'in_stock' ? '✅ In stock' : '❌ Out of stock';
+      const start = new Date(window.start).toLocaleString();
+      const end = window.end ? new Date(window.end).toLocaleString() : 'now';
+      return `
+        <div class="timeline-row">
+          <span class="timeline-status ${window.status}">${label}</span>
+          <span class="timeline-range">${start} → ${end}</span>
+          <span class="timeline-duration">${formatDuration(window.durationMs)}${window.end ? '' : ' (ongoing)'}</span>
+          <span class="timeline-checks">${window.checks} check${window.checks === 1 ? '' : 's'}</span>
+        </div>
+      `;
+    }).join('');
+    
+    return `
+      <div class="timeline-bar">${barHtml}</div>
+      <div class="timeline-summary">${checks} checks recorded${failed ? `, ${failed} failed` : ''}</div>
+      ${rowsHtml}
+    `;
+  }
+  
+  // ======== DIAGNOSTICS ========
+  // What each detector reason code means, for the diagnostics panel
+  const REASON_DESCRIPTIONS = {
+    red_enabled_add_to_cart_button: 'Found a red, enabled "Add to cart" button',
+    explicit_out_of_stock_text: 'Page says "Out of stock"',
+    preorders_sold_out: 'Page says "Preorders have sold out"',
+    shipping_with_arrival_date: 'Shipping option with an "Arrives by" date',
+    enabled_add_to_cart_text: 'Found an enabled button with "add to cart" text',
+    quantity_selector_with_enabled_button: 'Quantity selector next to an enabled "Add to cart" button',
+    no_clear_indicators: 'No in-stock or out-of-stock signal found',
+    enabled_add_to_cart_button: 'Found an enabled add-to-cart button',
+    out_of_stock_text: 'Page contains sold-out / out-of-stock text',
+    no_enabled_add_to_cart_button: 'No enabled add-to-cart button',
+    html_in_stock_text: 'Fetched HTML contains in-stock text',
+    html_out_of_stock_text: 'Fetched HTML contains out-of-stock text',
+    json_ld_availability: 'JSON-LD structured data availability',
+    microdata_availability: 'Microdata availability',
+    opengraph_availability: 'OpenGraph availability tag',
+    third_party_seller_only: 'Only available from a third-party seller',
+    preferred_fulfillment_unavailable: 'None of the preferred fulfillment modes are available',
+    shipping_available: 'Shipping is available',
+    pickup_available: 'Pickup is available',
+    delivery_available: 'Same-day delivery is available',
+    tab_error: 'The product tab failed to load',
+    http_error: 'The product page returned an HTTP error',
+    rules_not_run: 'The detection rules could not run on the page',
+    no_detector_result: 'The detector returned nothing',
+    error: 'The detector threw an error'
+  };
+  
+  // Page text ends up in diagnostics, and keyword auto-add products carry scraped names
+  // and URLs, so escape them before they go into innerHTML
+  function escapeHtml(value) {
+    return String(value)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+  }
+  
+  function describeReason(reason) {
+    if (!reason) return 'No reason recorded';
+    
+    const ruleMatch = reason.match(/^rule_(\d+)_(.+)$/);
+    if (ruleMatch) return `Custom rule ${ruleMatch[1]} fired (${ruleMatch[2]})`;
+    
+    return REASON_DESCRIPTIONS[reason] || reason;
+  }
+  
+  function getDiagnosticsPanel(url) {
+    return Array.from(document.querySelectorAll('.diagnostics-panel'))
+      .find(panel => panel.getAttribute('data-url') === url);
+  }
+  
+  // Show the latest verdict straight away, then add recent checks from history
+  function loadDiagnosticsPanel(url) {
+    const panel = getDiagnosticsPanel(url);
+    if (!panel) return;
+    
+    const product = monitoredProducts.find(p => p.url === url);
+    const rules = product?.detectionRules || [];
+    
+    panel.style.display = 'block';
+    panel.innerHTML = `
+      <div class="diagnostics-body">${renderDiagnostics(stockStatus[url], null, rules)}</div>
+      <div class="diagnostics-section">
+        <h4>Page snapshots</h4>
+        <div class="snapshot-list"><div class="history-empty">Loading snapshots...</div></div>
+      </div>
+    `;
+    
+    const since = Date.now() - 24 * 60 * 60 * 1000;
+    chrome.runtime.sendMessage({ action: 'getStockHistory', url, since, includeEvents: true, limit: 10 }, (response) => {
+      if (response && response.success) {
+        panel.querySelector('.diagnostics-body').innerHTML = renderDiagnostics(stockStatus[url], response.events, rules);
+      }
+    });
+    
+    loadSnapshotList(url, panel.querySelector('.snapshot-list'));
+  }
+  
+  // ======== PAGE SNAPSHOTS ========
+  const SNAPSHOT_TRIGGER_LABELS = {
+    state_change: 'Stock state changed',
+    no_clear_indicators: 'No clear indicators',
+    error: 'Detector error'
+  };
+  
+  function loadSnapshotList(url, container) {
+    chrome.runtime.sendMessage({ action: 'getDomSnapshots', url }, (response) => {
+      if (!response || !response.success) {
+        container.innerHTML = `<div class="history-empty">Could not load snapshots: ${escapeHtml(response?.error || 'no response')}</div>`;
+        return;
+      }
+      
+      if (response.snapshots.length === 0) {
+        container.innerHTML = '<div class="history-empty">None yet. A snapshot is kept when the stock state changes or the detector can\'t decide.</div>';
+        return;
+      }
+      
+      container.innerHTML = response.snapshots.map(snapshot => `
+        <div class="snapshot-item" data-id="${snapshot.id}">
+          <div>
+            <strong>${new Date(snapshot.timestamp).toLocaleString()}</strong>:
+            ${SNAPSHOT_TRIGGER_LABELS[snapshot.trigger] || snapshot.trigger}
+            (${snapshot.previousStatus ? `${snapshot.previousStatus} → ` : ''}${snapshot.status}, ${escapeHtml(describeReason(snapshot.reason))})
           </div>
-          <div class="product-actions">
-            <button class="cart-btn" 
-                    data-url="${product.url}" 
-                    data-cart-url="${product.addToCartUrl || ''}" 
-                    ${disableButtons ? 'disabled' : ''}
-                    title="${buttonTitle}"
-                    ${!status || !status.inStock ? 'data-disabled-stock="true"' : ''}>
-              Add to Cart
-            </button>
-            <button class="remove-btn" data-url="${product.url}">Remove</button>
+          <div class="snapshot-meta">
+            ${Math.round(snapshot.compressedSize / 1024)} KB compressed${snapshot.truncated ? ' · truncated' : ''} · ${escapeHtml(snapshot.pageUrl || '')}
           </div>
-        `;
-        
-        productListElement.appendChild(productElement);
+          <div class="snapshot-actions">
+            <button class="snapshot-view" data-id="${snapshot.id}">View</button>
+            <button class="snapshot-download" data-id="${snapshot.id}">Download fixture</button>
+            <button class="snapshot-delete" data-id="${snapshot.id}">Delete</button>
+          </div>
+          <div class="snapshot-debug" style="display: none;">${renderDebugDetails(snapshot.debug, null, getSnapshotRules(snapshot))}</div>
+          <iframe class="snapshot-frame" sandbox="" style="display: none;"></iframe>
+        </div>
+      `).join('');
+      
+      container.querySelectorAll('.snapshot-view').forEach(button => {
+        button.addEventListener('click', () => toggleSnapshotView(button.closest('.snapshot-item')));
+      });
+      
+      container.querySelectorAll('.snapshot-download').forEach(button => {
+        button.addEventListener('click', () => downloadSnapshotFixture(Number(button.getAttribute('data-id'))));
+      });
+      
+      container.querySelectorAll('.snapshot-delete').forEach(button => {
+        button.addEventListener('click', () => {
+          chrome.runtime.sendMessage({ action: 'deleteDomSnapshot', id: Number(button.getAttribute('data-id')) }, () => {
+            loadSnapshotList(url, container);
+          });
+        });
       });
+    });
+  }
+  
+  // Show the captured page in a sandboxed frame (no scripts) with the debug output above it
+  function toggleSnapshotView(item) {
+    const frame = item.querySelector('.snapshot-frame');
+    const debug = item.querySelector('.snapshot-debug');
+    
+    if (frame.style.display !== 'none') {
+      frame.style.display = 'none';
+      debug.style.display = 'none';
+      return;
+    }
+    
+    chrome.runtime.sendMessage({ action: 'getDomSnapshot', id: Number(item.getAttribute('data-id')) }, (response) => {
+      if (!response || !response.success) {
+        statusMessageElement.textContent = `Could not load snapshot: ${response?.error || 'no response'}`;
+        return;
+      }
+      
+      frame.srcdoc = response.snapshot.html;
+      frame.style.display = 'block';
+      debug.style.display = 'block';
+    });
+  }
+  
+  // Snapshots saved before rules ran separately kept them as the generic
+  // detector's arguments
+  function getSnapshotRules(snapshot) {
+    return snapshot.detectionRules || snapshot.detectorArgs?.[0] || [];
+  }
+  
+  // Download the snapshot as a detector test fixture (see test/detector-harness.js).
+  // It expects whatever the detector decided at the time; fix that by hand when
+  // the snapshot was a false alert.
+  function downloadSnapshotFixture(id) {
+    chrome.runtime.sendMessage({ action: 'getDomSnapshot', id }, (response) => {
+      if (!response || !response.success) {
+        statusMessageElement.textContent = `Could not load snapshot: ${response?.error || 'no response'}`;
+        return;
+      }
+      
+      const snapshot = response.snapshot;
+      const header = {
+        detector: snapshot.detector,
+        rules: getSnapshotRules(snapshot),
+        expect: snapshot.detectorVerdict || {}
+      };
+      const stamp = new Date(snapshot.timestamp).toISOString().replace(/[:.]/g, '-');
+      // "--" can't appear inside an HTML comment
+      const headerJson = JSON.stringify(header).replace(/--/g, '-\\u002d');
       
-      // Add event listeners to buttons
-      addButtonEventListeners();
+      downloadFile(
+        `${snapshot.retailer || 'generic'}-${snapshot.trigger}-${stamp}.html`,
+        `<!-- fixture: ${headerJson} -->\n${snapshot.html}`,
+        'text/html'
+      );
     });
   }
   
+  // "selector_enabled #add-btn → in_stock"
+  function describeRule(rule) {
+    if (!rule) return '(rule since removed)';
+    
+    const target = [rule.selector, rule.text, rule.pattern && `/${rule.pattern}/`].filter(Boolean).join(' ');
+    return `${rule.type} ${target} → ${rule.result}`;
+  }
+  
+  function renderDiagnostics(status, events, rules) {
+    if (!status) {
+      return '<div class="history-empty">Not checked yet.</div>';
+    }
+    
+    const verdict = status.status === 'unknown'
+      ? '❓ Unknown'
+      : (status.inStock ? '✅ In stock' : '❌ Out of stock');
+    
+    const recentChecks = events
+      ? [...events].reverse().slice(0, 10).map(event => `
+          <details class="diagnostics-check">
+            <summary>${new Date(event.timestamp).toLocaleString()}: ${event.status} (${escapeHtml(describeReason(event.reason))})</summary>
+            ${renderDebugDetails(event.debug, event.error, rules)}
+          </details>
+        `).join('')
+      : '<div class="history-empty">Loading recent checks...</div>';
+    
+    return `
+      <div><strong>${verdict}</strong>: ${escapeHtml(describeReason(status.reason))} <code>${escapeHtml(status.reason || '')}</code></div>
+      <div>Detector: ${escapeHtml(status.detector || 'unknown')} · Checked ${status.lastChecked || 'never'}</div>
+      ${renderDebugDetails(status.debug, status.error, rules)}
+      <div class="diagnostics-section">
+        <h4>Checks in the last 24 hours</h4>
+        ${recentChecks || '<div class="history-empty">None recorded.</div>'}
+      </div>
+    `;
+  }
+  
+  // Rule results, buttons seen and every other signal the detector reported
+  function renderDebugDetails(debug, error, rules = []) {
+    const sections = [];
+    
+    if (error) {
+      sections.push(`<div class="check-error">Error: ${escapeHtml(error)}</div>`);
+    }
+    
+    if (!debug) {
+      return sections.join('') || '<div class="history-empty">No diagnostics recorded.</div>';
+    }
+    
+    const { ruleResults, foundButtons, ...signals } = debug;
+    
+    if (ruleResults && ruleResults.length) {
+      const firedRule = ruleResults.find(result => result.matched);
+      const rows = ruleResults.map(result => `
+        <tr class="${result === firedRule ? 'rule-fired' : ''}">
+          <td>Rule ${result.rule}</td>
+          <td><code>${escapeHtml(describeRule(rules[result.rule - 1]))}</code></td>
+          <td>${result.error ? `Error: ${escapeHtml(result.error)}` : (result.matched ? 'Matched' : 'No match')}${result === firedRule ? ' ← decided' : ''}</td>
+        </tr>
+      `).join('');
+      sections.push(`<div class="diagnostics-section"><h4>Custom rules</h4><table class="diagnostics-table">${rows}</table></div>`);
+    }
+    
+    if (foundButtons && foundButtons.length) {
+      const rows = foundButtons.map(button => `
+        <tr>
+          <td>${escapeHtml(button.text || '(no text)')}</td>
+          <td><code>${escapeHtml(button.selector)}</code></td>
+          <td>${button.disabled ? 'Disabled' : 'Enabled'}</td>
+        </tr>
+      `).join('');
+      sections.push(`
+        <div class="diagnostics-section">
+          <h4>Buttons seen</h4>
+          <table class="diagnostics-table"><tr><th>Text</th><th>Selector</th><th>State</th></tr>${rows}</table>
+        </div>
+      `);
+    }
+    
+    const signalRows = Object.entries(signals).map(([key, value]) => `
+      <tr><td>${escapeHtml(key)}</td><td>${escapeHtml(typeof value === 'object' ? JSON.stringify(value) : value)}</td></tr>
+    `).join('');
+    if (signalRows) {
+      sections.push(`<div class="diagnostics-section"><h4>Signals</h4><table class="diagnostics-table">${signalRows}</table></div>`);
+    }
+    
+    return sections.join('');
+  }
+  
   // Add a new function to set up all button event listeners
   function addButtonEventListeners() {
     // Add event listeners to remove buttons
@@ -456,16 +1048,92 @@ document.addEventListener('DOMContentLoaded', function() {
       });
     });
     
-    // Add event listeners to cart buttons
-    document.querySelectorAll('.cart-btn').forEach(button => {
+    // Add event listeners to history buttons
+    document.querySelectorAll('.history-btn').forEach(button => {
+      button.addEventListener('click', (e) => {
+        const url = e.target.getAttribute('data-url');
+        
+        if (openHistoryPanels.has(url)) {
+          openHistoryPanels.delete(url);
+          const panel = getHistoryPanel(url);
+          if (panel) panel.style.display = 'none';
+        } else {
+          openHistoryPanels.add(url);
+          loadHistoryPanel(url);
+        }
+      });
+    });
+    
+    // Add event listeners to diagnostics buttons
+    document.querySelectorAll('.diagnostics-btn').forEach(button => {
+      button.addEventListener('click', (e) => {
+        const url = e.target.getAttribute('data-url');
+        
+        if (openDiagnosticsPanels.has(url)) {
+          openDiagnosticsPanels.delete(url);
+          const panel = getDiagnosticsPanel(url);
+          if (panel) panel.style.display = 'none';
+        } else {
+          openDiagnosticsPanels.add(url);
+          loadDiagnosticsPanel(url);
+        }
+      });
+    });
+    
+    // Add event listeners to pause/resume buttons
+    document.querySelectorAll('.pause-btn').forEach(button => {
       button.addEventListener('click', (e) => {
         const url = e.target.getAttribute('data-url');
-        const cartUrl = e.target.getAttribute('data-cart-url');
         const product = getProductByUrl(url);
+        if (!product) return;
         
-        if (product) {
-          button.textContent = 'Adding...';
-          button.disabled = true;
+        chrome.runtime.sendMessage({
+          action: 'updateProduct',
+          url,
+          changes: { enabled: product.enabled === false }
+        }, (response) => {
+          if (response && response.success) {
+            stockStatus = response.stockStatus || {};
+            monitoredProducts = response.products || [];
+            updateProductList(monitoredProducts);
+          }
+        });
+      });
+    });
+    
+    // Add event listeners to snooze buttons, which use the length picked next to them
+    document.querySelectorAll('.snooze-btn').forEach(button => {
+      button.addEventListener('click', (e) => {
+        const minutesSelect = e.target.parentElement.querySelector('.snooze-minutes');
+        chrome.runtime.sendMessage({
+          action: 'snoozeProduct',
+          url: e.target.getAttribute('data-url'),
+          minutes: parseInt(minutesSelect.value, 10)
+        });
+      });
+    });
+    
+    // Add event listeners to unsnooze buttons
+    document.querySelectorAll('.unsnooze-btn').forEach(button => {
+      button.addEventListener('click', (e) => {
+        chrome.runtime.sendMessage({
+          action: 'snoozeProduct',
+          url: e.target.getAttribute('data-url'),
+          minutes: 0
+        });
+      });
+    });
+    
+    // Add event listeners to cart buttons
+    document.querySelectorAll('.cart-btn').forEach(button => {
+      button.addEventListener('click', (e) => {
+        const url = e.target.getAttribute('data-url');
+        const cartUrl = e.target.getAttribute('data-cart-url');
+        const product = getProductByUrl(url);
+        
+        if (product) {
+          button.textContent = 'Adding...';
+          button.disabled = true;
           
           chrome.runtime.sendMessage({
             action: 'addToCart',
@@ -479,11 +1147,9 @@ document.addEventListener('DOMContentLoaded', function() {
               setTimeout(() => {
                 button.textContent = 'Add to Cart';
                 // Check if we should keep the button disabled
-                chrome.runtime.sendMessage({ action: 'getPurchaseStats' }, (stats) => {
-                  const limitReached = stats && stats.count >= stats.limit;
-                  button.disabled = limitReached;
-                  button.title = limitReached ? 'Purchase limit reached' : '';
-                });
+                const limitReached = purchaseStats.count >= purchaseStats.limit;
+                button.disabled = limitReached;
+                button.title = limitReached ? 'Purchase limit reached' : '';
               }, 3000);
             } else if (response && response.limitReached) {
               button.textContent = 'Limit Reached';
@@ -495,6 +1161,15 @@ document.addEventListener('DOMContentLoaded', function() {
                 button.title = 'Purchase limit reached';
                 statusMessageElement.textContent = '';
               }, 3000);
+            } else if (response && response.priceTooHigh) {
+              button.textContent = 'Over Max Price';
+              statusMessageElement.textContent = `Not added to cart: ${response.error}`;
+              
+              setTimeout(() => {
+                button.textContent = 'Add to Cart';
+                button.disabled = false;
+                statusMessageElement.textContent = '';
+              }, 3000);
             } else {
               button.textContent = 'Failed';
               
@@ -514,10 +1189,1036 @@ document.addEventListener('DOMContentLoaded', function() {
     return monitoredProducts.find(p => p && p.url === url);
   }
   
+  // Describe a product's check schedule, e.g. "every 60s, 06:00-23:00"
+  function describeSchedule(product) {
+    if (product.enabled === false) return 'Paused';
+    
+    const parts = [product.checkInterval ? `every ${product.checkInterval}s` : 'global interval'];
+    if (product.activeHours && product.activeHours.start && product.activeHours.end) {
+      parts.push(`${product.activeHours.start}-${product.activeHours.end}`);
+    }
+    return parts.join(', ');
+  }
+  
+  // Snooze lengths offered on each product card. The notification button's
+  // length (the Snooze Duration setting) is added if missing and preselected.
+  const SNOOZE_CHOICES_MINUTES = [15, 60, 240, 480, 1440];
+  
+  // "30 min", "1 hr", "1 hr 30 min"
+  function formatSnoozeDuration(minutes) {
+    const hours = Math.floor(minutes / 60);
+    const parts = [hours ? `${hours} hr` : '', minutes % 60 ? `${minutes % 60} min` : ''];
+    return parts.filter(Boolean).join(' ');
+  }
+  
+  function renderSnoozeOptions() {
+    const defaultMinutes = parseInt(snoozeMinutesInput.value, 10) || 60;
+    const choices = [...new Set([...SNOOZE_CHOICES_MINUTES, defaultMinutes])].sort((a, b) => a - b);
+    return choices.map(minutes =>
+      `<option value="${minutes}" ${minutes === defaultMinutes ? 'selected' : ''}>${formatSnoozeDuration(minutes)}</option>`
+    ).join('');
+  }
+  
+  // ======== RESTOCK ANALYTICS ========
+  const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+  
+  // Fetch analytics for the selected range from the background
+  function loadAnalytics() {
+    const days = parseInt(analyticsRangeSelect.value, 10);
+    
+    chrome.runtime.sendMessage({ action: 'getRestockAnalytics', days }, (response) => {
+      if (!response || !response.success) {
+        analyticsSummaryElement.textContent = `Could not load analytics: ${response?.error || 'no response'}`;
+        return;
+      }
+      
+      restockAnalytics = response.analytics;
+      updateAnalyticsScopeOptions();
+      renderAnalytics();
+    });
+  }
+  
+  // Rebuild the scope dropdown from the retailers and products in the data
+  function updateAnalyticsScopeOptions() {
+    const selected = analyticsScopeSelect.value;
+    const retailerOptions = Object.entries(restockAnalytics.retailers)
+      .map(([id, retailer]) => `<option value="retailer:${escapeHtml(id)}">Retailer: ${escapeHtml(retailer.name)}</option>`);
+    const productOptions = restockAnalytics.products
+      .map(product => `<option value="product:${escapeHtml(product.url)}">Product: ${escapeHtml(product.name)}</option>`);
+    
+    analyticsScopeSelect.innerHTML = [
+      '<option value="all">All products</option>',
+      ...retailerOptions,
+      ...productOptions
+    ].join('');
+    
+    // Keep the previous selection if it still exists
+    if (Array.from(analyticsScopeSelect.options).some(option => option.value === selected)) {
+      analyticsScopeSelect.value = selected;
+    }
+  }
+  
+  // Get the heatmap and stats for the selected scope
+  function getScopedAnalytics() {
+    const scope = analyticsScopeSelect.value;
+    
+    if (scope.startsWith('retailer:')) {
+      const id = scope.slice('retailer:'.length);
+      return {
+        stats: restockAnalytics.retailers[id],
+        products: restockAnalytics.products.filter(product => product.retailer === id)
+      };
+    }
+    
+    if (scope.startsWith('product:')) {
+      const url = scope.slice('product:'.length);
+      const product = restockAnalytics.products.find(p => p.url === url);
+      return { stats: product, products: product ? [product] : [] };
+    }
+    
+    return {
+      stats: {
+        ...restockAnalytics.overall,
+        timeSinceLastRestockMs: restockAnalytics.restocks.length
+          ? restockAnalytics.generatedAt - restockAnalytics.restocks[restockAnalytics.restocks.length - 1].timestamp
+          : null
+      },
+      products: restockAnalytics.products
+    };
+  }
+  
+  function renderAnalytics() {
+    if (!restockAnalytics) return;
+    
+    const { stats, products } = getScopedAnalytics();
+    if (!stats) {
+      analyticsSummaryElement.textContent = 'No data for this selection.';
+      analyticsHeatmapElement.innerHTML = '';
+      analyticsProductsElement.innerHTML = '';
+      return;
+    }
+    
+    analyticsSummaryElement.innerHTML = `
+      <div class="analytics-stat"><strong>${stats.restocks}</strong><span>restocks</span></div>
+      <div class="analytics-stat"><strong>${stats.avgInStockMs != null ? formatDuration(stats.avgInStockMs) : '--'}</strong><span>avg in-stock window</span></div>
+      <div class="analytics-stat"><strong>${stats.timeSinceLastRestockMs != null ? formatDuration(stats.timeSinceLastRestockMs) : '--'}</strong><span>since last restock</span></div>
+      <div class="analytics-stat"><strong>${restockAnalytics.totalChecks}</strong><span>checks in range</span></div>
+    `;
+    
+    renderHeatmap(stats.heatmap);
+    
+    if (products.length === 0) {
+      analyticsProductsElement.innerHTML = '<div class="history-empty">No stock history recorded yet.</div>';
+      return;
+    }
+    
+    const rowsHtml = [...products]
+      .sort((a, b) => b.restocks - a.restocks)
+      .map(product => `
+        <tr>
+          <td>${escapeHtml(product.name)}</td>
+          <td>${escapeHtml(restockAnalytics.retailers[product.retailer]?.name || product.retailer)}</td>
+          <td>${product.restocks}</td>
+          <td>${product.avgInStockMs != null ? formatDuration(product.avgInStockMs) : '--'}</td>
+          <td>${product.timeSinceLastRestockMs != null ? formatDuration(product.timeSinceLastRestockMs) : '--'}</td>
+          <td>${product.currentlyInStock ? '✅' : '❌'}</td>
+        </tr>
+      `).join('');
+    
+    analyticsProductsElement.innerHTML = `
+      <table class="analytics-table">
+        <tr>
+          <th>Product</th>
+          <th>Retailer</th>
+          <th>Restocks</th>
+          <th>Avg window</th>
+          <th>Since last restock</th>
+          <th>Now</th>
+        </tr>
+        ${rowsHtml}
+      </table>
+    `;
+  }
+  
+  // Draw the weekday x hour grid, shading each cell by its share of the busiest cell
+  function renderHeatmap(heatmap) {
+    const max = Math.max(1, ...heatmap.flat());
+    let html = '<div class="heatmap-label"></div>';
+    
+    for (let hour = 0; hour < 24; hour++) {
+      html += `<div class="heatmap-label">${hour % 3 === 0 ? hour : ''}</div>`;
+    }
+    
+    heatmap.forEach((hours, day) => {
+      html += `<div class="heatmap-label">${WEEKDAYS[day]}</div>`;
+      hours.forEach((count, hour) => {
+        const style = count > 0 ? `background-color: rgba(34, 197, 94, ${0.2 + 0.8 * (count / max)});` : '';
+        html += `<div class="heatmap-cell" style="${style}" title="${WEEKDAYS[day]} ${hour}:00 - ${count} restock${count === 1 ? '' : 's'}"></div>`;
+      });
+    });
+    
+    analyticsHeatmapElement.innerHTML = html;
+  }
+  
+  // Trigger a browser download of a text file
+  function downloadFile(filename, content, mimeType) {
+    const blob = new Blob([content], { type: mimeType });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  }
+  
+  function exportAnalytics(format) {
+    if (!restockAnalytics) return;
+    
+    const stamp = new Date().toISOString().slice(0, 10);
+    
+    if (format === 'json') {
+      downloadFile(`restock-analytics-${stamp}.json`, JSON.stringify(restockAnalytics, null, 2), 'application/json');
+      return;
+    }
+    
+    // CSV: one row per restock event
+    const header = ['timestamp', 'weekday', 'hour', 'retailer', 'product', 'url', 'in_stock_minutes', 'ongoing'];
+    const rows = restockAnalytics.restocks.map(restock => {
+      const date = new Date(restock.timestamp);
+      return [
+        date.toISOString(),
+        WEEKDAYS[date.getDay()],
+        date.getHours(),
+        restockAnalytics.retailers[restock.retailer]?.name || restock.retailer,
+        restock.productName,
+        restock.productUrl,
+        (restock.durationMs / 60000).toFixed(1),
+        restock.ongoing
+      ].map(csvValue).join(',');
+    });
+    
+    downloadFile(`restocks-${stamp}.csv`, [header.join(','), ...rows].join('\n'), 'text/csv');
+  }
+  
+  analyticsRangeSelect.addEventListener('change', loadAnalytics);
+  analyticsScopeSelect.addEventListener('change', renderAnalytics);
+  document.getElementById('refreshAnalytics').addEventListener('click', loadAnalytics);
+  document.getElementById('exportAnalyticsJson').addEventListener('click', () => exportAnalytics('json'));
+  document.getElementById('exportAnalyticsCsv').addEventListener('click', () => exportAnalytics('csv'));
+  
+  loadAnalytics();
+  
+  // ======== WATCHLIST IMPORT / EXPORT ========
+  // Reading and writing the files is in watchlist-csv.js
+  const IMPORT_ACTION_LABELS = {
+    add: 'New',
+    replace: 'Already monitored: settings replaced',
+    skip_existing: 'Already monitored: skipped',
+    skip_duplicate: 'Listed twice: skipped',
+    invalid: 'Invalid'
+  };
+  const watchlistFileInput = document.getElementById('watchlistFile');
+  const watchlistImportModeSelect = document.getElementById('watchlistImportMode');
+  const watchlistAllowAutoCheckoutInput = document.getElementById('watchlistAllowAutoCheckout');
+  const watchlistPreviewElement = document.getElementById('watchlistPreview');
+  const watchlistImportActionsElement = document.getElementById('watchlistImportActions');
+  
+  function exportWatchlist(format) {
+    chrome.runtime.sendMessage({ action: 'exportWatchlist' }, (response) => {
+      if (!response || !response.success) return;
+      
+      const { watchlist } = response;
+      const stamp = new Date().toISOString().slice(0, 10);
+      
+      if (format === 'json') {
+        downloadFile(`watchlist-${stamp}.json`, JSON.stringify(watchlist, null, 2), 'application/json');
+        return;
+      }
+      
+      downloadFile(`watchlist-${stamp}.csv`, watchlistToCsv(watchlist.products), 'text/csv');
+    });
+  }
+  
+  function resetWatchlistImport() {
+    pendingImportProducts = null;
+    pendingImportPreview = null;
+    watchlistFileInput.value = '';
+    watchlistPreviewElement.innerHTML = '';
+    watchlistImportActionsElement.style.display = 'none';
+  }
+  
+  function previewWatchlistImport() {
+    if (!pendingImportProducts) return;
+    
+    // The confirm prompt relies on the preview, so wait for the new one
+    pendingImportPreview = null;
+    document.getElementById('confirmWatchlistImport').disabled = true;
+    
+    chrome.runtime.sendMessage({
+      action: 'previewWatchlistImport',
+      products: pendingImportProducts,
+      mode: watchlistImportModeSelect.value,
+      allowAutoCheckout: watchlistAllowAutoCheckoutInput.checked
+    }, (response) => {
+      pendingImportPreview = response && response.success ? response.preview : null;
+      if (!response || !response.success) {
+        watchlistPreviewElement.innerHTML = `<div class="import-preview invalid">Can't import this file: ${escapeHtml(response?.error || 'no response')}</div>`;
+        watchlistImportActionsElement.style.display = 'none';
+        return;
+      }
+      
+      renderWatchlistPreview(response.preview);
+    });
+  }
+  
+  function describeImportAutoCheckout(entry) {
+    if (entry.autoCheckout) return '<strong>On</strong>';
+    return entry.requestsAutoCheckout ? 'Off (on in the file)' : 'Off';
+  }
+  
+  // Products that would check out by themselves, for the confirm prompt
+  function describeImportedAutoCheckouts(preview) {
+    return preview.entries
+      .filter(entry => (entry.action === 'add' || entry.action === 'replace') && entry.autoCheckout)
+      .map(entry => `- ${entry.name} (${entry.maxPrice ? `max $${Number(entry.maxPrice).toFixed(2)}` : 'no max price'})`);
+  }
+  
+  function renderWatchlistPreview(preview) {
+    const { summary } = preview;
+    const parts = [
+      `${summary.add} new`,
+      summary.replace ? `${summary.replace} updated` : '',
+      summary.skipped ? `${summary.skipped} skipped` : '',
+      summary.invalid ? `${summary.invalid} invalid` : '',
+      summary.remove ? `${summary.remove} of your products removed` : ''
+    ].filter(Boolean);
+    
+    const rows = preview.entries.map(entry => {
+      const rowClass = entry.action === 'invalid' ? 'invalid' : (entry.action.startsWith('skip') ? 'skipped' : '');
+      return `
+        <tr class="${rowClass}">
+          <td>${entry.index + 1}</td>
+          <td>${escapeHtml(entry.name || '(no name)')}</td>
+          <td>${escapeHtml(entry.url || '')}</td>
+          <td>${entry.action === 'invalid' ? '' : describeImportAutoCheckout(entry)}</td>
+          <td>${entry.maxPrice ? `$${Number(entry.maxPrice).toFixed(2)}` : ''}</td>
+          <td>${IMPORT_ACTION_LABELS[entry.action]}${entry.error ? `: ${escapeHtml(entry.error)}` : ''}</td>
+        </tr>
+      `;
+    });
+    const removedRows = preview.removed.map(product => `
+      <tr class="invalid">
+        <td></td>
+        <td>${escapeHtml(product.name)}</td>
+        <td>${escapeHtml(product.url)}</td>
+        <td></td>
+        <td></td>
+        <td>Not in the file: removed</td>
+      </tr>
+    `);
+    
+    watchlistPreviewElement.innerHTML = `
+      <div><strong>Preview:</strong> ${parts.join(', ')}</div>
+      <table class="import-preview">
+        <tr><th>#</th><th>Name</th><th>URL</th><th>Auto-checkout</th><th>Max price</th><th>Result</th></tr>
+        ${rows.join('')}${removedRows.join('')}
+      </table>
+    `;
+    
+    const changes = summary.add + summary.replace + summary.remove;
+    watchlistImportActionsElement.style.display = 'flex';
+    document.getElementById('confirmWatchlistImport').disabled = changes === 0;
+  }
+  
+  watchlistFileInput.addEventListener('change', () => {
+    const file = watchlistFileInput.files[0];
+    if (!file) return;
+    
+    file.text().then(text => {
+      try {
+        pendingImportProducts = parseWatchlistFile(file.name, text);
+      } catch (error) {
+        pendingImportProducts = null;
+        watchlistPreviewElement.innerHTML = `<div class="import-preview invalid">Can't read ${escapeHtml(file.name)}: ${escapeHtml(error.message)}</div>`;
+        watchlistImportActionsElement.style.display = 'none';
+        return;
+      }
+      previewWatchlistImport();
+    });
+  });
+  
+  watchlistImportModeSelect.addEventListener('change', previewWatchlistImport);
+  watchlistAllowAutoCheckoutInput.addEventListener('change', previewWatchlistImport);
+  
+  document.getElementById('confirmWatchlistImport').addEventListener('click', () => {
+    if (!pendingImportProducts || !pendingImportPreview) return;
+    
+    const mode = watchlistImportModeSelect.value;
+    const allowAutoCheckout = watchlistAllowAutoCheckoutInput.checked;
+    if (mode === 'replace' && !confirm('Replace your whole watchlist with this file?')) return;
+    
+    const autoCheckouts = describeImportedAutoCheckouts(pendingImportPreview);
+    if (autoCheckouts.length > 0 &&
+        !confirm(`These imported products will check out automatically:\n${autoCheckouts.join('\n')}\n\nImport them?`)) return;
+    
+    chrome.runtime.sendMessage({
+      action: 'importWatchlist',
+      products: pendingImportProducts,
+      mode,
+      allowAutoCheckout
+    }, (response) => {
+      if (response && response.success) {
+        stockStatus = response.stockStatus || {};
+        monitoredProducts = response.products || [];
+        updateProductList(monitoredProducts);
+        resetWatchlistImport();
+        statusMessageElement.textContent = `Imported watchlist: ${response.summary.add} added${response.summary.replace ? `, ${response.summary.replace} updated` : ''}${response.summary.remove ? `, ${response.summary.remove} removed` : ''}.`;
+      } else {
+        statusMessageElement.textContent = response?.error || 'Failed to import watchlist.';
+      }
+      
+      setTimeout(() => {
+        statusMessageElement.textContent = '';
+      }, 4000);
+    });
+  });
+  
+  document.getElementById('cancelWatchlistImport').addEventListener('click', resetWatchlistImport);
+  document.getElementById('exportWatchlistJson').addEventListener('click', () => exportWatchlist('json'));
+  document.getElementById('exportWatchlistCsv').addEventListener('click', () => exportWatchlist('csv'));
+  
+  // ======== ALERT INBOX ========
+  // Every alert raised, so what happened overnight can be reviewed after the
+  // desktop notifications are gone
+  function loadInbox() {
+    chrome.runtime.sendMessage({ action: 'getAlerts' }, (response) => {
+      if (!response || !response.success) {
+        inboxListElement.textContent = `Could not load alerts: ${response?.error || 'no response'}`;
+        return;
+      }
+      
+      inboxAlerts = response.alerts;
+      alertTypeLabels = response.types;
+      updateInboxFilterOptions();
+      renderInbox();
+    });
+  }
+  
+  // The unseen count changes with every new alert, so reload the list with it
+  function applyInboxStatus(status) {
+    if (!status) return;
+    
+    document.getElementById('inboxUnseen').textContent = status.unseenCount ? `${status.unseenCount} new` : '';
+    loadInbox();
+  }
+  
+  // Rebuild the filter dropdowns, keeping the current selections
+  function updateInboxFilterOptions() {
+    const selectedType = inboxTypeSelect.value;
+    const selectedProduct = inboxProductSelect.value;
+    
+    inboxTypeSelect.innerHTML = [
+      '<option value="all">All alerts</option>',
+      ...Object.entries(alertTypeLabels).map(([type, label]) => `<option value="${type}">${label}</option>`)
+    ].join('');
+    inboxProductSelect.innerHTML = [
+      '<option value="all">All products</option>',
+      ...getAlertProducts(inboxAlerts).map(([url, name]) => `<option value="${escapeHtml(url)}">${escapeHtml(name || url)}</option>`)
+    ].join('');
+    
+    if (Array.from(inboxTypeSelect.options).some(option => option.value === selectedType)) {
+      inboxTypeSelect.value = selectedType;
+    }
+    if (Array.from(inboxProductSelect.options).some(option => option.value === selectedProduct)) {
+      inboxProductSelect.value = selectedProduct;
+    }
+  }
+  
+  // "Desktop, Discord ✓, Slack ✗ (HTTP 404)" or why nothing was sent
+  function describeAlertChannels(alert) {
+    if (alert.suppressed === 'snoozed') return 'Not sent: product was snoozed';
+    
+    const channels = (alert.channels || []).map(channel => channel === 'desktop' ? 'Desktop' : channel);
+    const webhooks = (alert.webhooks || []).map(webhook =>
+      `${webhook.channel} ${webhook.ok ? '✓' : `✗${webhook.error ? ` (${webhook.error})` : ''}`}`);
+    const all = [...channels, ...webhooks];
+    
+    return all.length ? `Sent to: ${all.join(', ')}` : 'Inbox only';
+  }
+  
+  function renderInbox() {
+    const filtered = filterAlerts(inboxAlerts, {
+      type: inboxTypeSelect.value,
+      productUrl: inboxProductSelect.value,
+      unseenOnly: inboxUnseenOnlyInput.checked
+    });
+    
+    if (filtered.length === 0) {
+      inboxListElement.innerHTML = `<div class="history-empty">${inboxAlerts.length ? 'No alerts match the filters.' : 'No alerts yet.'}</div>`;
+      return;
+    }
+    
+    inboxListElement.innerHTML = filtered.map(alert => `
+      <div class="watch-item ${alert.seen ? '' : 'unseen'}">
+        <div class="watch-header">
+          <div class="inbox-title">
+            <span class="inbox-outcome ${alert.type}">${alertTypeLabels[alert.type] || alert.type}</span>
+            ${alert.productUrl
+              ? `<a href="${escapeHtml(alert.productUrl)}" target="_blank">${escapeHtml(alert.productName || alert.productUrl)}</a>`
+              : escapeHtml(alert.title)}
+          </div>
+          ${alert.seen ? '' : `<button class="small-btn inbox-seen-btn" data-id="${alert.id}">Mark as Seen</button>`}
+        </div>
+        <div class="watch-meta">${escapeHtml(alert.message)}</div>
+        <div class="watch-meta">
+          ${new Date(alert.timestamp).toLocaleString()}${alert.retailer ? ` · ${escapeHtml(alert.retailer)}` : ''} · ${escapeHtml(describeAlertChannels(alert))}
+        </div>
+      </div>
+    `).join('');
+  }
+  
+  function markAlertsSeen(ids) {
+    chrome.runtime.sendMessage({ action: 'markAlertsSeen', ids }, (response) => {
+      if (!response || !response.success) {
+        statusMessageElement.textContent = response?.error || 'Could not update alerts.';
+        setTimeout(() => {
+          statusMessageElement.textContent = '';
+        }, 3000);
+      }
+      // The background publishes the new unseen count, which reloads the list
+    });
+  }
+  
+  [inboxTypeSelect, inboxProductSelect, inboxUnseenOnlyInput].forEach(input => {
+    input.addEventListener('change', renderInbox);
+  });
+  
+  inboxListElement.addEventListener('click', (e) => {
+    if (e.target.classList.contains('inbox-seen-btn')) {
+      markAlertsSeen([parseInt(e.target.getAttribute('data-id'), 10)]);
+    }
+  });
+  
+  document.getElementById('markAllSeen').addEventListener('click', () => {
+    markAlertsSeen(null);
+  });
+  
+  // ======== KEYWORD WATCHES ========
+  // "a, b c" -> ['a', 'b c']
+  function parsePhrases(value) {
+    return value.split(',').map(phrase => phrase.trim()).filter(Boolean);
+  }
+  
+  function renderKeywordWatches() {
+    if (keywordWatches.length === 0) {
+      watchListElement.innerHTML = '<p class="watch-meta">No keyword watches yet.</p>';
+      return;
+    }
+    
+    watchListElement.innerHTML = keywordWatches.map(watch => {
+      const keywords = [
+        watch.include.length ? `Include: ${watch.include.join(', ')}` : 'Include: anything',
+        watch.exclude.length ? `Exclude: ${watch.exclude.join(', ')}` : ''
+      ].filter(Boolean).join(' · ');
+      const lastScan = watch.lastCheckedAt
+        ? `Last scan ${new Date(watch.lastCheckedAt).toLocaleString()}: ${watch.matchCount} matching listings`
+        : 'Not scanned yet';
+      const listings = watch.recentListings.map(listing =>
+        `<li><a href="${escapeHtml(listing.url)}" target="_blank">${escapeHtml(listing.name)}</a> (first seen ${new Date(listing.firstSeenAt).toLocaleString()})</li>`
+      ).join('');
+      
+      return `
+        <div class="watch-item ${watch.enabled === false ? 'paused' : ''}">
+          <div class="watch-header">
+            <strong>${watch.name}</strong>
+            <div>
+              <button class="small-btn watch-scan-btn" data-id="${watch.id}">Scan Now</button>
+              <button class="small-btn watch-pause-btn" data-id="${watch.id}">${watch.enabled === false ? 'Resume' : 'Pause'}</button>
+              <button class="small-btn watch-remove-btn" data-id="${watch.id}">Remove</button>
+            </div>
+          </div>
+          <div class="watch-meta">${watch.url}</div>
+          <div class="watch-meta">${keywords} · Every ${watch.checkInterval || 300}s${watch.autoAdd ? ' · Auto-add on' : ''}</div>
+          <div class="watch-meta">${lastScan}</div>
+          ${watch.error ? `<div class="check-error">Scan failed: ${escapeHtml(watch.error)}</div>` : ''}
+          ${watch.autoAddError ? `<div class="check-error">Auto-add stopped: ${escapeHtml(watch.autoAddError)}</div>` : ''}
+          ${listings ? `<ul class="watch-listings">${listings}</ul>` : ''}
+        </div>
+      `;
+    }).join('');
+  }
+  
+  document.getElementById('addWatch').addEventListener('click', () => {
+    const nameInput = document.getElementById('watchName');
+    const urlInput = document.getElementById('watchUrl');
+    const includeInput = document.getElementById('watchInclude');
+    const excludeInput = document.getElementById('watchExclude');
+    const intervalInput = document.getElementById('watchInterval');
+    const autoAddInput = document.getElementById('watchAutoAdd');
+    
+    const name = nameInput.value.trim();
+    const url = urlInput.value.trim();
+    if (!name || !url) {
+      statusMessageElement.textContent = 'Please enter a watch name and a search or category URL';
+      return;
+    }
+    
+    const watch = {
+      name,
+      url,
+      include: parsePhrases(includeInput.value),
+      exclude: parsePhrases(excludeInput.value),
+      checkInterval: parseInt(intervalInput.value, 10) || null,
+      autoAdd: autoAddInput.checked
+    };
+    
+    chrome.runtime.sendMessage({ action: 'saveKeywordWatch', watch }, (response) => {
+      if (response && response.success) {
+        [nameInput, urlInput, includeInput, excludeInput, intervalInput].forEach(input => { input.value = ''; });
+        autoAddInput.checked = false;
+        statusMessageElement.textContent = `Watch "${name}" added. Its first scan records what's already listed.`;
+        
+        // Take the baseline right away so the next scan can spot new listings
+        chrome.runtime.sendMessage({ action: 'scanKeywordWatch', id: response.watch.id });
+      } else {
+        statusMessageElement.textContent = `Could not add watch: ${response?.error || 'no response'}`;
+      }
+    });
+  });
+  
+  watchListElement.addEventListener('click', (event) => {
+    const button = event.target.closest('button');
+    if (!button) return;
+    
+    const watch = keywordWatches.find(w => w.id === button.dataset.id);
+    if (!watch) return;
+    
+    if (button.classList.contains('watch-scan-btn')) {
+      button.disabled = true;
+      button.textContent = 'Scanning...';
+      chrome.runtime.sendMessage({ action: 'scanKeywordWatch', id: watch.id }, (response) => {
+        button.disabled = false;
+        button.textContent = 'Scan Now';
+        if (response && response.success) {
+          statusMessageElement.textContent = response.firstScan
+            ? `"${watch.name}": recorded ${response.matches.length} existing matching listings`
+            : `"${watch.name}": ${response.matches.length} matching, ${response.newListings.length} new`;
+        } else {
+          statusMessageElement.textContent = `Scan failed: ${response?.error || 'no response'}`;
+        }
+      });
+    } else if (button.classList.contains('watch-pause-btn')) {
+      const { lastCheckedAt, matchCount, error, recentListings, ...settings } = watch;
+      chrome.runtime.sendMessage({
+        action: 'saveKeywordWatch',
+        watch: { ...settings, enabled: watch.enabled === false }
+      });
+    } else if (button.classList.contains('watch-remove-btn')) {
+      chrome.runtime.sendMessage({ action: 'removeKeywordWatch', id: watch.id });
+    }
+  });
+  
+  // ======== NOTIFICATION CHANNELS ========
+  const channelNameInput = document.getElementById('channelName');
+  const channelUrlInput = document.getElementById('channelUrl');
+  const channelPresetSelect = document.getElementById('channelPreset');
+  const channelTemplateInput = document.getElementById('channelTemplate');
+  const saveChannelButton = document.getElementById('saveChannel');
+  const cancelChannelEditButton = document.getElementById('cancelChannelEdit');
+  
+  // Alert types, placeholders and template presets come from the background
+  chrome.runtime.sendMessage({ action: 'getNotificationChannels' }, (response) => {
+    if (!response || !response.success) return;
+    
+    channelOptions = response;
+    channelEventsElement.innerHTML = Object.entries(response.events).map(([event, label]) => `
+      <label><input type="checkbox" class="channel-event" value="${event}" ${event === 'in_stock' || event === 'added_to_cart' ? 'checked' : ''}> ${label}</label>
+    `).join('');
+    document.getElementById('channelPlaceholders').textContent =
+      `Placeholders: ${Object.keys(response.placeholders).map(key => `{{${key}}}`).join(' ')}`;
+    channelTemplateInput.value = response.presets[channelPresetSelect.value];
+  });
+  
+  channelPresetSelect.addEventListener('change', () => {
+    channelTemplateInput.value = channelOptions.presets[channelPresetSelect.value] || '';
+  });
+  
+  function readChannelForm() {
+    return {
+      id: editingChannelId || undefined,
+      name: channelNameInput.value.trim(),
+      url: channelUrlInput.value.trim(),
+      events: Array.from(document.querySelectorAll('.channel-event:checked')).map(input => input.value),
+      template: channelTemplateInput.value,
+      enabled: notificationChannels.find(c => c.id === editingChannelId)?.enabled !== false
+    };
+  }
+  
+  function resetChannelForm() {
+    editingChannelId = null;
+    channelNameInput.value = '';
+    channelUrlInput.value = '';
+    channelPresetSelect.value = 'generic';
+    channelTemplateInput.value = channelOptions.presets.generic || '';
+    saveChannelButton.textContent = 'Save Channel';
+    cancelChannelEditButton.style.display = 'none';
+  }
+  
+  // The background can only POST to hosts the user has granted, so ask for the
+  // webhook's origin first. This has to run straight from the button click.
+  function requestWebhookPermission(url, callback) {
+    requestSitePermission(url, (granted, host) => {
+      if (!granted) {
+        statusMessageElement.textContent = `Permission to send to ${host} was not granted.`;
+      }
+      callback(granted);
+    });
+  }
+  
+  function testChannel(channel, button) {
+    requestWebhookPermission(channel.url, (granted) => {
+      if (!granted) return;
+      
+      const label = button.textContent;
+      button.disabled = true;
+      button.textContent = 'Sending...';
+      chrome.runtime.sendMessage({ action: 'testNotificationChannel', channel }, (response) => {
+        button.disabled = false;
+        button.textContent = label;
+        statusMessageElement.textContent = response && response.success
+          ? `Test sent to "${channel.name}" (HTTP ${response.delivery.status}).`
+          : `Test to "${channel.name || 'channel'}" failed: ${response?.error || 'no response'}`;
+      });
+    });
+  }
+  
+  function renderNotificationChannels() {
+    if (notificationChannels.length === 0) {
+      channelListElement.innerHTML = '<p class="watch-meta">No webhook channels yet. Alerts only show as browser notifications.</p>';
+      return;
+    }
+    
+    channelListElement.innerHTML = notificationChannels.map(channel => {
+      const events = channel.events.map(event => channelOptions.events[event] || event).join(', ');
+      const delivery = channel.lastDelivery;
+      const lastDelivery = !delivery
+        ? 'Nothing sent yet'
+        : `Last sent ${new Date(delivery.at).toLocaleString()}: ${delivery.ok ? `delivered (HTTP ${delivery.status})` : 'failed'}${delivery.attempts > 1 ? ` after ${delivery.attempts} attempts` : ''}`;
+      
+      return `
+        <div class="watch-item ${channel.enabled === false ? 'paused' : ''}">
+          <div class="watch-header">
+            <strong>${escapeHtml(channel.name)}</strong>
+            <div>
+              <button class="small-btn channel-test-btn" data-id="${channel.id}">Send Test</button>
+              <button class="small-btn channel-edit-btn" data-id="${channel.id}">Edit</button>
+              <button class="small-btn channel-pause-btn" data-id="${channel.id}">${channel.enabled === false ? 'Resume' : 'Pause'}</button>
+              <button class="small-btn channel-remove-btn" data-id="${channel.id}">Remove</button>
+            </div>
+          </div>
+          <div class="watch-meta">${escapeHtml(new URL(channel.url).host)} · ${events}</div>
+          <div class="watch-meta">${lastDelivery}</div>
+          ${delivery && !delivery.ok ? `<div class="check-error">${escapeHtml(delivery.error || 'unknown error')}</div>` : ''}
+        </div>
+      `;
+    }).join('');
+  }
+  
+  saveChannelButton.addEventListener('click', () => {
+    const channel = readChannelForm();
+    
+    requestWebhookPermission(channel.url, (granted) => {
+      if (!granted) return;
+      
+      chrome.runtime.sendMessage({ action: 'saveNotificationChannel', channel }, (response) => {
+        if (response && response.success) {
+          statusMessageElement.textContent = `Channel "${response.channel.name}" saved.`;
+          resetChannelForm();
+        } else {
+          statusMessageElement.textContent = `Could not save channel: ${response?.error || 'no response'}`;
+        }
+      });
+    });
+  });
+  
+  document.getElementById('testChannel').addEventListener('click', (event) => {
+    testChannel(readChannelForm(), event.target);
+  });
+  
+  cancelChannelEditButton.addEventListener('click', resetChannelForm);
+  
+  channelListElement.addEventListener('click', (event) => {
+    const button = event.target.closest('button');
+    if (!button) return;
+    
+    const channel = notificationChannels.find(c => c.id === button.dataset.id);
+    if (!channel) return;
+    
+    const { lastDelivery, ...settings } = channel;
+    
+    if (button.classList.contains('channel-test-btn')) {
+      testChannel(settings, button);
+    } else if (button.classList.contains('channel-edit-btn')) {
+      editingChannelId = channel.id;
+      channelNameInput.value = channel.name;
+      channelUrlInput.value = channel.url;
+      channelTemplateInput.value = channel.template;
+      document.querySelectorAll('.channel-event').forEach(input => {
+        input.checked = channel.events.includes(input.value);
+      });
+      saveChannelButton.textContent = 'Update Channel';
+      cancelChannelEditButton.style.display = '';
+      channelNameInput.focus();
+    } else if (button.classList.contains('channel-pause-btn')) {
+      chrome.runtime.sendMessage({
+        action: 'saveNotificationChannel',
+        channel: { ...settings, enabled: channel.enabled === false }
+      });
+    } else if (button.classList.contains('channel-remove-btn')) {
+      if (editingChannelId === channel.id) {
+        resetChannelForm();
+      }
+      chrome.runtime.sendMessage({ action: 'removeNotificationChannel', id: channel.id });
+    }
+  });
+  
   // Keep the page alive by preventing it from being terminated
   setInterval(() => {
     // This is a heartbeat to keep the page active
     const timestamp = new Date().toLocaleTimeString();
     console.log(`Heartbeat: ${timestamp}`);
   }, 30000);
+  
+  // Last checked price plus the product's max price / alert price, if any
+  function describePricing(product, status) {
+    const parts = [];
+    if (status && status.price != null) parts.push(`$${status.price.toFixed(2)}`);
+    if (product.maxPrice) parts.push(`max $${Number(product.maxPrice).toFixed(2)}`);
+    if (product.targetPrice) parts.push(`alert at $${Number(product.targetPrice).toFixed(2)}`);
+    
+    return parts.length ? `<div class="product-option">Price: ${parts.join(', ')}</div>` : '';
+  }
+  
+  // Seller from the last check, and whether third-party sellers count for this product
+  function describeSeller(product, status) {
+    if (!status || !status.seller) {
+      return product.allowThirdParty ? '<div class="product-option">Third-party sellers: Counted</div>' : '';
+    }
+    
+    const sellerType = status.thirdPartySeller
+      ? (product.allowThirdParty ? ' (third-party, counted)' : ' (third-party, ignored)')
+      : '';
+    return `<div class="product-option">Seller: ${escapeHtml(status.seller)}${sellerType}</div>`;
+  }
+  
+  // Wanted fulfillment modes and location, plus per-mode availability from the last check
+  function describeFulfillment(product, status) {
+    const labels = { shipping: 'Shipping', pickup: 'Pickup', delivery: 'Same-day delivery' };
+    const lines = [];
+    
+    const location = [
+      product.zipCode ? `ZIP ${product.zipCode}` : '',
+      product.storeId ? `store ${product.storeId}` : ''
+    ].filter(Boolean).join(', ');
+    const modes = product.fulfillmentModes && product.fulfillmentModes.length
+      ? product.fulfillmentModes.map(mode => labels[mode] || mode).join(' / ')
+      : '';
+    if (modes || location) {
+      lines.push(`<div class="product-option">Fulfillment: ${modes || 'Any'}${location ? ` near ${location}` : ''}</div>`);
+    }
+    
+    if (status && status.fulfillment) {
+      const modeStatus = Object.entries(status.fulfillment).map(([mode, info]) =>
+        `${labels[mode] || mode} ${info.available ? '✓' : '✗'}${info.store ? ` (${escapeHtml(info.store)})` : ''}`
+      );
+      if (modeStatus.length) {
+        lines.push(`<div class="product-option">${modeStatus.join(' · ')}</div>`);
+      }
+    }
+    
+    return lines.join('');
+  }
+  
+  // ======== ALERT SOUNDS ========
+  const soundEnabledInput = document.getElementById('soundEnabled');
+  const soundVolumeInput = document.getElementById('soundVolume');
+  const soundRepeatInput = document.getElementById('soundRepeat');
+  const soundRepeatSecondsInput = document.getElementById('soundRepeatSeconds');
+  const soundSpeakInput = document.getElementById('soundSpeak');
+  const soundEventsElement = document.getElementById('soundEvents');
+  
+  function renderSoundOptions(selected) {
+    return Object.entries(alertSoundLabels).map(([sound, label]) =>
+      `<option value="${sound}" ${sound === selected ? 'selected' : ''}>${label}</option>`
+    ).join('');
+  }
+  
+  // Sound choices and the current settings come from the background
+  chrome.runtime.sendMessage({ action: 'getAlertSoundSettings' }, (response) => {
+    if (!response || !response.success) return;
+    
+    const { settings } = response;
+    alertSoundLabels = response.sounds;
+    soundEnabledInput.checked = settings.enabled;
+    soundVolumeInput.value = settings.volume;
+    soundRepeatInput.checked = settings.repeatUntilAcknowledged;
+    soundRepeatSecondsInput.value = settings.repeatSeconds;
+    soundSpeakInput.checked = settings.speak;
+    
+    soundEventsElement.innerHTML = Object.entries(response.events).map(([event, label]) => `
+      <div class="sound-event">
+        <label for="sound-${event}">${label}:</label>
+        <select id="sound-${event}" class="sound-event-select" data-event="${event}">${renderSoundOptions(settings.eventSounds[event])}</select>
+        <button class="small-btn sound-test-btn" data-event="${event}">Test</button>
+      </div>
+    `).join('');
+    
+    document.getElementById('productAlertSound').innerHTML =
+      `<option value="">Default for the alert type</option>${renderSoundOptions(null)}`;
+    
+    // Product cards name their sound, now that the labels are known
+    if (monitoredProducts.length) {
+      updateProductList(monitoredProducts);
+    }
+  });
+  
+  function saveSoundSettings() {
+    const eventSounds = {};
+    document.querySelectorAll('.sound-event-select').forEach(select => {
+      eventSounds[select.getAttribute('data-event')] = select.value;
+    });
+    
+    chrome.runtime.sendMessage({
+      action: 'updateAlertSoundSettings',
+      settings: {
+        enabled: soundEnabledInput.checked,
+        volume: soundVolumeInput.value,
+        eventSounds,
+        repeatUntilAcknowledged: soundRepeatInput.checked,
+        repeatSeconds: soundRepeatSecondsInput.value,
+        speak: soundSpeakInput.checked
+      }
+    }, (response) => {
+      if (!response || !response.success) {
+        statusMessageElement.textContent = response?.error || 'Could not save sound settings.';
+        setTimeout(() => {
+          statusMessageElement.textContent = '';
+        }, 3000);
+      }
+    });
+  }
+  
+  [soundEnabledInput, soundVolumeInput, soundRepeatInput, soundRepeatSecondsInput, soundSpeakInput].forEach(input => {
+    input.addEventListener('change', saveSoundSettings);
+  });
+  
+  soundEventsElement.addEventListener('change', (e) => {
+    if (e.target.classList.contains('sound-event-select')) {
+      saveSoundSettings();
+    }
+  });
+  
+  soundEventsElement.addEventListener('click', (e) => {
+    if (!e.target.classList.contains('sound-test-btn')) return;
+    
+    const select = document.getElementById(`sound-${e.target.getAttribute('data-event')}`);
+    chrome.runtime.sendMessage({ action: 'testAlertSound', sound: select.value });
+  });
+  
+  document.getElementById('stopSounds').addEventListener('click', () => {
+    chrome.runtime.sendMessage({ action: 'stopAlertSounds' });
+  });
+  
+  // ======== DETECTION RULES ========
+  // Add one editable rule row to the add-product form, optionally filled in
+  function addRuleRow(rule = null) {
+    const row = document.createElement('div');
+    row.className = 'rule-row';
+    row.innerHTML = `
+      <select class="rule-type">
+        <option value="selector_enabled">Element is enabled</option>
+        <option value="selector_exists">Element exists</option>
+        <option value="text_present">Page text contains</option>
+        <option value="selector_text_matches">Element text matches regex</option>
+      </select>
+      <input type="text" class="rule-selector" placeholder="CSS selector, e.g. button.add-to-cart">
+      <input type="text" class="rule-value" placeholder="Text or regex">
+      <select class="rule-result">
+        <option value="in_stock">= In stock</option>
+        <option value="out_of_stock">= Out of stock</option>
+      </select>
+      <button class="small-btn rule-remove">✕</button>
+    `;
+    
+    // Only show the inputs the chosen rule type uses
+    const typeSelect = row.querySelector('.rule-type');
+    const updateInputs = () => {
+      row.querySelector('.rule-selector').style.display = typeSelect.value === 'text_present' ? 'none' : '';
+      row.querySelector('.rule-value').style.display =
+        typeSelect.value === 'text_present' || typeSelect.value === 'selector_text_matches' ? '' : 'none';
+    };
+    if (rule) {
+      typeSelect.value = rule.type;
+      row.querySelector('.rule-selector').value = rule.selector || '';
+      row.querySelector('.rule-value').value = rule.text || rule.pattern || '';
+      row.querySelector('.rule-result').value = rule.result;
+    }
+    
+    typeSelect.addEventListener('change', updateInputs);
+    updateInputs();
+    
+    row.querySelector('.rule-remove').addEventListener('click', () => row.remove());
+    detectionRulesElement.appendChild(row);
+  }
+  
+  // Read the rule rows into the rule objects the background expects
+  function readDetectionRules() {
+    return Array.from(detectionRulesElement.querySelectorAll('.rule-row')).map(row => {
+      const type = row.querySelector('.rule-type').value;
+      const selector = row.querySelector('.rule-selector').value.trim();
+      const value = row.querySelector('.rule-value').value.trim();
+      const rule = { type, result: row.querySelector('.rule-result').value };
+      
+      if (type !== 'text_present') rule.selector = selector;
+      if (type === 'text_present') rule.text = value;
+      if (type === 'selector_text_matches') rule.pattern = value;
+      return rule;
+    });
+  }
+  
+  document.getElementById('addRule').addEventListener('click', () => addRuleRow());
+  
+  // Load the product URL in a background tab and show what the rules decide
+  document.getElementById('testRules').addEventListener('click', () => {
+    const url = document.getElementById('productUrl').value.trim();
+    const rules = readDetectionRules();
+    if (!url || rules.length === 0) {
+      ruleTestResultElement.textContent = 'Enter a product URL and at least one rule first';
+      return;
+    }
+    
+    requestSitePermission(url, (granted, host) => {
+      if (!granted) {
+        ruleTestResultElement.textContent = `Permission to read ${host} was not granted, so the detection rules can't run.`;
+        return;
+      }
+      
+      ruleTestResultElement.textContent = 'Testing...';
+      chrome.runtime.sendMessage({ action: 'testDetectionRules', url, rules }, (response) => {
+        if (!response || !response.success) {
+          ruleTestResultElement.textContent = `Test failed: ${response?.error || 'no response'}`;
+          return;
+        }
+        
+        const { result } = response;
+        const ruleLines = (result.debug?.ruleResults || []).map(ruleResult =>
+          `Rule ${ruleResult.rule}: ${ruleResult.error ? `error (${ruleResult.error})` : (ruleResult.matched ? 'matched' : 'no match')}`
+        );
+        const verdict = result.status === 'unknown'
+          ? `Status unknown: ${result.error || result.reason}`
+          : `${result.inStock ? 'In stock' : 'Out of stock'} (${result.reason})`;
+        ruleTestResultElement.textContent = [verdict, ...ruleLines].join('\n');
+      });
+    });
+  });
 });
\ No newline at end of file
@@ -0,0 +1,242 @@
+// ======== NOTIFICATION CHANNELS ========
+// Webhook channels that receive alerts alongside chrome.notifications, for
+// people away from the browser: Discord, Slack, ntfy, a team server...
+// Each channel POSTs its own JSON template, with {{placeholders}} filled in
+// from the alert (see WEBHOOK_PLACEHOLDERS).
+// Loaded into the service worker via importScripts() in background.js.
+//
+// Channel shape (chrome.storage.local 'notificationChannels'; webhook URLs are
+// credentials, so they stay out of sync storage):
+//   id, name, url, enabled, events: [WEBHOOK_EVENTS keys], template
+// Last delivery per channel (chrome.storage.local 'notificationChannelStatus'):
+//   { [id]: { ok, at, status, error, attempts } }
+
+const WEBHOOK_EVENTS = {
+  in_stock: 'In stock',
+  added_to_cart: 'Added to cart',
+  price_drop: 'Price drop',
+  new_listing: 'New listing'
+};
+
+// Placeholder -> what it's filled with
+const WEBHOOK_PLACEHOLDERS = {
+  event: 'Alert type, e.g. in_stock',
+  title: 'Notification title',
+  message: 'Notification text',
+  name: 'Product name',
+  url: 'Product URL',
+  price: 'Last seen price, e.g. 49.99 (blank if unknown)',
+  retailer: 'Retailer name',
+  status: 'Stock status: in_stock, out_of_stock or unknown',
+  seller: 'Seller, if the page named one',
+  time: 'When the alert was sent'
+};
+
+const WEBHOOK_TEMPLATE_PRESETS = {
+  generic: '{"event": "{{event}}", "title": "{{title}}", "message": "{{message}}", "product": "{{name}}", "url": "{{url}}", "price": "{{price}}", "retailer": "{{retailer}}", "status": "{{status}}", "seller": "{{seller}}", "time": "{{time}}"}',
+  discord: '{"content": "**{{title}}**\\n{{message}}\\n{{url}}"}',
+  slack: '{"text": "*{{title}}*\\n{{message}}\\n<{{url}}|{{name}}>"}',
+  ntfy: '{"topic": "pokemon-restocks", "title": "{{title}}", "message": "{{message}}", "click": "{{url}}", "priority": 5}'
+};
+
+// Waits between attempts. Kept short: the service worker may be stopped
+// about 30 seconds after its last event, taking pending retries with it.
+const WEBHOOK_RETRY_DELAYS_MS = [2000, 8000, 20000];
+const WEBHOOK_TIMEOUT_MS = 10000;
+
+// Used by validation and the "send test" button
+const WEBHOOK_SAMPLE_FIELDS = {
+  event: 'test',
+  title: 'Test notification',
+  message: 'Pokemon TCG: Scarlet & Violet Elite Trainer Box is now available! (test)',
+  name: 'Pokemon TCG: Scarlet & Violet Elite Trainer Box',
+  url: 'https://www.target.com/p/example/-/A-00000000',
+  price: '49.99',
+  retailer: 'Target',
+  status: 'in_stock',
+  seller: 'Target',
+  time: '1/1/2026, 12:00:00 PM'
+};
+
+let webhookStatusWrite = Promise.resolve(); // Serializes delivery status updates
+
+async function getNotificationChannels() {
+  const { notificationChannels } = await chrome.storage.local.get('notificationChannels');
+  return notificationChannels || [];
+}
+
+async function getNotificationChannelStatus() {
+  const { notificationChannelStatus } = await chrome.storage.local.get('notificationChannelStatus');
+  return notificationChannelStatus || {};
+}
+
+// Channels with their last delivery, for the monitor page
+async function getNotificationChannelSummaries() {
+  const [channels, status] = await Promise.all([getNotificationChannels(), getNotificationChannelStatus()]);
+  return channels.map(channel => ({ ...channel, lastDelivery: status[channel.id] || null }));
+}
+
+// Fill in a template. Values are JSON-escaped, so placeholders belong inside
+// string quotes. Throws if the result isn't valid JSON.
+function renderWebhookTemplate(template, fields) {
+  const body = template.replace(/\{\{\s*(\w+)\s*\}\}/g, (match, key) =>
+    JSON.stringify(String(fields[key] ?? '')).slice(1, -1)
+  );
+  
+  JSON.parse(body);
+  return body;
+}
+
+// Check and normalise a channel from the monitor page.
+// Returns { channel } or { error } with a message for the user.
+function validateNotificationChannel(channel) {
+  if (!channel || typeof channel !== 'object') {
+    return { error: 'Invalid channel data' };
+  }
+  
+  const name = String(channel.name || '').trim();
+  if (!name) {
+    return { error: 'Give the channel a name' };
+  }
+  
+  let url;
+  try {
+    url = new URL(channel.url);
+  } catch (error) {
+    return { error: `"${channel.url || ''}" is not a valid URL` };
+  }
+  if (url.protocol !== 'https:' && url.protocol !== 'http:') {
+    return { error: 'Webhook URLs must start with https:// or http://' };
+  }
+  
+  const events = (channel.events || []).filter(event => event in WEBHOOK_EVENTS);
+  if (events.length === 0) {
+    return { error: 'Pick at least one alert type for the channel' };
+  }
+  
+  const template = String(channel.template || '').trim() || WEBHOOK_TEMPLATE_PRESETS.generic;
+  const unknownPlaceholders = [...template.matchAll(/\{\{\s*(\w+)\s*\}\}/g)]
+    .map(match => match[1])
+    .filter(key => !(key in WEBHOOK_PLACEHOLDERS));
+  if (unknownPlaceholders.length) {
+    return { error: `Unknown placeholder {{${unknownPlaceholders[0]}}}` };
+  }
+  
+  try {
+    renderWebhookTemplate(template, WEBHOOK_SAMPLE_FIELDS);
+  } catch (error) {
+    return { error: `Template isn't valid JSON: ${error.message}` };
+  }
+  
+  return {
+    channel: {
+      id: channel.id || crypto.randomUUID(),
+      name,
+      url: url.href,
+      enabled: channel.enabled !== false,
+      events,
+      template
+    }
+  };
+}
+
+// One POST. Resolves to { ok, status, retryable, retryAfterMs, error }.
+async function postWebhook(url, body) {
+  const controller = new AbortController();
+  const timeoutId = setTimeout(() => controller.abort(), WEBHOOK_TIMEOUT_MS);
+  
+  try {
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body,
+      credentials: 'omit',
+      signal: controller.signal
+    });
+    
+    if (response.ok) {
+      return { ok: true, status: response.status };
+    }
+    
+    // Rate limits and server errors are worth retrying; other 4xx mean the
+    // channel is misconfigured and will fail the same way again
+    const retryAfterSeconds = parseFloat(response.headers.get('Retry-After'));
+    return {
+      ok: false,
+      status: response.status,
+      retryable: response.status === 429 || response.status >= 500,
+      retryAfterMs: Number.isFinite(retryAfterSeconds) ? retryAfterSeconds * 1000 : null,
+      error: `HTTP ${response.status}`
+    };
+  } catch (error) {
+    return {
+      ok: false,
+      status: null,
+      retryable: true,
+      error: error.name === 'AbortError' ? `Timed out after ${WEBHOOK_TIMEOUT_MS / 1000}s` : error.message
+    };
+  } finally {
+    clearTimeout(timeoutId);
+  }
+}
+
+// POST with retries and backoff. Resolves to { ok, at, status, error, attempts }.
+async function sendWebhook(channel, body, { retry = true } = {}) {
+  const delays = retry ? WEBHOOK_RETRY_DELAYS_MS : [];
+  let attempts = 0;
+  let outcome;
+  
+  while (true) {
+    attempts++;
+    outcome = await postWebhook(channel.url, body);
+    if (outcome.ok || !outcome.retryable || attempts > delays.length) break;
+    
+    const delay = Math.min(Math.max(delays[attempts - 1], outcome.retryAfterMs || 0), WEBHOOK_RETRY_DELAYS_MS[WEBHOOK_RETRY_DELAYS_MS.length - 1]);
+    console.log(`Webhook "${channel.name}" failed (${outcome.error}), retrying in ${delay / 1000}s`);
+    await new Promise(resolve => setTimeout(resolve, delay));
+  }
+  
+  return {
+    ok: outcome.ok,
+    at: Date.now(),
+    status: outcome.status,
+    error: outcome.ok ? null : outcome.error,
+    attempts
+  };
+}
+
+function recordWebhookDelivery(channelId, delivery) {
+  webhookStatusWrite = webhookStatusWrite
+    .then(async () => {
+      const status = await getNotificationChannelStatus();
+      status[channelId] = delivery;
+      await chrome.storage.local.set({ notificationChannelStatus: status });
+    })
+    .catch(error => {
+      console.error("Error recording webhook delivery:", error);
+    });
+  
+  return webhookStatusWrite;
+}
+
+// Send an alert to every enabled channel subscribed to its event.
+// Resolves to [{ channel, ok, error }], one per channel, for the alert inbox.
+async function dispatchWebhooks(event, fields) {
+  const channels = (await getNotificationChannels())
+    .filter(channel => channel.enabled !== false && channel.events.includes(event));
+  
+  return await Promise.all(channels.map(async channel => {
+    let delivery;
+    try {
+      delivery = await sendWebhook(channel, renderWebhookTemplate(channel.template, fields));
+    } catch (error) {
+      delivery = { ok: false, at: Date.now(), status: null, error: error.message, attempts: 0 };
+    }
+    
+    if (!delivery.ok) {
+      console.error(`Webhook "${channel.name}" failed after ${delivery.attempts} attempt(s): ${delivery.error}`);
+    }
+    await recordWebhookDelivery(channel.id, delivery);
+    return { channel: channel.name, ok: delivery.ok, error: delivery.error };
+  }));
+}
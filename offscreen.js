@@ -0,0 +1,86 @@
+// Offscreen document that plays alert sounds for the service worker, which
+// can't play audio itself. Sounds are synthesized with Web Audio, so there are
+// no audio files to ship. Names match ALERT_SOUNDS in alert-sounds.js.
+
+// Each tone: oscillator type, start/end frequency (Hz), start offset and length (seconds)
+const SOUNDS = {
+  alarm: [0, 0.25, 0.5, 0.75].map(start => ({ type: 'square', from: 880, to: 880, start, duration: 0.15 })),
+  siren: [
+    { type: 'sawtooth', from: 600, to: 1200, start: 0, duration: 0.6 },
+    { type: 'sawtooth', from: 1200, to: 600, start: 0.6, duration: 0.6 }
+  ],
+  chime: [
+    { type: 'sine', from: 784, to: 784, start: 0, duration: 0.25 },
+    { type: 'sine', from: 1047, to: 1047, start: 0.2, duration: 0.25 },
+    { type: 'sine', from: 1319, to: 1319, start: 0.4, duration: 0.5 }
+  ],
+  beep: [{ type: 'sine', from: 1000, to: 1000, start: 0, duration: 0.2 }]
+};
+
+const repeatingAlerts = new Map(); // alertId -> interval id
+let audioContext = null;
+
+function playSound(name, volume) {
+  const tones = SOUNDS[name];
+  if (!tones) return;
+  
+  audioContext = audioContext || new AudioContext();
+  const now = audioContext.currentTime;
+  
+  tones.forEach(tone => {
+    const oscillator = audioContext.createOscillator();
+    const gain = audioContext.createGain();
+    const start = now + tone.start;
+    const end = start + tone.duration;
+    
+    oscillator.type = tone.type;
+    oscillator.frequency.setValueAtTime(tone.from, start);
+    oscillator.frequency.linearRampToValueAtTime(tone.to, end);
+    
+    // Quick fade in and out, so tones don't click
+    gain.gain.setValueAtTime(0, start);
+    gain.gain.linearRampToValueAtTime(volume, start + 0.01);
+    gain.gain.setValueAtTime(volume, end - 0.02);
+    gain.gain.linearRampToValueAtTime(0, end);
+    
+    oscillator.connect(gain).connect(audioContext.destination);
+    oscillator.start(start);
+    oscillator.stop(end);
+  });
+}
+
+function stopAlert(alertId) {
+  clearInterval(repeatingAlerts.get(alertId));
+  repeatingAlerts.delete(alertId);
+}
+
+chrome.runtime.onMessage.addListener((message) => {
+  if (!message || message.target !== 'offscreen') return;
+  
+  switch (message.action) {
+    case 'playAlertSound': {
+      playSound(message.sound, message.volume);
+      if (!message.repeatMs || message.alertId === null) break;
+      
+      // A newer alert with the same id replaces the old loop
+      stopAlert(message.alertId);
+      const startedAt = Date.now();
+      repeatingAlerts.set(message.alertId, setInterval(() => {
+        if (Date.now() - startedAt > message.maxRepeatMs) {
+          stopAlert(message.alertId);
+          return;
+        }
+        playSound(message.sound, message.volume);
+      }, message.repeatMs));
+      break;
+    }
+      
+    case 'stopAlertSound':
+      if (message.alertId === null) {
+        Array.from(repeatingAlerts.keys()).forEach(stopAlert);
+      } else {
+        stopAlert(message.alertId);
+      }
+      break;
+  }
+});
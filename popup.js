@@ -10,55 +10,133 @@ document.addEventListener('DOMContentLoaded', function() {
   const resetCountButton = document.getElementById('resetCount');
   const purchaseCountElement = document.getElementById('purchaseCount');
   const statusMessageElement = document.getElementById('status-message');
+  const detectionRulesElement = document.getElementById('detectionRules');
+  const ruleTestResultElement = document.getElementById('ruleTestResult');
   
   let isMonitoring = false;
   let stockStatus = {};
   let monitoredProducts = [];
-  
-  // Load initial state
-  chrome.runtime.sendMessage({ action: 'getProducts' }, (response) => {
-    if (response) {
-      stockStatus = response.stockStatus || {};
-      monitoredProducts = response.products || [];
-      updateProductList(monitoredProducts);
-    } else {
-      console.error('No response received from getProducts');
-      updateProductList([]);
-    }
-  });
+  let purchaseStats = { count: 0, limit: 3 };
   
   chrome.storage.sync.get(['checkInterval', 'purchaseLimit'], (result) => {
     checkIntervalInput.value = result.checkInterval || 30;
     purchaseLimitInput.value = result.purchaseLimit || 3;
   });
   
-  // Check if monitoring is already active
-  chrome.runtime.sendMessage({ action: 'getMonitoringStatus' }, (response) => {
-    if (response) {
-      isMonitoring = response.isMonitoring || false;
+  // ======== LIVE STATE ========
+  // The background pushes a full snapshot when we connect, then deltas
+  // containing only what changed, so there's no need to poll it
+  function connectStateSubscription() {
+    const port = chrome.runtime.connect({ name: 'stateSubscription' });
+    
+    port.onMessage.addListener((message) => {
+      if (message.type === 'snapshot') {
+        applyStateSnapshot(message.state);
+      } else if (message.type === 'delta') {
+        applyStateDelta(message.changes);
+      }
+    });
+    
+    // The port closes whenever the service worker shuts down; reconnecting
+    // wakes it back up and brings a fresh snapshot
+    port.onDisconnect.addListener(() => {
+      setTimeout(connectStateSubscription, 1000);
+    });
+  }
+  
+  function applyStateSnapshot(state) {
+    monitoredProducts = state.products || [];
+    stockStatus = state.stockStatus || {};
+    isMonitoring = state.monitoring ? state.monitoring.isMonitoring : false;
+    purchaseStats = state.purchaseStats || purchaseStats;
+    
+    updateMonitoringUI();
+    updatePurchaseCountDisplay();
+    updateProductList(monitoredProducts);
+  }
+  
+  function applyStateDelta(changes) {
+    let needsRender = false;
+    
+    if ('products' in changes) {
+      monitoredProducts = changes.products || [];
+      needsRender = true;
+    }
+    
+    if ('stockStatus' in changes) {
+      for (const [url, entry] of Object.entries(changes.stockStatus)) {
+        if (entry) {
+          stockStatus[url] = entry;
+        } else {
+          delete stockStatus[url];
+        }
+      }
+      needsRender = true;
+    }
+    
+    if ('monitoring' in changes) {
+      isMonitoring = changes.monitoring.isMonitoring;
       updateMonitoringUI();
     }
-  });
+    
+    if ('purchaseStats' in changes) {
+      purchaseStats = changes.purchaseStats;
+      updatePurchaseCountDisplay();
+      needsRender = true;
+    }
+    
+    if ('cartProgress' in changes) {
+      showCartProgress(changes.cartProgress);
+    }
+    
+    if (needsRender) {
+      updateProductList(monitoredProducts);
+    }
+  }
   
-  // Update purchase count display
-  function updatePurchaseCountDisplay() {
-    chrome.runtime.sendMessage({ action: 'getPurchaseStats' }, (response) => {
-      if (response) {
-        purchaseCountElement.textContent = `Items Purchased: ${response.count}/${response.limit}`;
-        
-        // Disable all cart buttons if limit reached
-        if (response.count >= response.limit) {
-          document.querySelectorAll('.cart-btn').forEach(btn => {
-            btn.disabled = true;
-            btn.title = 'Purchase limit reached';
-          });
+  // Show the latest add-to-cart attempt in the status line
+  function showCartProgress(progress) {
+    if (!progress) return;
+    
+    const messages = {
+      adding: `Adding ${progress.productName} to cart...`,
+      added: `${progress.productName} added to cart!`,
+      failed: `Could not add ${progress.productName} to cart${progress.error ? `: ${progress.error}` : ''}`,
+      limit_reached: 'Purchase limit reached. Reset count to buy more.',
+      price_too_high: `Skipped ${progress.productName}: ${progress.error}`
+    };
+    
+    statusMessageElement.textContent = messages[progress.stage] || '';
+    if (progress.stage === 'added' || progress.stage === 'adding') {
+      statusMessageElement.style.color = '#22c55e';
+    } else {
+      statusMessageElement.style.color = '#ef4444';
+    }
+    
+    // Leave "adding" up until the attempt finishes
+    if (!progress.inProgress) {
+      setTimeout(() => {
+        if (statusMessageElement.textContent === messages[progress.stage]) {
+          statusMessageElement.textContent = '';
         }
-      }
-    });
+      }, 4000);
+    }
   }
   
-  // Update purchase count on load
-  updatePurchaseCountDisplay();
+  connectStateSubscription();
+  
+  // Update purchase count display
+  function updatePurchaseCountDisplay() {
+    purchaseCountElement.textContent = `Items Purchased: ${purchaseStats.count}/${purchaseStats.limit}`;
+    
+    // Disable all cart buttons if limit reached
+    if (purchaseStats.count >= purchaseStats.limit) {
+      document.querySelectorAll('.cart-btn').forEach(btn => {
+        btn.disabled = true;
+        btn.title = 'Purchase limit reached';
+      });
+    }
+  }
   
   // Reset purchase count
   resetCountButton.addEventListener('click', function() {
@@ -114,20 +192,6 @@ document.addEventListener('DOMContentLoaded', function() {
     });
   });
   
-  // Listen for stock status updates
-  chrome.runtime.onMessage.addListener((message) => {
-    if (message && message.action === 'stockStatusUpdate') {
-      stockStatus = message.stockStatus || {};
-      if (stockStatus) {
-        const products = Object.values(stockStatus)
-          .filter(item => item && item.product)
-          .map(item => item.product);
-        updateProductList(products);
-      }
-    }
-    return true;
-  });
-  
   // Toggle monitoring
   toggleButton.addEventListener('click', () => {
     isMonitoring = !isMonitoring;
@@ -151,11 +215,33 @@ document.addEventListener('DOMContentLoaded', function() {
     const urlInput = document.getElementById('productUrl');
     const addToCartUrlInput = document.getElementById('addToCartUrl');
     const autoCheckoutInput = document.getElementById('autoCheckout');
+    const allowThirdPartyInput = document.getElementById('allowThirdParty');
+    const productZipCodeInput = document.getElementById('productZipCode');
+    const productStoreIdInput = document.getElementById('productStoreId');
+    const fulfillmentModeInputs = document.querySelectorAll('.fulfillment-mode');
+    const detectionRules = readDetectionRules();
+    const productCheckIntervalInput = document.getElementById('productCheckInterval');
+    const activeHoursStartInput = document.getElementById('activeHoursStart');
+    const activeHoursEndInput = document.getElementById('activeHoursEnd');
+    const productMaxPriceInput = document.getElementById('productMaxPrice');
+    const productTargetPriceInput = document.getElementById('productTargetPrice');
     
     const name = nameInput.value.trim();
     const url = urlInput.value.trim();
     const addToCartUrl = addToCartUrlInput.value.trim();
     const autoCheckout = autoCheckoutInput.checked;
+    const allowThirdParty = allowThirdPartyInput.checked;
+    const zipCode = productZipCodeInput.value.trim() || null;
+    const storeId = productStoreIdInput.value.trim() || null;
+    const fulfillmentModes = Array.from(fulfillmentModeInputs)
+      .filter(input => input.checked)
+      .map(input => input.value);
+    const checkInterval = parseInt(productCheckIntervalInput.value, 10) || null;
+    const activeHours = activeHoursStartInput.value && activeHoursEndInput.value
+      ? { start: activeHoursStartInput.value, end: activeHoursEndInput.value }
+      : null;
+    const maxPrice = parseFloat(productMaxPriceInput.value) || null;
+    const targetPrice = parseFloat(productTargetPriceInput.value) || null;
     
     if (!name || !url) {
       alert('Please enter both a name and URL for the product.');
@@ -164,8 +250,8 @@ document.addEventListener('DOMContentLoaded', function() {
       return;
     }
     
-    if (!url.includes('bestbuy.com') && !url.includes('target.com')) {
-      alert('Please enter a valid Best Buy or Target URL.');
+    if (!/^https?:\/\/[^/\s]+/i.test(url)) {
+      alert('Please enter a valid product URL, starting with http:// or https://.');
       this.textContent = 'Add Product';
       this.disabled = false;
       return;
@@ -173,37 +259,58 @@ document.addEventListener('DOMContentLoaded', function() {
     
     const button = this;
     
-    // Attempt to add product
-    chrome.runtime.sendMessage({
-      action: 'addProduct',
-      product: { name, url, addToCartUrl, autoCheckout }
-    }, function(response) {
-      if (response && response.success) {
-        nameInput.value = '';
-        urlInput.value = '';
-        addToCartUrlInput.value = '';
-        stockStatus = response.stockStatus || {};
-        monitoredProducts = response.products || [];
-        updateProductList(monitoredProducts);
-        button.textContent = 'Product Added!';
-        statusMessageElement.textContent = 'Product added successfully!';
-        statusMessageElement.style.color = '#22c55e';
-        
-        setTimeout(function() {
-          button.textContent = 'Add Product';
-          button.disabled = false;
-          statusMessageElement.textContent = '';
-        }, 2000);
-      } else {
-        statusMessageElement.textContent = 'Failed to add product. Please try again.';
+    // Attempt to add product. Checking it means running scripts in its page,
+    // so ask for the site first (Best Buy and Target are already granted).
+    requestSitePermission(url, (granted, host) => {
+      if (!granted) {
+        statusMessageElement.textContent = `Permission to read ${host} was not granted, so the product can't be checked.`;
         statusMessageElement.style.color = '#ef4444';
         button.textContent = 'Add Product';
         button.disabled = false;
-        
-        setTimeout(function() {
-          statusMessageElement.textContent = '';
-        }, 3000);
+        return;
       }
+      
+      chrome.runtime.sendMessage({
+        action: 'addProduct',
+        product: { name, url, addToCartUrl, autoCheckout, allowThirdParty, enabled: true, checkInterval, activeHours, maxPrice, targetPrice, zipCode, storeId, fulfillmentModes, detectionRules }
+      }, function(response) {
+        if (response && response.success) {
+          nameInput.value = '';
+          urlInput.value = '';
+          addToCartUrlInput.value = '';
+          productCheckIntervalInput.value = '';
+          activeHoursStartInput.value = '';
+          activeHoursEndInput.value = '';
+          productMaxPriceInput.value = '';
+          productTargetPriceInput.value = '';
+          productZipCodeInput.value = '';
+          productStoreIdInput.value = '';
+          fulfillmentModeInputs.forEach(input => { input.checked = false; });
+          detectionRulesElement.innerHTML = '';
+          ruleTestResultElement.textContent = '';
+          stockStatus = response.stockStatus || {};
+          monitoredProducts = response.products || [];
+          updateProductList(monitoredProducts);
+          button.textContent = 'Product Added!';
+          statusMessageElement.textContent = 'Product added successfully!';
+          statusMessageElement.style.color = '#22c55e';
+          
+          setTimeout(function() {
+            button.textContent = 'Add Product';
+            button.disabled = false;
+            statusMessageElement.textContent = '';
+          }, 2000);
+        } else {
+          statusMessageElement.textContent = 'Failed to add product. Please try again.';
+          statusMessageElement.style.color = '#ef4444';
+          button.textContent = 'Add Product';
+          button.disabled = false;
+          
+          setTimeout(function() {
+            statusMessageElement.textContent = '';
+          }, 3000);
+        }
+      });
     });
   });
   
@@ -215,13 +322,7 @@ document.addEventListener('DOMContentLoaded', function() {
     chrome.runtime.sendMessage({
       action: 'forceCheck'
     }, (response) => {
-      if (response && response.success) {
-        stockStatus = response.stockStatus || {};
-        const products = Object.values(stockStatus)
-          .filter(item => item && item.product)
-          .map(item => item.product);
-        updateProductList(products);
-      }
+      // Results arrive over the state subscription as each check finishes
       
       checkNowButton.textContent = 'Check Stock Now';
       checkNowButton.disabled = false;
@@ -284,84 +385,116 @@ document.addEventListener('DOMContentLoaded', function() {
       return;
     }
     
-    // First update purchase count to know if limit is reached
-    chrome.runtime.sendMessage({ action: 'getPurchaseStats' }, (stats) => {
-      const limitReached = stats && stats.count >= stats.limit;
+    // Check the purchase limit to know which buttons to disable
+    const limitReached = purchaseStats.count >= purchaseStats.limit;
+    
+    // Sort products: in-stock first, then by name
+    const sortedProducts = [...products].sort((a, b) => {
+      const statusA = stockStatus[a.url];
+      const statusB = stockStatus[b.url];
       
-      // Sort products: in-stock first, then by name
-      const sortedProducts = [...products].sort((a, b) => {
-        const statusA = stockStatus[a.url];
-        const statusB = stockStatus[b.url];
-        
-        // If one is in stock and the other isn't, prioritize the in-stock one
-        if (statusA?.inStock && !statusB?.inStock) return -1;
-        if (!statusA?.inStock && statusB?.inStock) return 1;
-        
-        // If both in same stock state, sort by name alphabetically
-        return a.name.localeCompare(b.name);
-      });
+      // If one is in stock and the other isn't, prioritize the in-stock one
+      if (statusA?.inStock && !statusB?.inStock) return -1;
+      if (!statusA?.inStock && statusB?.inStock) return 1;
       
-      sortedProducts.forEach(product => {
-        const productElement = document.createElement('div');
-        productElement.className = 'product-item';
-        
-        // Get stock status info
-        const status = stockStatus[product.url];
-        
-        let stockStatusHtml;
-        if (status) {
-          if (status.inStock) {
-            stockStatusHtml = `
-              <div class="product-status in-stock">
-                ✅ IN STOCK!
-              </div>
-              <div class="last-checked">Last checked: ${status.lastChecked || 'Not checked yet'}</div>
-            `;
-          } else {
-            stockStatusHtml = `
-              <div class="product-status out-of-stock">
-                ❌ Out of Stock
-              </div>
-              <div class="last-checked">Last checked: ${status.lastChecked || 'Not checked yet'}</div>
-              ${status.lastInStock ? `<div class="last-in-stock">Last seen in stock: ${status.lastInStock}</div>` : ''}
-            `;
-          }
+      // If both in same stock state, sort by name alphabetically
+      return a.name.localeCompare(b.name);
+    });
+    
+    sortedProducts.forEach(product => {
+      const productElement = document.createElement('div');
+      productElement.className = product.enabled === false ? 'product-item paused' : 'product-item';
+      
+      // Get stock status info
+      const status = stockStatus[product.url];
+      
+      let stockStatusHtml;
+      if (status) {
+        if (status.status === 'unknown') {
+          // The check failed, so we can't say whether it's in stock
+          stockStatusHtml = `
+            <div class="product-status unknown-stock">
+              ❓ Status Unknown
+            </div>
+            <div class="check-error">Check failed: ${escapeHtml(status.error || status.reason || 'unknown error')}</div>
+            <div class="last-checked">Last checked: ${status.lastChecked || 'Not checked yet'}</div>
+            ${status.lastInStock ? `<div class="last-in-stock">Last seen in stock: ${status.lastInStock}</div>` : ''}
+          `;
+        } else if (status.inStock && status.confirming) {
+          stockStatusHtml = `
+            <div class="product-status in-stock">
+              ⏳ In stock? Confirming (${status.confirming.readings}/${status.confirming.required})
+            </div>
+            <div class="last-checked">Last checked: ${status.lastChecked || 'Not checked yet'}</div>
+          `;
+        } else if (status.inStock) {
+          stockStatusHtml = `
+            <div class="product-status in-stock">
+              ✅ IN STOCK!
+            </div>
+            <div class="last-checked">Last checked: ${status.lastChecked || 'Not checked yet'}</div>
+          `;
         } else {
-          stockStatusHtml = `<div class="product-status">Status: Not checked yet</div>`;
+          stockStatusHtml = `
+            <div class="product-status out-of-stock">
+              ❌ Out of Stock
+            </div>
+            <div class="last-checked">Last checked: ${status.lastChecked || 'Not checked yet'}</div>
+            ${status.lastInStock ? `<div class="last-in-stock">Last seen in stock: ${status.lastInStock}</div>` : ''}
+          `;
         }
-        
-        // Determine if buttons should be disabled
-        const disableButtons = limitReached || (!status || !status.inStock);
-        const buttonTitle = limitReached ? 'Purchase limit reached' : 
-                           (!status || !status.inStock ? 'Item is out of stock' : '');
-        
-        productElement.innerHTML = `
-          <div class="product-details">
-            <div class="product-name">${product.name}</div>
-            <div class="product-url">${product.url}</div>
-            <div class="product-option">${product.autoCheckout ? 'Auto-add to cart: Enabled' : 'Auto-add to cart: Disabled'}</div>
-            ${product.addToCartUrl ? '<div class="product-option">Direct Add to Cart URL: ✓</div>' : ''}
-            ${stockStatusHtml}
-          </div>
-          <div class="product-actions">
-            <button class="cart-btn" 
-                    data-url="${product.url}" 
-                    data-cart-url="${product.addToCartUrl || ''}" 
-                    ${disableButtons ? 'disabled' : ''}
-                    title="${buttonTitle}"
-                    ${!status || !status.inStock ? 'data-disabled-stock="true"' : ''}>
-              Add to Cart
-            </button>
-            <button class="remove-btn" data-url="${product.url}">Remove</button>
-          </div>
-        `;
-        
-        productListElement.appendChild(productElement);
-      });
+      } else {
+        stockStatusHtml = `<div class="product-status">Status: Not checked yet</div>`;
+      }
+      
+      // Alerts silenced from a notification's Snooze button
+      if (status && status.snoozedUntil > Date.now()) {
+        stockStatusHtml += `<div class="snoozed">🔕 Alerts snoozed until ${new Date(status.snoozedUntil).toLocaleTimeString()}</div>`;
+      }
+      
+      // Determine if buttons should be disabled
+      const disableButtons = limitReached || (!status || !status.inStock);
+      let buttonTitle = '';
+      if (limitReached) {
+        buttonTitle = 'Purchase limit reached';
+      } else if (status && status.status === 'unknown') {
+        buttonTitle = 'Stock status unknown';
+      } else if (!status || !status.inStock) {
+        buttonTitle = 'Item is out of stock';
+      }
+      
+      productElement.innerHTML = `
+        <div class="product-details">
+          <div class="product-name">${escapeHtml(product.name)}</div>
+          <div class="product-url">${escapeHtml(product.url)}</div>
+          <div class="product-option">${product.autoCheckout ? 'Auto-add to cart: Enabled' : 'Auto-add to cart: Disabled'}</div>
+          ${product.addToCartUrl ? '<div class="product-option">Direct Add to Cart URL: ✓</div>' : ''}
+          <div class="product-option">Schedule: ${describeSchedule(product)}</div>
+          ${describePricing(product, status)}
+          ${describeSeller(product, status)}
+          ${describeFulfillment(product, status)}
+          ${product.detectionRules && product.detectionRules.length ? `<div class="product-option">Detection: ${product.detectionRules.length} custom rule(s)</div>` : ''}
+          ${stockStatusHtml}
+        </div>
+        <div class="product-actions">
+          <button class="cart-btn" 
+                  data-url="${escapeHtml(product.url)}" 
+                  data-cart-url="${escapeHtml(product.addToCartUrl || '')}" 
+                  ${disableButtons ? 'disabled' : ''}
+                  title="${buttonTitle}"
+                  ${!status || !status.inStock ? 'data-disabled-stock="true"' : ''}>
+            Add to Cart
+          </button>
+          <button class="pause-btn" data-url="${escapeHtml(product.url)}">${product.enabled === false ? 'Resume' : 'Pause'}</button>
+          <button class="remove-btn" data-url="${escapeHtml(product.url)}">Remove</button>
+        </div>
+      `;
       
-      // Add event listeners to buttons
-      addButtonEventListeners();
+      productListElement.appendChild(productElement);
     });
+    
+    // Add event listeners to buttons
+    addButtonEventListeners();
   }
   
   // Add all button event listeners
@@ -389,6 +522,27 @@ document.addEventListener('DOMContentLoaded', function() {
       });
     });
     
+    // Add event listeners to pause/resume buttons
+    document.querySelectorAll('.pause-btn').forEach(button => {
+      button.addEventListener('click', (e) => {
+        const url = e.target.getAttribute('data-url');
+        const product = getProductByUrl(url);
+        if (!product) return;
+        
+        chrome.runtime.sendMessage({
+          action: 'updateProduct',
+          url,
+          changes: { enabled: product.enabled === false }
+        }, (response) => {
+          if (response && response.success) {
+            stockStatus = response.stockStatus || {};
+            monitoredProducts = response.products || [];
+            updateProductList(monitoredProducts);
+          }
+        });
+      });
+    });
+    
     // Add event listeners to cart buttons
     document.querySelectorAll('.cart-btn').forEach(button => {
       button.addEventListener('click', (e) => {
@@ -412,11 +566,9 @@ document.addEventListener('DOMContentLoaded', function() {
               setTimeout(() => {
                 button.textContent = 'Add to Cart';
                 // Check if we should keep the button disabled
-                chrome.runtime.sendMessage({ action: 'getPurchaseStats' }, (stats) => {
-                  const limitReached = stats && stats.count >= stats.limit;
-                  button.disabled = limitReached;
-                  button.title = limitReached ? 'Purchase limit reached' : '';
-                });
+                const limitReached = purchaseStats.count >= purchaseStats.limit;
+                button.disabled = limitReached;
+                button.title = limitReached ? 'Purchase limit reached' : '';
               }, 3000);
             } else if (response && response.limitReached) {
               button.textContent = 'Limit Reached';
@@ -429,6 +581,16 @@ document.addEventListener('DOMContentLoaded', function() {
                 button.title = 'Purchase limit reached';
                 statusMessageElement.textContent = '';
               }, 3000);
+            } else if (response && response.priceTooHigh) {
+              button.textContent = 'Over Max Price';
+              statusMessageElement.textContent = `Not added to cart: ${response.error}`;
+              statusMessageElement.style.color = '#ef4444';
+              
+              setTimeout(() => {
+                button.textContent = 'Add to Cart';
+                button.disabled = false;
+                statusMessageElement.textContent = '';
+              }, 3000);
             } else {
               button.textContent = 'Failed';
               
@@ -447,4 +609,198 @@ document.addEventListener('DOMContentLoaded', function() {
   function getProductByUrl(url) {
     return monitoredProducts.find(p => p && p.url === url);
   }
+  
+  // Describe a product's check schedule, e.g. "every 60s, 06:00-23:00"
+  function describeSchedule(product) {
+    if (product.enabled === false) return 'Paused';
+    
+    const parts = [product.checkInterval ? `every ${product.checkInterval}s` : 'global interval'];
+    if (product.activeHours && product.activeHours.start && product.activeHours.end) {
+      parts.push(`${product.activeHours.start}-${product.activeHours.end}`);
+    }
+    return parts.join(', ');
+  }
+  
+  // Last checked price plus the product's max price / alert price, if any
+  function describePricing(product, status) {
+    const parts = [];
+    if (status && status.price != null) parts.push(`$${status.price.toFixed(2)}`);
+    if (product.maxPrice) parts.push(`max $${Number(product.maxPrice).toFixed(2)}`);
+    if (product.targetPrice) parts.push(`alert at $${Number(product.targetPrice).toFixed(2)}`);
+    
+    return parts.length ? `<div class="product-option">Price: ${parts.join(', ')}</div>` : '';
+  }
+  
+  // Seller and store names are page text, and keyword auto-add products carry scraped
+  // names and URLs, so escape them before they go into innerHTML
+  function escapeHtml(value) {
+    return String(value)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+  }
+  
+  // Seller from the last check, and whether third-party sellers count for this product
+  function describeSeller(product, status) {
+    if (!status || !status.seller) {
+      return product.allowThirdParty ? '<div class="product-option">Third-party sellers: Counted</div>' : '';
+    }
+    
+    const sellerType = status.thirdPartySeller
+      ? (product.allowThirdParty ? ' (third-party, counted)' : ' (third-party, ignored)')
+      : '';
+    return `<div class="product-option">Seller: ${escapeHtml(status.seller)}${sellerType}</div>`;
+  }
+  
+  // Wanted fulfillment modes and location, plus per-mode availability from the last check
+  function describeFulfillment(product, status) {
+    const labels = { shipping: 'Shipping', pickup: 'Pickup', delivery: 'Same-day delivery' };
+    const lines = [];
+    
+    const location = [
+      product.zipCode ? `ZIP ${product.zipCode}` : '',
+      product.storeId ? `store ${product.storeId}` : ''
+    ].filter(Boolean).join(', ');
+    const modes = product.fulfillmentModes && product.fulfillmentModes.length
+      ? product.fulfillmentModes.map(mode => labels[mode] || mode).join(' / ')
+      : '';
+    if (modes || location) {
+      lines.push(`<div class="product-option">Fulfillment: ${modes || 'Any'}${location ? ` near ${location}` : ''}</div>`);
+    }
+    
+    if (status && status.fulfillment) {
+      const modeStatus = Object.entries(status.fulfillment).map(([mode, info]) =>
+        `${labels[mode] || mode} ${info.available ? '✓' : '✗'}${info.store ? ` (${escapeHtml(info.store)})` : ''}`
+      );
+      if (modeStatus.length) {
+        lines.push(`<div class="product-option">${modeStatus.join(' · ')}</div>`);
+      }
+    }
+    
+    return lines.join('');
+  }
+  
+  // ======== DETECTION RULES ========
+  // Add one editable rule row to the add-product form, optionally filled in
+  function addRuleRow(rule = null) {
+    const row = document.createElement('div');
+    row.className = 'rule-row';
+    row.innerHTML = `
+      <select class="rule-type">
+        <option value="selector_enabled">Element is enabled</option>
+        <option value="selector_exists">Element exists</option>
+        <option value="text_present">Page text contains</option>
+        <option value="selector_text_matches">Element text matches regex</option>
+      </select>
+      <input type="text" class="rule-selector" placeholder="CSS selector, e.g. button.add-to-cart">
+      <input type="text" class="rule-value" placeholder="Text or regex">
+      <select class="rule-result">
+        <option value="in_stock">= In stock</option>
+        <option value="out_of_stock">= Out of stock</option>
+      </select>
+      <button class="small-btn rule-remove">✕</button>
+    `;
+    
+    // Only show the inputs the chosen rule type uses
+    const typeSelect = row.querySelector('.rule-type');
+    const updateInputs = () => {
+      row.querySelector('.rule-selector').style.display = typeSelect.value === 'text_present' ? 'none' : '';
+      row.querySelector('.rule-value').style.display =
+        typeSelect.value === 'text_present' || typeSelect.value === 'selector_text_matches' ? '' : 'none';
+    };
+    if (rule) {
+      typeSelect.value = rule.type;
+      row.querySelector('.rule-selector').value = rule.selector || '';
+      row.querySelector('.rule-value').value = rule.text || rule.pattern || '';
+      row.querySelector('.rule-result').value = rule.result;
+    }
+    
+    typeSelect.addEventListener('change', updateInputs);
+    updateInputs();
+    
+    row.querySelector('.rule-remove').addEventListener('click', () => row.remove());
+    detectionRulesElement.appendChild(row);
+  }
+  
+  // Read the rule rows into the rule objects the background expects
+  function readDetectionRules() {
+    return Array.from(detectionRulesElement.querySelectorAll('.rule-row')).map(row => {
+      const type = row.querySelector('.rule-type').value;
+      const selector = row.querySelector('.rule-selector').value.trim();
+      const value = row.querySelector('.rule-value').value.trim();
+      const rule = { type, result: row.querySelector('.rule-result').value };
+      
+      if (type !== 'text_present') rule.selector = selector;
+      if (type === 'text_present') rule.text = value;
+      if (type === 'selector_text_matches') rule.pattern = value;
+      return rule;
+    });
+  }
+  
+  document.getElementById('addRule').addEventListener('click', () => addRuleRow());
+  
+  // Load the product URL in a background tab and show what the rules decide
+  document.getElementById('testRules').addEventListener('click', () => {
+    const url = document.getElementById('productUrl').value.trim();
+    const rules = readDetectionRules();
+    if (!url || rules.length === 0) {
+      ruleTestResultElement.textContent = 'Enter a product URL and at least one rule first';
+      return;
+    }
+    
+    requestSitePermission(url, (granted, host) => {
+      if (!granted) {
+        ruleTestResultElement.textContent = `Permission to read ${host} was not granted, so the detection rules can't run.`;
+        return;
+      }
+      
+      ruleTestResultElement.textContent = 'Testing...';
+      chrome.runtime.sendMessage({ action: 'testDetectionRules', url, rules }, (response) => {
+        if (!response || !response.success) {
+          ruleTestResultElement.textContent = `Test failed: ${response?.error || 'no response'}`;
+          return;
+        }
+        
+        const { result } = response;
+        const ruleLines = (result.debug?.ruleResults || []).map(ruleResult =>
+          `Rule ${ruleResult.rule}: ${ruleResult.error ? `error (${ruleResult.error})` : (ruleResult.matched ? 'matched' : 'no match')}`
+        );
+        const verdict = result.status === 'unknown'
+          ? `Status unknown: ${result.error || result.reason}`
+          : `${result.inStock ? 'In stock' : 'Out of stock'} (${result.reason})`;
+        ruleTestResultElement.textContent = [verdict, ...ruleLines].join('\n');
+      });
+    });
+  });
+  
+  // Let the user click the element to base a rule on, in the current tab.
+  // Clicking the page closes the popup; the picker saves the rule itself.
+  document.getElementById('pickElement').addEventListener('click', async () => {
+    const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+    if (!tab || !/^https?:/.test(tab.url || '')) {
+      ruleTestResultElement.textContent = 'Open the product page in the current tab first';
+      return;
+    }
+    
+    try {
+      await chrome.scripting.executeScript({ target: { tabId: tab.id }, files: ['element-picker.js'] });
+      window.close();
+    } catch (error) {
+      ruleTestResultElement.textContent = `Could not start the element picker: ${error.message}`;
+    }
+  });
+  
+  // A rule picked on a page that isn't monitored yet fills in the add-product form
+  chrome.runtime.sendMessage({ action: 'takePickedRule' }, (response) => {
+    if (!response || !response.pickedRule) return;
+    
+    const { url, title, rule } = response.pickedRule;
+    const nameInput = document.getElementById('productName');
+    const urlInput = document.getElementById('productUrl');
+    if (!urlInput.value) urlInput.value = url;
+    if (!nameInput.value) nameInput.value = title;
+    addRuleRow(rule);
+    ruleTestResultElement.textContent = 'Picked rule added. Review it, then add the product.';
+  });
 });
\ No newline at end of file
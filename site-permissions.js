@@ -0,0 +1,21 @@
+// ======== SITE PERMISSIONS ========
+// Shared by the popup and the monitor page (loaded before popup.js and
+// monitor.js). Best Buy and Target are granted at install; any other shop a
+// product or its detection rules run on, and any webhook host, is an optional
+// host permission (see optional_host_permissions in manifest.json) that the
+// user grants here. Already-granted sites resolve without a prompt.
+// chrome.permissions.request only works during a user gesture, so call this
+// straight from the click handler. The callback gets (granted, host).
+function requestSitePermission(url, callback) {
+  let parsedUrl;
+  try {
+    parsedUrl = new URL(url);
+  } catch (error) {
+    callback(true, ''); // Let the background report the bad URL
+    return;
+  }
+  
+  chrome.permissions.request({ origins: [`${parsedUrl.origin}/*`] }, (granted) => {
+    callback(!!granted, parsedUrl.host);
+  });
+}
@@ -0,0 +1,190 @@
+// ======== STRUCTURED DATA PARSING ========
+// Reads availability out of the structured data most product pages embed for
+// search engines: JSON-LD Offer.availability, schema.org microdata and
+// OpenGraph product tags. Works on raw HTML text because service workers
+// have no DOMParser.
+// Loaded into the service worker via importScripts() in background.js.
+
+// Normalised availability values (lowercase, letters only) mapped to stock status.
+// Anything not listed here (BackOrder, InStoreOnly, MadeToOrder...) is ambiguous.
+const STRUCTURED_AVAILABILITY = {
+  instock: 'in_stock',
+  limitedavailability: 'in_stock',
+  onlineonly: 'in_stock',
+  preorder: 'in_stock',
+  presale: 'in_stock',
+  availablefororder: 'in_stock',
+  outofstock: 'out_of_stock',
+  soldout: 'out_of_stock',
+  discontinued: 'out_of_stock',
+  oos: 'out_of_stock'
+};
+
+// "https://schema.org/InStock", "InStock" and "in stock" all become "instock"
+function normalizeAvailability(value) {
+  if (typeof value !== 'string') return '';
+  return value
+    .trim()
+    .replace(/^https?:\/\/schema\.org\//i, '')
+    .toLowerCase()
+    .replace(/[^a-z]/g, '');
+}
+
+// Read one attribute from a single HTML tag string
+function getTagAttribute(tag, name) {
+  const match = tag.match(new RegExp(`\\s${name}\\s*=\\s*(?:"([^"]*)"|'([^']*)'|([^\\s>]+))`, 'i'));
+  return match ? (match[1] ?? match[2] ?? match[3]) : null;
+}
+
+// True if a JSON-LD node's @type is (or includes) the given type
+function hasJsonLdType(node, type) {
+  const types = Array.isArray(node['@type']) ? node['@type'] : [node['@type']];
+  return types.includes(type);
+}
+
+// Flatten an Offer, AggregateOffer, or list of either into a list of offers
+function collectOffers(offers, collected = []) {
+  for (const offer of [].concat(offers || [])) {
+    if (!offer || typeof offer !== 'object') continue;
+    
+    collected.push(offer);
+    
+    // AggregateOffer nests the individual offers
+    if (offer.offers) {
+      collectOffers(offer.offers, collected);
+    }
+  }
+  
+  return collected;
+}
+
+// Offers of every top-level Product in the page's JSON-LD blocks.
+// Only top-level products count, so "related items" lists don't leak in.
+function extractJsonLdOffers(html) {
+  const offers = [];
+  const scriptPattern = /<script\b[^>]*type\s*=\s*["']application\/ld\+json["'][^>]*>([\s\S]*?)<\/script>/gi;
+  
+  for (const match of html.matchAll(scriptPattern)) {
+    let data;
+    try {
+      data = JSON.parse(match[1].trim());
+    } catch (error) {
+      continue; // Malformed blocks are common; ignore them
+    }
+    
+    const nodes = [].concat(data).flatMap(node =>
+      node && Array.isArray(node['@graph']) ? node['@graph'] : [node]
+    );
+    
+    for (const node of nodes) {
+      if (node && typeof node === 'object' && hasJsonLdType(node, 'Product')) {
+        collectOffers(node.offers, offers);
+      }
+    }
+  }
+  
+  return offers;
+}
+
+function extractJsonLdAvailability(html) {
+  return extractJsonLdOffers(html)
+    .map(offer => offer.availability)
+    .filter(value => typeof value === 'string');
+}
+
+// <link itemprop="availability" href="https://schema.org/InStock"> and friends
+function extractMicrodataAvailability(html) {
+  const values = [];
+  const tagPattern = /<[a-z]+\b[^>]*\sitemprop\s*=\s*["']availability["'][^>]*>/gi;
+  
+  for (const match of html.matchAll(tagPattern)) {
+    const value = getTagAttribute(match[0], 'href') || getTagAttribute(match[0], 'content');
+    if (value) values.push(value);
+  }
+  
+  return values;
+}
+
+// <meta property="og:availability" content="instock"> or product:availability
+function extractOpenGraphAvailability(html) {
+  const values = [];
+  const tagPattern = /<meta\b[^>]*\sproperty\s*=\s*["'](?:og|product):availability["'][^>]*>/gi;
+  
+  for (const match of html.matchAll(tagPattern)) {
+    const value = getTagAttribute(match[0], 'content');
+    if (value) values.push(value);
+  }
+  
+  return values;
+}
+
+// Decide stock status from the page's structured data.
+// Sources are tried in order (JSON-LD, microdata, OpenGraph); the first one
+// present decides. Returns { status, source, availability } when that source
+// is unanimous, or { status: null, ... } when it's missing or ambiguous.
+function parseStructuredAvailability(html) {
+  const sources = [
+    ['json_ld', extractJsonLdAvailability],
+    ['microdata', extractMicrodataAvailability],
+    ['opengraph', extractOpenGraphAvailability]
+  ];
+  
+  for (const [source, extract] of sources) {
+    const availability = extract(html);
+    if (availability.length === 0) continue;
+    
+    const statuses = new Set(availability.map(value =>
+      STRUCTURED_AVAILABILITY[normalizeAvailability(value)] || 'ambiguous'
+    ));
+    
+    // Mixed offers (e.g. one variant in stock, another sold out) or values we
+    // can't map mean the page itself has to be checked
+    const status = statuses.size === 1 && !statuses.has('ambiguous') ? [...statuses][0] : null;
+    return { status, source, availability };
+  }
+  
+  return { status: null, source: null, availability: [] };
+}
+
+// Turn "$1,299.99", "1299.99" or 1299.99 into a number (null if there's no price)
+function parsePrice(value) {
+  if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+  if (typeof value !== 'string') return null;
+  
+  const match = value.replace(/,/g, '').match(/\d+(?:\.\d+)?/);
+  return match ? parseFloat(match[0]) : null;
+}
+
+// Current price from the same structured data sources, in the same order.
+// AggregateOffers only carry a range, so their lowPrice stands in.
+function parseStructuredPrice(html) {
+  for (const offer of extractJsonLdOffers(html)) {
+    const price = parsePrice(offer.price ?? offer.lowPrice);
+    if (price !== null) return price;
+  }
+  
+  const microdataPattern = /<[a-z]+\b[^>]*\sitemprop\s*=\s*["']price["'][^>]*>/gi;
+  for (const match of html.matchAll(microdataPattern)) {
+    const price = parsePrice(getTagAttribute(match[0], 'content'));
+    if (price !== null) return price;
+  }
+  
+  const openGraphPattern = /<meta\b[^>]*\sproperty\s*=\s*["'](?:og|product):price:amount["'][^>]*>/gi;
+  for (const match of html.matchAll(openGraphPattern)) {
+    const price = parsePrice(getTagAttribute(match[0], 'content'));
+    if (price !== null) return price;
+  }
+  
+  return null;
+}
+
+// Seller named on the first JSON-LD offer that has one (Offer.seller is an
+// Organization or Person), or null when the page doesn't say
+function parseStructuredSeller(html) {
+  for (const offer of extractJsonLdOffers(html)) {
+    const seller = typeof offer.seller === 'string' ? offer.seller : offer.seller?.name;
+    if (typeof seller === 'string' && seller.trim()) return seller.trim();
+  }
+  
+  return null;
+}
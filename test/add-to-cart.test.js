@@ -0,0 +1,75 @@
+// Adding to cart by hand (popup/monitor button or a notification's button)
+// obeys the product's max price, like the automatic add-to-cart does.
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadServiceWorker, settle, waitFor } = require('./extension-harness');
+
+const PRODUCT = {
+  name: 'Paldean Fates Tin',
+  url: 'https://www.target.com/p/paldean-fates-tin/-/A-1',
+  enabled: true,
+  maxPrice: 30
+};
+
+function loadWorkerAtPrice(price) {
+  const worker = loadServiceWorker({
+    sync: { monitoredProducts: [PRODUCT] },
+    local: { stockStatus: { [PRODUCT.url]: { inStock: true, status: 'in_stock', price } } }
+  });
+  
+  // Count tabs opened, i.e. add-to-cart attempts
+  worker.openedTabs = [];
+  const createTab = worker.chrome.tabs.create;
+  worker.chrome.tabs.create = async options => {
+    worker.openedTabs.push(options.url);
+    return createTab(options);
+  };
+  return worker;
+}
+
+test('the add-to-cart button refuses a price above the max price', async () => {
+  const worker = loadWorkerAtPrice(34.99);
+  await settle();
+  
+  const response = await worker.sendMessage({ action: 'addToCart', product: PRODUCT });
+  assert.strictEqual(response.success, false);
+  assert.strictEqual(response.priceTooHigh, true);
+  assert.strictEqual(response.error, 'Price $34.99 is above max price $30.00');
+  assert.deepStrictEqual(worker.openedTabs, []);
+});
+
+test('the add-to-cart button refuses when the price is unknown and there is a max price', async () => {
+  const worker = loadWorkerAtPrice(null);
+  await settle();
+  
+  const response = await worker.sendMessage({ action: 'addToCart', product: PRODUCT });
+  assert.strictEqual(response.priceTooHigh, true);
+  assert.strictEqual(response.error, 'Price unknown; max price is $30.00');
+});
+
+test('a notification\'s Add to Cart button refuses a price above the max price and says why in the inbox', async () => {
+  const worker = loadWorkerAtPrice(34.99);
+  await settle();
+  
+  for (const listener of worker.chrome.notifications.onButtonClicked.listeners) {
+    await listener(`in_stock|${PRODUCT.url}`, 0);
+  }
+  await settle();
+  
+  assert.deepStrictEqual(worker.openedTabs, []);
+  const { alerts } = await worker.sendMessage({ action: 'getAlerts' });
+  assert.strictEqual(alerts.length, 1);
+  assert.strictEqual(alerts[0].type, 'cart_failed');
+  assert.strictEqual(alerts[0].message, `${PRODUCT.name} was not added to cart: Price $34.99 is above max price $30.00`);
+});
+
+test('the add-to-cart button goes ahead at or below the max price', async () => {
+  const worker = loadWorkerAtPrice(29.99);
+  await settle();
+  
+  // The stub tab never loads, so only check that the attempt started
+  worker.sendMessage({ action: 'addToCart', product: PRODUCT });
+  await waitFor(() => worker.openedTabs.length, { what: 'the cart tab' });
+  assert.deepStrictEqual(worker.openedTabs, [PRODUCT.url]);
+});
@@ -0,0 +1,49 @@
+// The monitor's alert inbox filters (alert-inbox.js)
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./extension-harness');
+
+const { getAlertProducts, filterAlerts } = loadScripts(['alert-inbox.js']);
+
+// Values from the script's own context, compared as plain data
+const plain = value => JSON.parse(JSON.stringify(value));
+
+const TIN = 'https://www.target.com/p/paldean-fates-tin/-/A-1';
+const ETB = 'https://www.bestbuy.com/site/elite-trainer-box/6543210.p';
+
+// Newest first, as getAlerts returns them
+const ALERTS = [
+  { id: 5, type: 'in_stock', productUrl: TIN, productName: 'Paldean Fates Tin', seen: false },
+  { id: 4, type: 'new_listing', productUrl: null, productName: null, seen: false },
+  { id: 3, type: 'cart_failed', productUrl: ETB, productName: 'Elite Trainer Box', seen: true },
+  { id: 2, type: 'in_stock', productUrl: ETB, productName: 'Elite Trainer Box', seen: true },
+  { id: 1, type: 'price_drop', productUrl: TIN, productName: 'Paldean Fates Tin', seen: false }
+];
+
+const ids = alerts => alerts.map(alert => alert.id);
+
+test('no filters keeps every alert in order', () => {
+  assert.deepStrictEqual(ids(filterAlerts(ALERTS)), [5, 4, 3, 2, 1]);
+  assert.deepStrictEqual(ids(filterAlerts(ALERTS, { type: 'all', productUrl: 'all', unseenOnly: false })), [5, 4, 3, 2, 1]);
+});
+
+test('alerts can be filtered by type, product and unseen', () => {
+  assert.deepStrictEqual(ids(filterAlerts(ALERTS, { type: 'in_stock' })), [5, 2]);
+  assert.deepStrictEqual(ids(filterAlerts(ALERTS, { productUrl: ETB })), [3, 2]);
+  assert.deepStrictEqual(ids(filterAlerts(ALERTS, { unseenOnly: true })), [5, 4, 1]);
+});
+
+test('filters combine', () => {
+  assert.deepStrictEqual(ids(filterAlerts(ALERTS, { type: 'in_stock', productUrl: TIN })), [5]);
+  assert.deepStrictEqual(ids(filterAlerts(ALERTS, { productUrl: ETB, unseenOnly: true })), []);
+  assert.deepStrictEqual(ids(filterAlerts(ALERTS, { type: 'price_drop', productUrl: ETB })), []);
+});
+
+test('the product filter lists each product with alerts once', () => {
+  assert.deepStrictEqual(plain(getAlertProducts(ALERTS)), [
+    [TIN, 'Paldean Fates Tin'],
+    [ETB, 'Elite Trainer Box']
+  ]);
+  assert.deepStrictEqual(plain(getAlertProducts([])), []);
+});
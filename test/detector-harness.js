@@ -0,0 +1,153 @@
+// ======== DETECTOR TEST HARNESS ========
+// Runs the page-script detectors from background.js against saved HTML pages
+// in jsdom, the way chrome.scripting.executeScript runs them in a real tab:
+// the function's source is injected into the page and called with its args.
+//
+// Adding a captured page:
+//   1. On the live product page, run copy(document.documentElement.outerHTML)
+//      in devtools and paste it into test/fixtures/<retailer>/<case>.html.
+//      The directory picks the detector (see FIXTURE_DETECTORS).
+//   2. Run `node test/detector-harness.js test/fixtures/<retailer>/<case>.html`
+//      to see what the detector makes of it.
+//   3. Put the fields that matter in a comment on the file's first line:
+//      <!-- fixture: {"expect": {"inStock": false, "reason": "out_of_stock_text"}} -->
+//      Add "rules": [...] to run a product's detection rules after the detector,
+//      as the extension does (see evaluateDetectionRules in background.js).
+//
+// Page snapshots downloaded from the monitor's Diagnostics panel already carry
+// this header (with what the detector decided at the time); correct "expect"
+// if the snapshot shows a false alert, then drop the file into the directory.
+
+const fs = require('fs');
+const path = require('path');
+const { JSDOM } = require('jsdom');
+
+const BACKGROUND_PATH = path.join(__dirname, '..', 'background.js');
+const FIXTURES_DIR = path.join(__dirname, 'fixtures');
+
+// Fixture directory -> detector the matching retailer adapter uses
+const FIXTURE_DETECTORS = {
+  target: 'simpleTargetStockCheck',
+  bestbuy: 'checkButtonDisabledStateBestBuy',
+  generic: 'checkButtonDisabledStateGeneric'
+};
+
+const FIXTURE_HEADER_PATTERN = /^\s*<!--\s*fixture:\s*([\s\S]*?)-->/;
+
+// Pull a top-level function's source out of background.js. Page functions
+// are self-contained (executeScript serializes them), so the source alone runs.
+function getPageFunctionSource(name) {
+  const source = fs.readFileSync(BACKGROUND_PATH, 'utf8');
+  const start = source.indexOf(`\nfunction ${name}(`);
+  if (start === -1) {
+    throw new Error(`No function named ${name} in background.js`);
+  }
+  
+  const end = source.indexOf('\n}\n', start);
+  return source.slice(start + 1, end + 2);
+}
+
+// jsdom doesn't lay pages out, so stand in for the two layout APIs the
+// detectors rely on: innerText falls back to textContent, and offsetParent
+// is null only for elements hidden with display:none or the hidden attribute.
+function installLayoutShims(window) {
+  Object.defineProperty(window.HTMLElement.prototype, 'innerText', {
+    configurable: true,
+    get() {
+      return this.textContent;
+    }
+  });
+  
+  Object.defineProperty(window.HTMLElement.prototype, 'offsetParent', {
+    configurable: true,
+    get() {
+      for (let element = this; element; element = element.parentElement) {
+        if (element.hidden || window.getComputedStyle(element).display === 'none') {
+          return null;
+        }
+      }
+      return this.ownerDocument.body;
+    }
+  });
+}
+
+// Run a detector against a page. The result goes through JSON like an
+// executeScript result would, so it comes back as plain objects. With rules,
+// evaluateDetectionRules runs next in the same page and applyDetectionRules
+// combines the two, the way the extension's checkers do.
+function runDetector(name, html, args = [], rules = []) {
+  // Page scripts in captured HTML never run; only the injected detector does
+  const dom = new JSDOM(html, { runScripts: 'outside-only', pretendToBeVisual: true });
+  installLayoutShims(dom.window);
+  
+  const runInPage = (functionName, functionArgs) => {
+    const call = `(${getPageFunctionSource(functionName)})(...${JSON.stringify(functionArgs)})`;
+    return JSON.parse(JSON.stringify(dom.window.eval(call) ?? null));
+  };
+  
+  try {
+    const result = runInPage(name, args);
+    if (!rules || rules.length === 0) return result;
+    
+    const ruleOutcome = runInPage('evaluateDetectionRules', [rules]);
+    return runInPage('applyDetectionRules', [result, ruleOutcome]);
+  } finally {
+    dom.window.close();
+  }
+}
+
+// Read a fixture file and its header comment
+function readFixture(file) {
+  const html = fs.readFileSync(file, 'utf8');
+  const headerMatch = html.match(FIXTURE_HEADER_PATTERN);
+  const header = headerMatch ? JSON.parse(headerMatch[1]) : {};
+  const retailer = path.basename(path.dirname(file));
+  
+  return {
+    file,
+    name: path.basename(file, '.html'),
+    retailer,
+    detector: header.detector || FIXTURE_DETECTORS[retailer],
+    args: header.args || [],
+    rules: header.rules || [],
+    expect: header.expect || null,
+    html
+  };
+}
+
+// Every fixture under test/fixtures, grouped by retailer directory
+function listFixtures() {
+  return fs.readdirSync(FIXTURES_DIR, { withFileTypes: true })
+    .filter(entry => entry.isDirectory())
+    .flatMap(entry => fs.readdirSync(path.join(FIXTURES_DIR, entry.name))
+      .filter(file => file.endsWith('.html'))
+      .sort()
+      .map(file => readFixture(path.join(FIXTURES_DIR, entry.name, file))));
+}
+
+module.exports = {
+  FIXTURE_DETECTORS,
+  getPageFunctionSource,
+  runDetector,
+  readFixture,
+  listFixtures
+};
+
+// CLI: print what a detector returns for one page.
+// node test/detector-harness.js <page.html> [detectorName]
+if (require.main === module) {
+  const [file, detectorName] = process.argv.slice(2);
+  if (!file) {
+    console.error('Usage: node test/detector-harness.js <page.html> [detectorName]');
+    process.exit(1);
+  }
+  
+  const fixture = readFixture(path.resolve(file));
+  const detector = detectorName || fixture.detector;
+  if (!detector) {
+    console.error(`Can't tell which detector to run for ${file}; pass one of: ${Object.values(FIXTURE_DETECTORS).join(', ')}`);
+    process.exit(1);
+  }
+  
+  console.log(JSON.stringify(runDetector(detector, fixture.html, fixture.args, fixture.rules), null, 2));
+}
@@ -0,0 +1,20 @@
+// Runs every saved page under test/fixtures through its detector and checks
+// the fields listed in the fixture's header comment (see detector-harness.js).
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { listFixtures, runDetector } = require('./detector-harness');
+
+for (const fixture of listFixtures()) {
+  test(`${fixture.retailer}/${fixture.name}`, () => {
+    assert.ok(fixture.expect, `${fixture.file} has no "expect" in its fixture comment`);
+    
+    const result = runDetector(fixture.detector, fixture.html, fixture.args, fixture.rules);
+    assert.notStrictEqual(result.reason, 'error', `detector threw: ${result.error}`);
+    
+    // Only the listed fields are compared, so debug output can change freely
+    for (const [field, expected] of Object.entries(fixture.expect)) {
+      assert.deepStrictEqual(result[field], expected, `${field} differs`);
+    }
+  });
+}
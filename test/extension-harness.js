@@ -0,0 +1,351 @@
+// ======== EXTENSION TEST HARNESS ========
+// Loads the extension's classic scripts into Node for unit tests, the way
+// Chrome loads them:
+//   loadScripts        - plain scripts (e.g. structured-data.js) in a vm context
+//   loadServiceWorker  - background.js and everything it importScripts(), with
+//                        a stand-in chrome API and storage
+//   loadExtensionPage  - popup.html / monitor.html in jsdom, with their
+//                        chrome.runtime messages routed to a loaded service worker
+//
+// Only the chrome APIs the scripts touch are stubbed. Tabs and page scripts do
+// nothing (executeScript resolves to no results), each service worker gets its
+// own in-memory IndexedDB, and timers are unref'd so a test ends when its
+// assertions do.
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { JSDOM } = require('jsdom');
+const { IDBFactory, IDBKeyRange } = require('fake-indexeddb');
+
+const ROOT_DIR = path.join(__dirname, '..');
+
+function createEvent() {
+  const listeners = [];
+  return {
+    listeners,
+    addListener: listener => listeners.push(listener),
+    removeListener: listener => {
+      const index = listeners.indexOf(listener);
+      if (index >= 0) listeners.splice(index, 1);
+    },
+    hasListener: listener => listeners.includes(listener)
+  };
+}
+
+// A chrome.storage area: promise or callback style, values copied like the real one
+function createStorageArea(initial = {}) {
+  const data = JSON.parse(JSON.stringify(initial));
+  const copy = value => (value === undefined ? undefined : JSON.parse(JSON.stringify(value)));
+  
+  const get = keys => {
+    if (keys === null || keys === undefined) return copy(data);
+    
+    const defaults = typeof keys === 'object' && !Array.isArray(keys) ? keys : {};
+    const names = typeof keys === 'string' ? [keys] : (Array.isArray(keys) ? keys : Object.keys(keys));
+    const result = {};
+    for (const name of names) {
+      if (name in data) {
+        result[name] = copy(data[name]);
+      } else if (name in defaults) {
+        result[name] = defaults[name];
+      }
+    }
+    return result;
+  };
+  
+  const withCallback = (value, callback) => {
+    if (callback) {
+      callback(value);
+      return undefined;
+    }
+    return Promise.resolve(value);
+  };
+  
+  return {
+    data,
+    get: (keys, callback) => withCallback(get(keys), callback),
+    set: (items, callback) => {
+      Object.assign(data, copy(items));
+      return withCallback(undefined, callback);
+    },
+    remove: (keys, callback) => {
+      [].concat(keys).forEach(key => delete data[key]);
+      return withCallback(undefined, callback);
+    },
+    clear: callback => {
+      Object.keys(data).forEach(key => delete data[key]);
+      return withCallback(undefined, callback);
+    }
+  };
+}
+
+// The parts of the chrome API the extension uses, doing as little as possible
+function createChromeStub({ sync = {}, local = {}, session = {} } = {}) {
+  const alarms = new Map();
+  
+  return {
+    runtime: {
+      id: 'test-extension',
+      lastError: null,
+      onStartup: createEvent(),
+      onInstalled: createEvent(),
+      onMessage: createEvent(),
+      onConnect: createEvent(),
+      getURL: file => `chrome-extension://test-extension/${file}`,
+      getContexts: async () => [],
+      sendMessage: async () => undefined
+    },
+    storage: {
+      sync: createStorageArea(sync),
+      local: createStorageArea(local),
+      session: createStorageArea(session),
+      onChanged: createEvent()
+    },
+    alarms: {
+      onAlarm: createEvent(),
+      create: async (name, info) => {
+        alarms.set(name, { name, scheduledTime: info.when || Date.now(), periodInMinutes: info.periodInMinutes });
+      },
+      get: async name => alarms.get(name),
+      getAll: async () => Array.from(alarms.values()),
+      clear: async name => alarms.delete(name),
+      clearAll: async () => alarms.clear()
+    },
+    tabs: {
+      onUpdated: createEvent(),
+      onRemoved: createEvent(),
+      create: async options => ({ id: 1, ...options }),
+      remove: async () => {},
+      query: async () => []
+    },
+    scripting: {
+      executeScript: async () => []
+    },
+    cookies: {
+      get: async () => null,
+      set: async details => details,
+      remove: async () => null
+    },
+    notifications: {
+      onClicked: createEvent(),
+      onButtonClicked: createEvent(),
+      onClosed: createEvent(),
+      create: (id, options, callback) => callback && callback(id),
+      clear: (id, callback) => callback && callback(true)
+    },
+    permissions: {
+      request: (permissions, callback) => callback(true),
+      contains: (permissions, callback) => callback(true)
+    },
+    action: {
+      setBadgeText: async () => {},
+      setBadgeBackgroundColor: async () => {},
+      setTitle: async () => {}
+    },
+    offscreen: {
+      createDocument: async () => {},
+      closeDocument: async () => {}
+    },
+    tts: {
+      speak: () => {}
+    }
+  };
+}
+
+// Timers that never keep the test process alive
+function createUnrefTimers() {
+  const unref = timer => {
+    if (timer && typeof timer.unref === 'function') timer.unref();
+    return timer;
+  };
+  
+  return {
+    setTimeout: (callback, ms, ...args) => unref(setTimeout(callback, ms, ...args)),
+    setInterval: (callback, ms, ...args) => unref(setInterval(callback, ms, ...args)),
+    clearTimeout,
+    clearInterval
+  };
+}
+
+const quietConsole = {
+  log: () => {},
+  info: () => {},
+  warn: () => {},
+  error: () => {},
+  debug: () => {}
+};
+
+// Run classic scripts (paths relative to the repo root) in one fresh context,
+// as if they were loaded by <script> tags or importScripts(). Top-level
+// functions and vars become properties of the returned context; use
+// context.evaluate(code) for top-level consts and lets.
+function loadScripts(files, globals = {}) {
+  const context = vm.createContext({
+    console: quietConsole,
+    URL,
+    URLSearchParams,
+    TextEncoder,
+    TextDecoder,
+    AbortController,
+    Blob,
+    Response,
+    structuredClone,
+    crypto: globalThis.crypto,
+    fetch: async () => {
+      throw new Error('No network in tests');
+    },
+    ...createUnrefTimers(),
+    ...globals
+  });
+  
+  context.self = context;
+  context.importScripts = (...scripts) => scripts.forEach(runScript);
+  context.evaluate = code => vm.runInContext(code, context);
+  
+  function runScript(file) {
+    const filename = path.join(ROOT_DIR, file);
+    vm.runInContext(fs.readFileSync(filename, 'utf8'), context, { filename });
+  }
+  
+  files.forEach(runScript);
+  return context;
+}
+
+// Load background.js with the given storage contents. sendMessage(message)
+// resolves to the response, like chrome.runtime.sendMessage from a page.
+function loadServiceWorker(storage = {}) {
+  const chrome = createChromeStub(storage);
+  const worker = loadScripts(['background.js'], { chrome, indexedDB: new IDBFactory(), IDBKeyRange });
+  
+  worker.chrome = chrome;
+  worker.sendMessage = message => new Promise(resolve => {
+    for (const listener of chrome.runtime.onMessage.listeners) {
+      listener(message, { id: chrome.runtime.id }, resolve);
+    }
+  });
+  
+  return worker;
+}
+
+// Two connected ends of a chrome.runtime.Port. Messages arrive asynchronously
+// and as copies, the way they cross between extension contexts.
+function createPortPair(name, copyForPage) {
+  const createPort = () => ({
+    name,
+    onMessage: createEvent(),
+    onDisconnect: createEvent(),
+    connected: true
+  });
+  const pagePort = createPort();
+  const workerPort = createPort();
+  
+  const link = (from, to, copy) => {
+    from.postMessage = message => {
+      const delivered = copy(message);
+      setTimeout(() => {
+        if (to.connected) to.onMessage.listeners.forEach(listener => listener(delivered, to));
+      }, 0);
+    };
+    from.disconnect = () => {
+      if (!from.connected) return;
+      from.connected = false;
+      to.connected = false;
+      to.onDisconnect.listeners.forEach(listener => listener(to));
+    };
+  };
+  link(pagePort, workerPort, message => JSON.parse(JSON.stringify(message)));
+  link(workerPort, pagePort, copyForPage);
+  
+  return { pagePort, workerPort };
+}
+
+// Open an extension page in jsdom: its HTML, site-permissions.js and its own
+// script, with chrome.runtime.sendMessage and connect answered by the given
+// service worker. window.alert and window.confirm are recorded in page.dialogs.
+function loadExtensionPage(htmlFile, worker, { tabs = [] } = {}) {
+  const html = fs.readFileSync(path.join(ROOT_DIR, htmlFile), 'utf8');
+  const scripts = Array.from(html.matchAll(/<script src="([^"]+)"><\/script>/g), match => match[1]);
+  const dom = new JSDOM(html.replace(/<script src="[^"]+"><\/script>/g, ''), {
+    runScripts: 'outside-only',
+    pretendToBeVisual: true,
+    url: `chrome-extension://test-extension/${htmlFile}`
+  });
+  const window = dom.window;
+  const closeWindow = window.close.bind(window);
+  const dialogs = [];
+  const ports = [];
+  const copyForPage = value => (value === undefined ? undefined : window.JSON.parse(JSON.stringify(value)));
+  
+  window.alert = message => dialogs.push({ type: 'alert', message });
+  window.confirm = message => {
+    dialogs.push({ type: 'confirm', message });
+    return true;
+  };
+  window.close = () => {};
+  window.console = quietConsole;
+  
+  window.chrome = {
+    ...worker.chrome,
+    runtime: {
+      ...worker.chrome.runtime,
+      lastError: null,
+      connect: ({ name = '' } = {}) => {
+        const { pagePort, workerPort } = createPortPair(name, copyForPage);
+        ports.push(pagePort);
+        worker.chrome.runtime.onConnect.listeners.forEach(listener => listener(workerPort));
+        return pagePort;
+      },
+      sendMessage: (message, callback) => {
+        const response = worker.sendMessage(JSON.parse(JSON.stringify(message))).then(copyForPage);
+        if (callback) {
+          response.then(callback);
+          return undefined;
+        }
+        return response;
+      }
+    },
+    tabs: {
+      ...worker.chrome.tabs,
+      query: (queryInfo, callback) => (callback ? callback(tabs) : Promise.resolve(tabs))
+    }
+  };
+  
+  // jsdom fires DOMContentLoaded on its own once this returns
+  for (const script of scripts) {
+    window.eval(fs.readFileSync(path.join(ROOT_DIR, script), 'utf8'));
+  }
+  
+  const close = () => {
+    ports.forEach(port => port.disconnect());
+    closeWindow();
+  };
+  
+  return { window, document: window.document, dialogs, close };
+}
+
+// Let pending promise callbacks and zero-delay timers run
+function settle(ms = 20) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Poll until check() returns something truthy and resolve to it. Pages render
+// after a few message round trips, which can take a while on a busy machine.
+async function waitFor(check, { timeoutMs = 5000, what = 'condition' } = {}) {
+  const deadline = Date.now() + timeoutMs;
+  for (;;) {
+    const value = check();
+    if (value) return value;
+    if (Date.now() > deadline) throw new Error(`Timed out waiting for ${what}`);
+    await settle();
+  }
+}
+
+module.exports = {
+  createChromeStub,
+  loadScripts,
+  loadServiceWorker,
+  loadExtensionPage,
+  settle,
+  waitFor
+};
@@ -0,0 +1,94 @@
+// Webhook templates and channel validation from notification-channels.js
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./extension-harness');
+
+const channels = loadScripts(['notification-channels.js']);
+const { renderWebhookTemplate, validateNotificationChannel } = channels;
+const WEBHOOK_TEMPLATE_PRESETS = channels.evaluate('WEBHOOK_TEMPLATE_PRESETS');
+const WEBHOOK_SAMPLE_FIELDS = channels.evaluate('WEBHOOK_SAMPLE_FIELDS');
+
+// Values from the script's own context, compared as plain data
+const plain = value => JSON.parse(JSON.stringify(value));
+
+const VALID_CHANNEL = {
+  name: 'Discord',
+  url: 'https://discord.example.com/api/webhooks/1',
+  events: ['in_stock'],
+  template: WEBHOOK_TEMPLATE_PRESETS.discord
+};
+
+test('renderWebhookTemplate fills placeholders with JSON-escaped values', () => {
+  const body = renderWebhookTemplate('{"text": "{{ title }}: {{message}}", "url": "{{url}}"}', {
+    title: 'Restock "151" UPC',
+    message: 'Back in stock\nat Target \\ online',
+    url: 'https://www.target.com/p/a'
+  });
+  
+  assert.deepStrictEqual(JSON.parse(body), {
+    text: 'Restock "151" UPC: Back in stock\nat Target \\ online',
+    url: 'https://www.target.com/p/a'
+  });
+});
+
+test('renderWebhookTemplate leaves missing fields blank', () => {
+  const body = renderWebhookTemplate('{"price": "{{price}}", "seller": "{{seller}}"}', { price: 49.99 });
+  assert.deepStrictEqual(JSON.parse(body), { price: '49.99', seller: '' });
+});
+
+test('renderWebhookTemplate throws when the result is not JSON', () => {
+  assert.throws(() => renderWebhookTemplate('{"price": {{price}}}', { price: '' }));
+});
+
+test('every preset template renders to JSON', () => {
+  for (const [preset, template] of Object.entries(WEBHOOK_TEMPLATE_PRESETS)) {
+    assert.doesNotThrow(() => JSON.parse(renderWebhookTemplate(template, WEBHOOK_SAMPLE_FIELDS)), preset);
+  }
+});
+
+test('validateNotificationChannel normalises a valid channel', () => {
+  const { channel, error } = validateNotificationChannel({
+    ...VALID_CHANNEL,
+    id: 'channel-1',
+    name: '  Discord  ',
+    url: 'HTTPS://Discord.Example.com/api/webhooks/1',
+    events: ['in_stock', 'not_an_event', 'price_drop']
+  });
+  
+  assert.strictEqual(error, undefined);
+  assert.deepStrictEqual(plain(channel), {
+    id: 'channel-1',
+    name: 'Discord',
+    url: 'https://discord.example.com/api/webhooks/1',
+    enabled: true,
+    events: ['in_stock', 'price_drop'],
+    template: WEBHOOK_TEMPLATE_PRESETS.discord
+  });
+});
+
+test('validateNotificationChannel gives new channels an id and the generic template', () => {
+  const { channel } = validateNotificationChannel({ ...VALID_CHANNEL, template: '  ', enabled: false });
+  
+  assert.match(channel.id, /^[0-9a-f-]{36}$/);
+  assert.strictEqual(channel.template, WEBHOOK_TEMPLATE_PRESETS.generic);
+  assert.strictEqual(channel.enabled, false);
+});
+
+test('validateNotificationChannel rejects bad channels with a message for the user', () => {
+  const cases = [
+    [null, 'Invalid channel data'],
+    [{ ...VALID_CHANNEL, name: ' ' }, 'Give the channel a name'],
+    [{ ...VALID_CHANNEL, url: 'discord webhook' }, '"discord webhook" is not a valid URL'],
+    [{ ...VALID_CHANNEL, url: 'ftp://example.com/hook' }, 'Webhook URLs must start with https:// or http://'],
+    [{ ...VALID_CHANNEL, events: ['not_an_event'] }, 'Pick at least one alert type for the channel'],
+    [{ ...VALID_CHANNEL, template: '{"text": "{{product}}"}' }, 'Unknown placeholder {{product}}']
+  ];
+  
+  for (const [channel, expected] of cases) {
+    assert.strictEqual(validateNotificationChannel(channel).error, expected);
+  }
+  
+  const { error } = validateNotificationChannel({ ...VALID_CHANNEL, template: '{"text": {{title}}}' });
+  assert.match(error, /^Template isn't valid JSON: /);
+});
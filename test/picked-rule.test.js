@@ -0,0 +1,42 @@
+// A rule built with the element picker on a shop that isn't monitored yet is
+// held by the service worker, filled into the popup's add-product form, and
+// saved with the product when it's added.
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadServiceWorker, loadExtensionPage, waitFor } = require('./extension-harness');
+
+const PAGE_URL = 'https://shop.example.com/products/paldean-fates-tin';
+const RULE = { type: 'text_present', text: 'Sold out', result: 'out_of_stock' };
+
+test('a rule picked on a generic page is attached when the product is added from the popup', async (t) => {
+  const worker = loadServiceWorker();
+  
+  const saved = await worker.sendMessage({
+    action: 'savePickedRule',
+    url: PAGE_URL,
+    title: 'Paldean Fates Tin',
+    rule: RULE
+  });
+  assert.deepStrictEqual({ ...saved }, { success: true, pending: true });
+  
+  const popup = loadExtensionPage('popup.html', worker);
+  t.after(popup.close);
+  
+  const document = popup.document;
+  await waitFor(() => document.querySelector('.rule-row'), { what: 'the picked rule in the form' });
+  assert.strictEqual(document.getElementById('productUrl').value, PAGE_URL);
+  assert.strictEqual(document.getElementById('productName').value, 'Paldean Fates Tin');
+  
+  document.getElementById('addProduct').click();
+  const product = await waitFor(
+    () => worker.evaluate('monitoredProducts').find(entry => entry.url === PAGE_URL),
+    { what: 'the product to be added' }
+  );
+  assert.deepStrictEqual(popup.dialogs, []);
+  assert.deepStrictEqual(JSON.parse(JSON.stringify(product.detectionRules)), [RULE]);
+  
+  // The picked rule is handed over once
+  const { pickedRule } = await worker.sendMessage({ action: 'takePickedRule' });
+  assert.strictEqual(pickedRule, null);
+});
@@ -0,0 +1,52 @@
+// Product names and URLs can come from scraped listings (keyword auto-add), so
+// the popup and monitor must show them as text, not markup, wherever they appear.
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadServiceWorker, loadExtensionPage, waitFor } = require('./extension-harness');
+
+const SCRAPED_PRODUCT = {
+  name: '<img src="x" onerror="alert(1)">Paldean Fates Tin',
+  url: 'https://shop.example.com/products/tin?ref="><b>bold</b>',
+  enabled: true
+};
+
+for (const page of ['popup.html', 'monitor.html']) {
+  test(`${page} shows scraped product names and URLs as text`, async (t) => {
+    const worker = loadServiceWorker({ sync: { monitoredProducts: [SCRAPED_PRODUCT] } });
+    const view = loadExtensionPage(page, worker);
+    t.after(view.close);
+    
+    const details = await waitFor(() => view.document.querySelector('.product-details'), { what: 'the product card' });
+    const card = details.parentElement;
+    assert.strictEqual(card.querySelectorAll('img, b').length, 0);
+    assert.strictEqual(card.querySelector('.product-name').textContent, SCRAPED_PRODUCT.name);
+    assert.strictEqual(card.querySelector('.product-url').textContent, SCRAPED_PRODUCT.url);
+    
+    // Buttons find their product by data-url, so it has to survive intact
+    for (const button of card.querySelectorAll('button[data-url]')) {
+      assert.strictEqual(button.getAttribute('data-url'), SCRAPED_PRODUCT.url);
+    }
+  });
+}
+
+test('monitor.html shows scraped product names in restock analytics as text', async (t) => {
+  const worker = loadServiceWorker({ sync: { monitoredProducts: [SCRAPED_PRODUCT] } });
+  worker.product = SCRAPED_PRODUCT;
+  await worker.evaluate("recordCheckEvent(product, { status: 'in_stock' }, { retailer: 'generic' })");
+  
+  const view = loadExtensionPage('monitor.html', worker);
+  t.after(view.close);
+  
+  const scope = view.document.getElementById('analyticsScope');
+  const productOption = await waitFor(
+    () => Array.from(scope.options).find(option => option.value.startsWith('product:')),
+    { what: 'the analytics product option' }
+  );
+  assert.strictEqual(productOption.value, `product:${SCRAPED_PRODUCT.url}`);
+  assert.strictEqual(productOption.textContent, `Product: ${SCRAPED_PRODUCT.name}`);
+  
+  const table = view.document.getElementById('analyticsProducts');
+  assert.strictEqual(table.querySelectorAll('img, b').length, 0);
+  assert.strictEqual(table.querySelector('td').textContent, SCRAPED_PRODUCT.name);
+});
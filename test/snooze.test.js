@@ -0,0 +1,40 @@
+// The monitor's product cards snooze a product for the length picked next to
+// the Snooze button; the Snooze Duration setting is only the preselected choice.
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadServiceWorker, loadExtensionPage, waitFor } = require('./extension-harness');
+
+const PRODUCT = {
+  name: 'Paldean Fates Tin',
+  url: 'https://www.target.com/p/paldean-fates-tin/-/A-1',
+  enabled: true
+};
+
+test('the monitor snoozes a product for the picked length and can end it early', async (t) => {
+  const worker = loadServiceWorker({
+    sync: { monitoredProducts: [PRODUCT], snoozeMinutes: 30 },
+    local: { stockStatus: { [PRODUCT.url]: { inStock: false, status: 'out_of_stock' } } }
+  });
+  const view = loadExtensionPage('monitor.html', worker);
+  t.after(view.close);
+  
+  const document = view.document;
+  const minutesSelect = await waitFor(() => document.querySelector('.snooze-minutes'), { what: 'the snooze picker' });
+  assert.strictEqual(minutesSelect.value, '30');
+  
+  minutesSelect.value = '240';
+  const before = Date.now();
+  document.querySelector('.snooze-btn').click();
+  
+  const snoozedUntil = await waitFor(() => worker.evaluate('stockStatus')[PRODUCT.url].snoozedUntil, { what: 'the snooze' });
+  assert.ok(snoozedUntil >= before + 240 * 60 * 1000 && snoozedUntil <= Date.now() + 240 * 60 * 1000);
+  
+  // The card now offers to end the snooze instead
+  const unsnoozeButton = await waitFor(() => document.querySelector('.unsnooze-btn'), { what: 'the Unsnooze button' });
+  assert.strictEqual(document.querySelector('.snooze-btn'), null);
+  unsnoozeButton.click();
+  
+  await waitFor(() => document.querySelector('.snooze-btn'), { what: 'the Snooze button to come back' });
+  assert.strictEqual(worker.evaluate('stockStatus')[PRODUCT.url].snoozedUntil, null);
+});
@@ -0,0 +1,131 @@
+// Availability, price and seller from a page's structured data (structured-data.js)
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./extension-harness');
+
+const {
+  parseStructuredAvailability,
+  parseStructuredPrice,
+  parseStructuredSeller,
+  normalizeAvailability,
+  parsePrice
+} = loadScripts(['structured-data.js']);
+
+// Values from the script's own context, compared as plain data
+const plain = value => JSON.parse(JSON.stringify(value));
+
+function jsonLd(data) {
+  return `<script type="application/ld+json">${JSON.stringify(data)}</script>`;
+}
+
+function product(offers, extra = {}) {
+  return { '@context': 'https://schema.org', '@type': 'Product', name: 'Elite Trainer Box', offers, ...extra };
+}
+
+test('normalizeAvailability accepts schema.org URLs, bare names and loose text', () => {
+  assert.strictEqual(normalizeAvailability('https://schema.org/InStock'), 'instock');
+  assert.strictEqual(normalizeAvailability('http://schema.org/OutOfStock'), 'outofstock');
+  assert.strictEqual(normalizeAvailability(' in stock '), 'instock');
+  assert.strictEqual(normalizeAvailability(null), '');
+});
+
+test('JSON-LD availability decides the status', () => {
+  const html = jsonLd(product({ '@type': 'Offer', availability: 'https://schema.org/InStock', price: '49.99' }));
+  assert.deepStrictEqual(plain(parseStructuredAvailability(html)), {
+    status: 'in_stock',
+    source: 'json_ld',
+    availability: ['https://schema.org/InStock']
+  });
+});
+
+test('JSON-LD in an @graph and AggregateOffer nesting is found', () => {
+  const html = jsonLd({
+    '@context': 'https://schema.org',
+    '@graph': [
+      { '@type': 'WebPage', name: 'Shop' },
+      product({
+        '@type': 'AggregateOffer',
+        lowPrice: '39.99',
+        offers: [
+          { '@type': 'Offer', availability: 'SoldOut' },
+          { '@type': 'Offer', availability: 'https://schema.org/OutOfStock' }
+        ]
+      }, { '@type': ['Product', 'Thing'] })
+    ]
+  });
+  
+  const result = parseStructuredAvailability(html);
+  assert.strictEqual(result.status, 'out_of_stock');
+  assert.strictEqual(parseStructuredPrice(html), 39.99);
+});
+
+test('mixed or unknown availability is left for the page check', () => {
+  const mixed = jsonLd(product([
+    { '@type': 'Offer', availability: 'https://schema.org/InStock' },
+    { '@type': 'Offer', availability: 'https://schema.org/OutOfStock' }
+  ]));
+  const unknown = jsonLd(product({ '@type': 'Offer', availability: 'https://schema.org/BackOrder' }));
+  
+  assert.strictEqual(parseStructuredAvailability(mixed).status, null);
+  assert.strictEqual(parseStructuredAvailability(unknown).status, null);
+  assert.strictEqual(parseStructuredAvailability(unknown).source, 'json_ld');
+});
+
+test('only top-level products count, and malformed blocks are skipped', () => {
+  const html = [
+    '<script type="application/ld+json">{ not json </script>',
+    jsonLd({ '@type': 'ItemList', itemListElement: [product({ availability: 'InStock' })] }),
+    '<link itemprop="availability" href="https://schema.org/OutOfStock">'
+  ].join('\n');
+  
+  assert.deepStrictEqual(plain(parseStructuredAvailability(html)), {
+    status: 'out_of_stock',
+    source: 'microdata',
+    availability: ['https://schema.org/OutOfStock']
+  });
+});
+
+test('microdata and OpenGraph are used when there is no JSON-LD', () => {
+  const microdata = `<div itemscope itemtype="https://schema.org/Product">
+    <meta itemprop="price" content="1,299.99">
+    <meta itemprop='availability' content='https://schema.org/PreOrder'>
+  </div>`;
+  const openGraph = `<meta property="og:availability" content="instock">
+    <meta property="product:price:amount" content="24.50">`;
+  
+  assert.strictEqual(parseStructuredAvailability(microdata).status, 'in_stock');
+  assert.strictEqual(parseStructuredPrice(microdata), 1299.99);
+  assert.deepStrictEqual(plain(parseStructuredAvailability(openGraph)), {
+    status: 'in_stock',
+    source: 'opengraph',
+    availability: ['instock']
+  });
+  assert.strictEqual(parseStructuredPrice(openGraph), 24.5);
+});
+
+test('a page without structured data has no status, price or seller', () => {
+  const html = '<html><body><button>Add to cart</button> $49.99</body></html>';
+  
+  assert.deepStrictEqual(plain(parseStructuredAvailability(html)), { status: null, source: null, availability: [] });
+  assert.strictEqual(parseStructuredPrice(html), null);
+  assert.strictEqual(parseStructuredSeller(html), null);
+});
+
+test('the seller comes from the first offer that names one', () => {
+  const html = jsonLd(product([
+    { '@type': 'Offer', availability: 'InStock' },
+    { '@type': 'Offer', availability: 'InStock', seller: { '@type': 'Organization', name: ' Cardhouse Collectibles ' } }
+  ]));
+  
+  assert.strictEqual(parseStructuredSeller(html), 'Cardhouse Collectibles');
+  assert.strictEqual(parseStructuredSeller(jsonLd(product({ seller: 'Target' }))), 'Target');
+});
+
+test('parsePrice reads numbers and price text', () => {
+  assert.strictEqual(parsePrice('$1,299.99'), 1299.99);
+  assert.strictEqual(parsePrice(49.99), 49.99);
+  assert.strictEqual(parsePrice(NaN), null);
+  assert.strictEqual(parsePrice('Free'), null);
+  assert.strictEqual(parsePrice(undefined), null);
+});
@@ -0,0 +1,108 @@
+// Watchlist CSV export and import (watchlist-csv.js), checked against the
+// background's validation so a round trip keeps every product setting
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts, loadServiceWorker } = require('./extension-harness');
+
+const csv = loadScripts(['watchlist-csv.js']);
+const worker = loadServiceWorker();
+
+// Values from the scripts' own contexts, compared as plain data
+const plain = value => JSON.parse(JSON.stringify(value));
+
+// Import the way the monitor does: parse the file, then validate each product
+function importProducts(name, text) {
+  return plain(csv.parseWatchlistFile(name, text).map(raw =>
+    worker.normalizeWatchlistProduct(raw, { allowAutoCheckout: true })));
+}
+
+const PRODUCTS = [
+  {
+    name: 'Pokemon TCG: Scarlet & Violet "151" Ultra Premium Collection, English',
+    url: 'https://www.target.com/p/pokemon-151-upc/-/A-88897904',
+    addToCartUrl: '',
+    autoCheckout: true,
+    allowThirdParty: false,
+    enabled: true,
+    checkInterval: 45,
+    activeHours: { start: '06:00', end: '23:30' },
+    maxPrice: 119.99,
+    targetPrice: 99.5,
+    alertSound: 'chime',
+    zipCode: '55423',
+    storeId: '1375',
+    fulfillmentModes: ['pickup', 'shipping'],
+    detectionRules: [{ type: 'selector_text_matches', selector: '.status', pattern: 'in stock, ships "now"', result: 'in_stock' }]
+  },
+  {
+    name: 'Paldean Fates Tin',
+    url: 'https://shop.example.com/products/tin?variant=1',
+    addToCartUrl: 'https://shop.example.com/cart/add?id=1',
+    autoCheckout: false,
+    allowThirdParty: true,
+    enabled: false,
+    checkInterval: null,
+    activeHours: null,
+    maxPrice: null,
+    targetPrice: null,
+    alertSound: null,
+    zipCode: null,
+    storeId: null,
+    fulfillmentModes: [],
+    detectionRules: []
+  }
+];
+
+test('an exported CSV imports back to the same products', () => {
+  for (const product of PRODUCTS) {
+    assert.deepStrictEqual(worker.normalizeWatchlistProduct(product, { allowAutoCheckout: true }).error, undefined);
+  }
+  
+  const text = csv.watchlistToCsv(PRODUCTS);
+  assert.deepStrictEqual(importProducts('watchlist.csv', text), PRODUCTS.map(product => ({ product })));
+});
+
+test('the CSV has the header row and quotes values that need it', () => {
+  const [header, firstRow] = csv.watchlistToCsv(PRODUCTS).split('\n');
+  
+  assert.strictEqual(header, csv.evaluate('WATCHLIST_CSV_COLUMNS').join(','));
+  assert.ok(firstRow.startsWith('"Pokemon TCG: Scarlet & Violet ""151"" Ultra Premium Collection, English",https://www.target.com/'));
+  assert.ok(firstRow.includes(',pickup;shipping,chime,'));
+});
+
+test('parseCsv handles quoted commas, quotes, line breaks, CRLF and blank lines', () => {
+  const text = 'a,b,c\r\n"1,5","say ""hi""","two\nlines"\r\n\r\n,,x\n';
+  assert.deepStrictEqual(plain(csv.parseCsv(text)), [
+    ['a', 'b', 'c'],
+    ['1,5', 'say "hi"', 'two\nlines'],
+    ['', '', 'x']
+  ]);
+});
+
+test('hand-written CSV works with columns in any order, a BOM and missing columns', () => {
+  const text = '\uFEFFurl, name ,maxPrice,unknownColumn\nhttps://www.bestbuy.com/site/etb/6543210.p,Elite Trainer Box,$59.99,ignored\n';
+  const [{ product }] = importProducts('list.csv', text);
+  
+  assert.strictEqual(product.name, 'Elite Trainer Box');
+  assert.strictEqual(product.url, 'https://www.bestbuy.com/site/etb/6543210.p');
+  assert.strictEqual(product.maxPrice, 59.99);
+  assert.strictEqual(product.enabled, true);
+  assert.strictEqual(product.autoCheckout, false);
+  assert.deepStrictEqual(product.detectionRules, []);
+});
+
+test('bad rows are reported per product', () => {
+  const text = 'name,url,detectionRules\nNo URL,,\nBad rules,https://shop.example.com/p,{not json\n';
+  const [missingUrl, badRules] = importProducts('list.csv', text);
+  
+  assert.strictEqual(missingUrl.error, '"" is not a valid URL');
+  assert.ok(badRules.error, 'unparseable detection rules should be rejected');
+});
+
+test('JSON exports and bare JSON lists are read too', () => {
+  const exported = JSON.stringify({ version: 1, products: PRODUCTS });
+  
+  assert.deepStrictEqual(plain(csv.parseWatchlistFile('watchlist.json', exported)), PRODUCTS);
+  assert.deepStrictEqual(plain(csv.parseWatchlistFile('watchlist.txt', JSON.stringify(PRODUCTS))), PRODUCTS);
+});
@@ -0,0 +1,122 @@
+// ======== WATCHLIST CSV ========
+// Watchlist files for the monitor page (loaded before monitor.js): writing
+// the CSV export and reading a CSV or JSON file back into products. Plain
+// text in and out; the background validates what's read.
+
+// CSV columns, in order. Fulfillment modes are ;-separated and detection
+// rules are a JSON list, so a row can carry every product setting.
+const WATCHLIST_CSV_COLUMNS = [
+  'name', 'url', 'enabled', 'autoCheckout', 'addToCartUrl', 'checkInterval',
+  'activeHoursStart', 'activeHoursEnd', 'maxPrice', 'targetPrice', 'allowThirdParty',
+  'zipCode', 'storeId', 'fulfillmentModes', 'alertSound', 'detectionRules'
+];
+
+// Quote a value for CSV output
+function csvValue(value) {
+  const text = value == null ? '' : String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function watchlistProductToCsvRow(product) {
+  const row = {
+    ...product,
+    activeHoursStart: product.activeHours?.start,
+    activeHoursEnd: product.activeHours?.end,
+    fulfillmentModes: (product.fulfillmentModes || []).join(';'),
+    detectionRules: product.detectionRules && product.detectionRules.length ? JSON.stringify(product.detectionRules) : ''
+  };
+  return WATCHLIST_CSV_COLUMNS.map(column => csvValue(row[column])).join(',');
+}
+
+// Header row plus one row per product
+function watchlistToCsv(products) {
+  return [WATCHLIST_CSV_COLUMNS.join(','), ...products.map(watchlistProductToCsvRow)].join('\n');
+}
+
+// Split CSV text into rows of fields, honouring quotes (which may hold
+// commas, doubled quotes and line breaks)
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  
+  if (field || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+  
+  // Drop blank lines
+  return rows.filter(cells => cells.some(cell => cell.trim()));
+}
+
+// Turn CSV rows into product objects using the header row. Unknown columns are
+// ignored; values stay strings and are validated by the background.
+function csvToWatchlistProducts(text) {
+  const [header, ...rows] = parseCsv(text.replace(/^\uFEFF/, ''));
+  if (!header) return [];
+  
+  const columns = header.map(column => column.trim());
+  return rows.map(cells => {
+    const row = {};
+    columns.forEach((column, index) => {
+      row[column] = (cells[index] || '').trim();
+    });
+    
+    let detectionRules = [];
+    if (row.detectionRules) {
+      try {
+        detectionRules = JSON.parse(row.detectionRules);
+      } catch (error) {
+        detectionRules = row.detectionRules; // Reported as invalid by the background
+      }
+    }
+    
+    return {
+      ...row,
+      activeHours: row.activeHoursStart && row.activeHoursEnd
+        ? { start: row.activeHoursStart, end: row.activeHoursEnd }
+        : null,
+      fulfillmentModes: row.fulfillmentModes ? row.fulfillmentModes.split(';').map(mode => mode.trim()) : [],
+      detectionRules
+    };
+  });
+}
+
+// JSON may be an export ({ products: [...] }) or a bare list of products
+function parseWatchlistFile(name, text) {
+  const looksLikeJson = /\.json$/i.test(name) || /^\s*[[{]/.test(text);
+  if (!looksLikeJson) {
+    return csvToWatchlistProducts(text);
+  }
+  
+  const data = JSON.parse(text);
+  return Array.isArray(data) ? data : data.products;
+}